@@ -1,237 +1,2575 @@
+import { floodFillMask, hexToRgb } from './flood-fill.js';
+import { simplifyPoints } from './simplify.js';
+import { quantizePoint } from './point-codec.js';
+
+// Tools that draw a geometric shape from a start and end point instead of a freehand polyline
+export const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+// Strokes are stored in an unbounded world coordinate space shared by the
+// whole room. The room's logical size is the area every client fits on screen
+// at zoom 1; it arrives with the drawing state, this is only used until then.
+const DEFAULT_LOGICAL_SIZE = { width: 1200, height: 1200 };
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 20;
+const FIT_PADDING = 0.9;                 // Share of the viewport used by "zoom to fit"
+const IMPORT_VIEW_SHARE = 0.8;           // Imported images are placed to fill at most this share of the view
+const DEFAULT_FILL_TOLERANCE = 32;       // Max per-channel difference still treated as the same color
+
+// Selection tool, sizes in CSS pixels
+const HIT_TOLERANCE = 5;                 // Distance from a stroke that still clicks it
+const SELECTION_HANDLE_SIZE = 10;        // Scale handle at the selection's bottom-right corner
+const MIN_SELECTION_SCALE = 0.05;
+
+// Render cache (see renderLayer)
+const CHECKPOINT_INTERVAL = 100;         // Strokes painted on a layer between two bitmap checkpoints
+const MAX_LAYER_CHECKPOINTS = 3;         // Checkpoints kept per layer (each is a full-size canvas)
+
+const MIN_PRESSURE_SCALE = 0.2;          // Share of the width a pen paints at zero pressure
+const PEN_ERASER_BUTTON = 5;             // PointerEvent.button of a pen's eraser end or button
+
+// Freehand smoothing at full strength (see draw and stopDrawing)
+const MAX_STABILIZATION = 0.6;           // Share of each pointer move the drawn point lags behind
+const MAX_SIMPLIFY_TOLERANCE = 2;        // CSS pixels a dropped point may lie off the kept line
+const DEFAULT_SMOOTHING = 0.5;
+
+// Timelapse replays run on "replay time": the real time between strokes,
+// with long pauses shortened so an afternoon of drawing replays in minutes
+const REPLAY_LEAD_IN = 500;              // Empty canvas before the first stroke (ms)
+const REPLAY_MAX_GAP = 2000;             // Longest pause between two strokes (ms)
+const REPLAY_UNKNOWN_GAP = 100;          // Pause before strokes saved without a timestamp (ms)
+const REPLAY_EXPORT_MAX_FRAMES = 300;
+const REPLAY_EXPORT_MAX_SIZE = 1920;     // Longest side of an exported frame, in pixels
+const REPLAY_EXPORT_MARGIN = 20;         // World units of white space around exported frames
+
+// Typeface used for text items (kept generic so every platform renders it)
+export const TEXT_FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+export const TEXT_LINE_HEIGHT = 1.25;    // Multiple of the font size between lines
+
+// Axis-aligned boxes are { minX, minY, maxX, maxY } in world coordinates
+function intersects(a, b) {
+  return Boolean(a) && a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+// Imported images lie beneath everything else on their layer;
+// all other strokes keep their server order
+function inPaintOrder(strokes) {
+  return [
+    ...strokes.filter(stroke => stroke.tool === 'image'),
+    ...strokes.filter(stroke => stroke.tool !== 'image')
+  ];
+}
+
+function containsPoint(box, point) {
+  return point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY;
+}
+
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  const t = length === 0 ? 0 : Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / length, 0), 1);
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+function distanceToPolyline(point, points) {
+  if (points.length === 1) return Math.hypot(point.x - points[0].x, point.y - points[0].y);
+  let distance = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    distance = Math.min(distance, distanceToSegment(point, points[i - 1], points[i]));
+  }
+  return distance;
+}
+
+// Even-odd test against a closed polygon given as points
+function insidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Corners of a box, as a closed outline
+function boxOutline({ minX, minY, maxX, maxY }) {
+  return [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }, { x: minX, y: minY }];
+}
+
+// Closed outline of the ellipse inscribed in a shape's start/end box
+function ellipseOutline({ start, end }) {
+  const cx = (start.x + end.x) / 2;
+  const cy = (start.y + end.y) / 2;
+  const rx = Math.abs(end.x - start.x) / 2;
+  const ry = Math.abs(end.y - start.y) / 2;
+  return Array.from({ length: 33 }, (_, i) => ({
+    x: cx + rx * Math.cos(i * Math.PI / 16),
+    y: cy + ry * Math.sin(i * Math.PI / 16)
+  }));
+}
+
+// Ids of strokes superseded by an edit among `strokes` that is not undone.
+// An edit supersedes every earlier version of its item, including versions
+// undone since, like on the server (DrawingState.getReplacedIds).
+function findReplacedIds(strokes) {
+  const byId = new Map(strokes.map(stroke => [stroke.id, stroke]));
+  const replaced = new Set();
+  strokes.forEach(stroke => {
+    if (stroke.hidden) return;
+    let id = stroke.replaces;
+    while (id !== undefined && !replaced.has(id)) {
+      replaced.add(id);
+      id = byId.has(id) ? byId.get(id).replaces : undefined;
+    }
+  });
+  return replaced;
+}
+
+// Share of its stroke's width a point of a pen stroke is painted with
+// (points drawn with a mouse or finger carry no pressure)
+function pressureScale(point) {
+  return point.pressure === undefined ? 1 : MIN_PRESSURE_SCALE + (1 - MIN_PRESSURE_SCALE) * point.pressure;
+}
+
+// Splits a freehand stroke into the pieces it is drawn with: quadratic
+// curves from midpoint to midpoint of its samples, bent by the sample in
+// between, and straight halves at both ends so the stroke reaches its first
+// and last points. Piece i belongs to point i, whose pressure sets its width.
+// Same pieces as the server renderer (freehandPieces in server/renderer.js).
+function freehandPieces(points) {
+  const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const last = points.length - 1;
+  return points.map((point, i) => {
+    if (i === 0) return { from: point, control: null, to: middle(point, points[1]), point };
+    if (i === last) return { from: middle(points[i - 1], point), control: null, to: point, point };
+    return { from: middle(points[i - 1], point), control: point, to: middle(point, points[i + 1]), point };
+  });
+}
+
+// Adds one piece of a freehand stroke to the current path
+function tracePiece(ctx, { from, control, to }, move) {
+  if (move) ctx.moveTo(from.x, from.y);
+  if (control) {
+    ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+  } else {
+    ctx.lineTo(to.x, to.y);
+  }
+}
+
+// True for the eraser end of a pen, or a pen with its eraser button held
+function isPenEraser(e) {
+  return e.pointerType === 'pen' && (e.button === PEN_ERASER_BUTTON || (e.buttons & 32) !== 0);
+}
+
+function unionBounds(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY)
+  };
+}
+
+// True if a committed stroke is the server's copy of a stroke we sent
+// (every field we sent has the same value; the server adds id and author)
+function isCopyOf(committed, sent) {
+  return Object.keys(sent).every(key => JSON.stringify(committed[key]) === JSON.stringify(sent[key]));
+}
+
 // The CanvasManager class handles everything related to drawing on the canvas
 // It manages tools, strokes, colors, undo/redo, and syncing with other users via WebSocket
 export class CanvasManager {
-  constructor(canvas, wsManager) {
+  // `overlays` holds the DOM elements stacked over the canvas:
+  //   previewCanvas - transparent canvas used for rubber-band shape previews
+  //   textEditor    - <textarea> used to type and edit text items in place
+  constructor(canvas, wsManager, { previewCanvas, textEditor }) {
     this.canvas = canvas;                 // Reference to the HTML canvas element
     this.ctx = canvas.getContext('2d');   // Get 2D drawing context
     this.wsManager = wsManager;           // Manages WebSocket communication
 
+    this.previewCanvas = previewCanvas;
+    this.previewCtx = previewCanvas.getContext('2d');
+
+    // Inline text editor state
+    this.textEditor = textEditor;
+    this.textDraft = null;                // { x, y, fontSize, color, replaces } while the editor is open
+    this.fontSize = 24;
+
+    // Viewport over the world: `x`/`y` is the world point at the top-left
+    // corner of the canvas, `zoom` is relative to fitting the logical size
+    this.logicalSize = { ...DEFAULT_LOGICAL_SIZE };
+    this.fitScale = 1;                    // CSS pixels per world unit at zoom 1 (see setupCanvas)
+    this.view = { x: 0, y: 0, zoom: 1 };
+    this.spacePan = false;                // Space is held: dragging pans instead of drawing
+    this.panStart = null;                 // { clientX, clientY, view } while dragging the view
+    this.pinch = null;                    // { distance, midX, midY } during a two-finger gesture
+    this.pointers = new Map();            // Pointer id → { pointerType, clientX, clientY } while pressed on the canvas
+    this.gesturePointerId = null;         // Pointer driving the current stroke, pan or drag
+    this.onViewChange = null;             // Called after the view is panned, zoomed or resized
+    this.boundsCache = new WeakMap();     // Committed stroke → world bounding box
+    this.images = new Map();              // Image item data URL → decoded <img>
+
     // Default drawing settings
+    this.readOnly = false;                // Viewers can only look around (dragging pans)
     this.isDrawing = false;
     this.currentTool = 'brush';
     this.currentColor = '#2563eb';        // Default blue brush
     this.strokeWidth = 3;
+    this.smoothing = DEFAULT_SMOOTHING;   // Freehand smoothing strength, 0 (raw input) to 1
+    this.rawPoint = null;                 // Latest pointer position of the freehand stroke being drawn
+    this.fillShapes = false;              // Fill rectangles and ellipses with the current color
+    this.fillTolerance = DEFAULT_FILL_TOLERANCE;
+    this.currentShape = null;             // Shape being dragged out (not streamed, sent on release)
+    this.eraserMode = 'pixel';            // 'pixel' rubs out paint, 'stroke' removes whole strokes
+    this.strokeErase = null;              // { ids, last } while the stroke eraser is dragged or its removal is on its way
 
-    // Stores all drawing actions (for undo/redo)
+    // Stores all drawing actions in server order (undone strokes are kept with `hidden: true`)
     this.strokes = [];
-    this.historyIndex = -1;               // Tracks where we are in the history
+    this.pendingStrokes = [];             // Own strokes sent to the server but not yet acknowledged
+    this.unconfirmed = new WeakSet();     // Pending strokes whose request was in flight when the connection dropped
+    this.sendWhole = false;               // The current stroke is not streamed: it goes out as one 'draw' when finished
+    this.userId = null;                   // Current user's id, used as author of own strokes
+    this.liveStrokes = new Map();         // userId → { stroke, drawn } for remote strokes being drawn right now
+
+    // Streaming state
+    this.outgoingPoints = [];             // Own points not yet sent to the server
+    this.outgoingFrame = null;            // Pending animation frame for sending points
+    this.liveFrame = null;                // Pending animation frame for painting remote points
+
+    // Flood fill results: fill stroke → { key, image } (see prepareFills)
+    this.fillCache = new WeakMap();
+    this.localKeys = new WeakMap();       // Temporary keys for strokes without a server id
+    this.nextLocalKey = -1;
+
+    // Paint-order tracking (see notePaint)
+    this.paintSeq = 0;
+    this.committedPaintSeq = 0;
+    this.paintOrder = new WeakMap();
+
+    // Layers of the room, bottom to top: { id, name, visible, locked }, shared
+    // with everyone. Each one is painted on its own offscreen canvas, so an
+    // eraser only removes paint from its layer; the drawing canvas shows the
+    // visible ones stacked (see compositeLayers).
+    this.layers = [];
+    this.activeLayerId = null;            // Layer our new strokes go on
+    this.layerCanvases = new Map();       // Layer id → offscreen canvas matching the drawing canvas
+    this.viewTransform = [1, 0, 0, 1, 0, 0];
+
+    // What each layer canvas shows, so a redraw only repaints what changed
+    // (see renderLayer). Layer id → { strokes, checkpoints }: the committed
+    // strokes painted on it in order, and copies of the layer after its first
+    // `count` of them ({ count, canvas }). Pans move them along (see
+    // shiftRenders); zooming and resizing drop them.
+    this.layerRenders = new Map();
+    this.dirtyRegions = new Map();        // Layer id → world box whose paint changed outside the render (fills recomputed)
+    this.extraPaint = new Map();          // Layer id → strokes painted on it that its render does not list
+    this.onLayersChange = null;           // Called when the layers or the active layer change
+
+    // Selection tool: ids of the selected strokes, the gesture in progress
+    // ({ mode: 'move' | 'scale' | 'lasso', ... }, see startSelection) and the
+    // move or scale being previewed until the server has applied it
+    // ({ x, y, factor, dx, dy }: every point p is shown at
+    // (x, y) + (p - (x, y)) * factor + (dx, dy))
+    this.selection = new Set();
+    this.selectionDrag = null;
+    this.selectionTransform = null;
+    this.onSelectionChange = null;        // Called when strokes are selected or deselected
+
+    // Timelapse shown instead of the live room (see startReplay)
+    this.replay = null;
+    this.onReplayChange = null;           // Called when the replay position, speed or filter changes
 
     this.setupCanvas();
     this.attachEventListeners();
   }
 
-  // Adjusts canvas size dynamically based on container
+  // Makes the canvas fill its container and sizes the backing store for the
+  // device pixel ratio, so lines stay crisp. At zoom 1 the room's logical size
+  // fits on screen (never larger than 1:1).
   setupCanvas() {
     const container = this.canvas.parentElement;
     const rect = container.getBoundingClientRect();
-    const size = Math.min(rect.width - 80, rect.height - 80, 1200);
+    const cssWidth = Math.max(Math.floor(rect.width - 80), 1);
+    const cssHeight = Math.max(Math.floor(rect.height - 80), 1);
+    const dpr = window.devicePixelRatio || 1;
+    this.fitScale = Math.min(cssWidth / this.logicalSize.width, cssHeight / this.logicalSize.height, 1);
+
+    // Keep the preview layer exactly over the drawing area (inside the border)
+    [this.canvas, this.previewCanvas].forEach(canvas => {
+      canvas.style.width = cssWidth + 'px';
+      canvas.style.height = cssHeight + 'px';
+      canvas.width = Math.round(cssWidth * dpr);
+      canvas.height = Math.round(cssHeight * dpr);
+    });
+    this.previewCanvas.style.left = (this.canvas.offsetLeft + this.canvas.clientLeft) + 'px';
+    this.previewCanvas.style.top = (this.canvas.offsetTop + this.canvas.clientTop) + 'px';
+
+    [this.ctx, this.previewCtx].forEach(ctx => {
+      ctx.lineCap = 'round';   // Smooth line ends
+      ctx.lineJoin = 'round';  // Smooth connection between strokes
+    });
+    this.layerCanvases.clear();   // Recreated at the new size when painted
+    this.invalidateRenders();
+    this.applyViewTransform();
+  }
+
+  // CSS pixels per world unit in the current view
+  getViewScale() {
+    return this.fitScale * this.view.zoom;
+  }
+
+  // Maps world coordinates to canvas pixels on every context. After a pan
+  // by whole device pixels the layers keep what they show, moved along;
+  // any other change makes the next redraw repaint them in full.
+  applyViewTransform() {
+    const previous = this.viewTransform;
+    const scale = this.getViewScale() * (this.canvas.width / this.canvas.clientWidth);
+    this.viewTransform = [scale, 0, 0, scale, -this.view.x * scale, -this.view.y * scale];
+
+    const dx = this.viewTransform[4] - previous[4];
+    const dy = this.viewTransform[5] - previous[5];
+    const whole = value => Math.abs(value - Math.round(value)) < 1e-6;
+    if (scale === previous[0] && whole(dx) && whole(dy)) {
+      this.shiftRenders(Math.round(dx), Math.round(dy));
+    } else {
+      this.invalidateRenders();
+    }
+    [this.ctx, this.previewCtx, ...Array.from(this.layerCanvases.values(), c => c.getContext('2d'))].forEach(ctx => {
+      ctx.setTransform(...this.viewTransform);
+    });
+  }
+
+  // Context of the offscreen canvas a layer is painted on, created the
+  // size of the drawing canvas the first time it is needed
+  getLayerContext(layerId) {
+    let layerCanvas = this.layerCanvases.get(layerId);
+    if (!layerCanvas) {
+      layerCanvas = document.createElement('canvas');
+      layerCanvas.width = this.canvas.width;
+      layerCanvas.height = this.canvas.height;
+      const ctx = layerCanvas.getContext('2d');
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.setTransform(...this.viewTransform);
+      this.layerCanvases.set(layerId, layerCanvas);
+    }
+    return layerCanvas.getContext('2d');
+  }
+
+  // Forgets what the layer canvases show, so the next redraw repaints them
+  // in full (the view changed, or strokes may paint differently now)
+  invalidateRenders() {
+    this.layerRenders.clear();
+  }
+
+  // Moves the layer canvases and their checkpoints by whole device pixels
+  // after a pan, and paints the strips that scrolled into view. Each layer
+  // paints them once: its checkpoints in turn, each starting from the strips
+  // of the one before, then the layer canvas. Paint the render does not
+  // list (strokes in progress) is repainted by the next redraw.
+  shiftRenders(dx, dy) {
+    if (dx === 0 && dy === 0) return;
+    const { width, height } = this.canvas;
+    const strips = [];   // [left, top, width, height] in device pixels
+    if (dx !== 0) strips.push([dx > 0 ? 0 : width + dx, 0, Math.abs(dx), height]);
+    if (dy !== 0) strips.push([0, dy > 0 ? 0 : height + dy, width, Math.abs(dy)]);
+    const [scale, , , , offsetX, offsetY] = this.viewTransform;
+    const boxes = strips.map(([left, top, stripWidth, stripHeight]) => ({
+      minX: (left - offsetX) / scale,
+      minY: (top - offsetY) / scale,
+      maxX: (left + stripWidth - offsetX) / scale,
+      maxY: (top + stripHeight - offsetY) / scale
+    }));
+
+    this.layerRenders.forEach((render, layerId) => {
+      const layerCanvas = this.layerCanvases.get(layerId);
+      const targets = [...render.checkpoints, ...(layerCanvas ? [{ count: render.strokes.length, canvas: layerCanvas }] : [])];
+      targets.forEach((target, index) => {
+        const ctx = target.canvas.getContext('2d');
+        const previous = targets[index - 1];
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(target.canvas, dx, dy);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.beginPath();
+        strips.forEach(strip => ctx.rect(...strip));
+        ctx.clip();
+        // A shift past the whole canvas copies nothing, so clear explicitly
+        ctx.clearRect(0, 0, width, height);
+        if (previous) ctx.drawImage(previous.canvas, 0, 0);
+        ctx.setTransform(...this.viewTransform);
+        render.strokes.slice(previous ? previous.count : 0, target.count).forEach(stroke => {
+          const box = this.getStrokeBounds(stroke);
+          if (boxes.some(strip => intersects(box, strip))) this.drawStroke(stroke, ctx);
+        });
+        ctx.restore();
+      });
+    });
+  }
+
+  // Notes that the paint inside a world box changed on a layer without the
+  // layer's render knowing, so the next redraw repaints that area
+  markDirty(layerId, box) {
+    if (!box) return;
+    const region = this.dirtyRegions.get(layerId);
+    this.dirtyRegions.set(layerId, region ? unionBounds(region, box) : box);
+  }
+
+  // Shows the visible layers on the drawing canvas, bottom to top
+  compositeLayers() {
+    this.clearContext(this.ctx);
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.layers.forEach(layer => {
+      const layerCanvas = this.layerCanvases.get(layer.id);
+      if (layer.visible && layerCanvas) this.ctx.drawImage(layerCanvas, 0, 0);
+    });
+    this.ctx.restore();
+  }
+
+  // Paints a committed or in-progress stroke onto its layer (only its pieces
+  // from point `fromIndex` on, for freehand strokes that grew, see
+  // drawSegments) and updates the canvas
+  paintStroke(stroke, fromIndex = null, complete = false) {
+    const ctx = this.getLayerContext(stroke.layerId);
+    if (!this.extraPaint.has(stroke.layerId)) this.extraPaint.set(stroke.layerId, new Set());
+    this.extraPaint.get(stroke.layerId).add(stroke);
+    if (fromIndex === null) {
+      this.drawStroke(stroke, ctx);
+    } else {
+      this.drawSegments(stroke, fromIndex, ctx, complete);
+    }
+    this.compositeLayers();
+  }
+
+  // Paints strokes that all belong to one layer onto `ctx` through a
+  // transparent scratch canvas, so their erasers only remove their own
+  // paint. `transform` maps world coordinates to the pixels of `ctx`.
+  drawFlattened(ctx, strokes, transform) {
+    const scratch = document.createElement('canvas');
+    scratch.width = ctx.canvas.width;
+    scratch.height = ctx.canvas.height;
+    const scratchCtx = scratch.getContext('2d');
+    scratchCtx.lineCap = 'round';
+    scratchCtx.lineJoin = 'round';
+    scratchCtx.setTransform(...transform);
+    strokes.forEach(stroke => this.drawStroke(stroke, scratchCtx));
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(scratch, 0, 0);
+    ctx.restore();
+  }
+
+  // World rectangle currently on screen
+  getViewBounds() {
+    const scale = this.getViewScale();
+    return {
+      minX: this.view.x,
+      minY: this.view.y,
+      maxX: this.view.x + this.canvas.clientWidth / scale,
+      maxY: this.view.y + this.canvas.clientHeight / scale
+    };
+  }
+
+  // Moves the viewport and re-renders everything that depends on it
+  setView(view) {
+    this.view = { x: view.x, y: view.y, zoom: Math.min(Math.max(view.zoom, MIN_ZOOM), MAX_ZOOM) };
+    this.applyViewTransform();
+    this.refreshView();
+  }
+
+  // Repaints the canvas and the overlays after the view or canvas size changed
+  refreshView() {
+    this.redrawCanvas();
+    this.clearPreview();
+    if (this.currentShape) this.drawStroke(this.currentShape, this.previewCtx);
+    this.showSelection();
+    if (this.textDraft) this.openTextEditor(this.textDraft, this.textEditor.value);
+    if (this.onViewChange) this.onViewChange();
+  }
+
+  // Scrolls the view by a distance in CSS pixels
+  panBy(dx, dy) {
+    const scale = this.getViewScale();
+    this.setView({ x: this.view.x - dx / scale, y: this.view.y - dy / scale, zoom: this.view.zoom });
+  }
+
+  // Zooms by `factor`, keeping the world point under the given screen point in place
+  zoomAt(clientX, clientY, factor) {
+    const anchor = this.getCanvasCoordinates({ clientX, clientY });
+    const zoom = Math.min(Math.max(this.view.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+    const ratio = this.view.zoom / zoom;
+    this.setView({
+      x: anchor.x - (anchor.x - this.view.x) * ratio,
+      y: anchor.y - (anchor.y - this.view.y) * ratio,
+      zoom
+    });
+  }
+
+  // Frames every visible stroke, or goes back to the initial view on an empty board
+  zoomToFit() {
+    const bounds = this.getVisibleStrokes()
+      .map(stroke => this.getStrokeBounds(stroke))
+      .filter(Boolean)
+      .reduce((all, box) => all ? unionBounds(all, box) : box, null);
+    if (!bounds) {
+      this.setView({ x: 0, y: 0, zoom: 1 });
+      return;
+    }
+
+    const width = Math.max(bounds.maxX - bounds.minX, 1);
+    const height = Math.max(bounds.maxY - bounds.minY, 1);
+    const scale = Math.min(this.canvas.clientWidth / width, this.canvas.clientHeight / height) * FIT_PADDING;
+    const zoom = Math.min(Math.max(scale / this.fitScale, MIN_ZOOM), MAX_ZOOM);
+    const viewScale = this.fitScale * zoom;
+    this.setView({
+      x: (bounds.minX + bounds.maxX) / 2 - this.canvas.clientWidth / 2 / viewScale,
+      y: (bounds.minY + bounds.maxY) / 2 - this.canvas.clientHeight / 2 / viewScale,
+      zoom
+    });
+  }
+
+  // Space held down (tracked by the app): dragging pans the view
+  setSpacePan(active) {
+    this.spacePan = active;
+    if (!this.panStart) this.canvas.style.cursor = active ? 'grab' : '';
+  }
+
+  // Begins dragging the view
+  startPan(e) {
+    this.panStart = { clientX: e.clientX, clientY: e.clientY, view: this.view };
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  // Drags the view along with the pointer
+  movePan(e) {
+    const scale = this.getViewScale();
+    const { clientX, clientY, view } = this.panStart;
+    this.setView({
+      x: view.x - (e.clientX - clientX) / scale,
+      y: view.y - (e.clientY - clientY) / scale,
+      zoom: view.zoom
+    });
+  }
 
-    this.canvas.width = size;
-    this.canvas.height = size;
+  endPan() {
+    this.panStart = null;
+    this.canvas.style.cursor = this.spacePan ? 'grab' : '';
+  }
+
+  // Wheel zooms around the pointer; trackpad pinches arrive as wheel events with ctrlKey
+  handleWheel(e) {
+    e.preventDefault();
+    const speed = e.ctrlKey ? 0.01 : 0.0015;
+    const lines = e.deltaMode === 1 ? 16 : 1;   // Firefox may report lines instead of pixels
+    this.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * lines * speed));
+  }
 
-    this.ctx.lineCap = 'round';   // Smooth line ends
-    this.ctx.lineJoin = 'round';  // Smooth connection between strokes
+  // Erases a whole context, whatever transform it has
+  clearContext(ctx) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
   }
 
   // Adds mouse, touch, and resize event listeners
   attachEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', this.startDrawing.bind(this));
-    this.canvas.addEventListener('mousemove', this.draw.bind(this));
-    this.canvas.addEventListener('mouseup', this.stopDrawing.bind(this));
-    this.canvas.addEventListener('mouseleave', this.stopDrawing.bind(this));
+    // Pointer events cover mouse, pen and touch alike
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
 
-    // Touch events (mobile devices)
-    this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-    this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-    this.canvas.addEventListener('touchend', this.stopDrawing.bind(this));
+    // Wheel and trackpad pinch zoom the view
+    this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
 
-    // Track cursor movement for showing user pointers in real-time
-    this.canvas.addEventListener('mousemove', this.handleCursorMove.bind(this));
+    // Double-clicking a text item edits it, whatever tool is selected
+    this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
 
-    // Keep drawing content safe on window resize
+    // Text editor: Enter commits, Shift+Enter adds a line, Escape cancels
+    this.textEditor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.commitText();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeTextEditor();
+      }
+    });
+    this.textEditor.addEventListener('blur', () => this.commitText());
+
+    // Re-render from the stroke history at the new size
     window.addEventListener('resize', () => {
-      const oldImageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
       this.setupCanvas();
-      this.ctx.putImageData(oldImageData, 0, 0);
+      this.refreshView();
     });
   }
 
-  // Converts touch input into mouse-like events
-  handleTouchStart(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const mouseEvent = new MouseEvent('mousedown', {
-      clientX: touch.clientX,
-      clientY: touch.clientY
-    });
-    this.canvas.dispatchEvent(mouseEvent);
+  // A pointer was pressed on the canvas. Only one pointer at a time draws
+  // (or pans, or drags a selection); the pointer is captured so the gesture
+  // goes on outside the canvas. While a pen is down, touches are taken for a
+  // resting palm and ignored, and a pen that lands while a finger is
+  // drawing drops the finger's stroke. Two fingers pinch-zoom and pan the
+  // view instead; a stroke the first finger already started is dropped.
+  handlePointerDown(e) {
+    if (e.pointerType === 'touch' && this.isPenDown()) return;
+    this.pointers.set(e.pointerId, { pointerType: e.pointerType, clientX: e.clientX, clientY: e.clientY });
+
+    const gesture = this.pointers.get(this.gesturePointerId);
+    if (e.pointerType === 'pen' && (this.pinch || (gesture && gesture.pointerType === 'touch'))) {
+      this.pinch = null;
+      this.abandonGesture();
+    }
+
+    if (e.pointerType === 'touch') {
+      const touches = this.getTouchPointers();
+      if (touches.length >= 2) {
+        this.abandonGesture();
+        this.pinch = this.getPinch(touches);
+        return;
+      }
+      if (this.pinch) return;
+    }
+    if (this.gesturePointerId !== null) return;
+
+    this.gesturePointerId = e.pointerId;
+    if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+    this.startDrawing(e);
   }
 
-  handleTouchMove(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-      clientX: touch.clientX,
-      clientY: touch.clientY
-    });
-    this.canvas.dispatchEvent(mouseEvent);
+  handlePointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (pointer) {
+      pointer.clientX = e.clientX;
+      pointer.clientY = e.clientY;
+    }
+
+    if (this.pinch) {
+      const touches = this.getTouchPointers();
+      if (!pointer || touches.length < 2) return;
+      const pinch = this.getPinch(touches);
+      this.zoomAt(pinch.midX, pinch.midY, pinch.distance / this.pinch.distance);
+      this.panBy(pinch.midX - this.pinch.midX, pinch.midY - this.pinch.midY);
+      this.pinch = pinch;
+      return;
+    }
+
+    if (e.pointerId === this.gesturePointerId) this.draw(e);
+
+    // Show where we are to the others (hovering mice and pens too)
+    if (e.isPrimary && (e.pointerType !== 'touch' || e.pointerId === this.gesturePointerId)) this.handleCursorMove(e);
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return;   // An ignored palm
+
+    if (this.pinch) {
+      // The gesture is over once every finger has been lifted
+      if (this.getTouchPointers().length === 0) this.pinch = null;
+      return;
+    }
+    if (e.pointerId === this.gesturePointerId) {
+      this.gesturePointerId = null;
+      this.stopDrawing();
+    }
+  }
+
+  // Drops the stroke being drawn, or ends any other gesture (pan, selection
+  // drag, stroke erase) where it is
+  abandonGesture() {
+    this.gesturePointerId = null;
+    if (this.isDrawing) {
+      this.cancelDrawing();
+    } else {
+      this.stopDrawing();
+    }
+  }
+
+  isPenDown() {
+    return Array.from(this.pointers.values()).some(pointer => pointer.pointerType === 'pen');
+  }
+
+  getTouchPointers() {
+    return Array.from(this.pointers.values()).filter(pointer => pointer.pointerType === 'touch');
   }
 
-  // Converts screen coordinates to canvas coordinates
+  // Distance between and midpoint of the first two touching fingers
+  getPinch(touches) {
+    const [a, b] = touches;
+    return {
+      distance: Math.max(Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY), 1),
+      midX: (a.clientX + b.clientX) / 2,
+      midY: (a.clientY + b.clientY) / 2
+    };
+  }
+
+  // Converts screen coordinates to world coordinates through the view
   getCanvasCoordinates(e) {
     const rect = this.canvas.getBoundingClientRect();
+    const scale = this.getViewScale();   // CSS pixels per world unit
+    return {
+      x: this.view.x + (e.clientX - rect.left - this.canvas.clientLeft) / scale,
+      y: this.view.y + (e.clientY - rect.top - this.canvas.clientTop) / scale
+    };
+  }
+
+  // World position of a point of a freehand stroke, with the pressure of
+  // a pen (0 to 1), rounded like the room stores it (see point-codec.js)
+  getStrokePoint(e) {
+    const point = this.getCanvasCoordinates(e);
+    if (e.pointerType === 'pen') point.pressure = e.pressure;
+    return quantizePoint(point);
+  }
+
+  // Converts world coordinates to screen (client) coordinates through the view
+  toScreenPoint({ x, y }) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scale = this.getViewScale();
     return {
-      x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
-      y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+      x: rect.left + this.canvas.clientLeft + (x - this.view.x) * scale,
+      y: rect.top + this.canvas.clientTop + (y - this.view.y) * scale
     };
   }
 
-  // Starts a new stroke when mouse is pressed
+  // Starts a new stroke when a pointer is pressed. The eraser end of a pen
+  // erases whatever tool is selected.
   startDrawing(e) {
-    this.isDrawing = true;
+    // Middle button or Space + drag pans the view with any tool; for
+    // read-only users every drag pans
+    if (e.button === 1 || this.spacePan || this.isViewOnly()) {
+      e.preventDefault();
+      this.startPan(e);
+      return;
+    }
+
+    const tool = isPenEraser(e) ? 'eraser' : this.currentTool;
+
+    // The selection tool picks strokes on any unlocked layer
+    if (tool === 'select') {
+      this.startSelection(this.getCanvasCoordinates(e), e.shiftKey);
+      return;
+    }
+
+    // Nothing can be drawn on a hidden or locked layer
+    if (!this.canDrawOnActiveLayer()) {
+      e.preventDefault();
+      return;
+    }
+
     const coords = this.getCanvasCoordinates(e);
 
+    // The text tool places (or re-opens) a text item instead of drawing
+    if (tool === 'text') {
+      e.preventDefault();   // Keep focus in the editor we are about to open
+      if (this.textDraft) {
+        this.commitText();
+      } else {
+        const existing = this.findTextAt(coords);
+        if (existing) {
+          this.editText(existing);
+        } else {
+          this.openTextEditor({
+            x: coords.x,
+            y: coords.y,
+            fontSize: this.fontSize,
+            color: this.currentColor,
+            layerId: this.activeLayerId
+          });
+        }
+      }
+      return;
+    }
+
+    if (tool === 'fill') {
+      this.placeFill(coords);
+      return;
+    }
+
+    if (tool === 'eraser' && this.eraserMode === 'stroke') {
+      this.startStrokeErase(coords);
+      return;
+    }
+
+    this.isDrawing = true;
+
+    if (SHAPE_TOOLS.includes(tool)) {
+      this.startShape(coords);
+      return;
+    }
+
     this.currentStroke = {
-      tool: this.currentTool,
+      tool,
       color: this.currentColor,
       width: this.strokeWidth,
-      points: [coords]   // Store points for replay or sync
+      points: [this.getStrokePoint(e)],   // Store points for replay or sync
+      layerId: this.activeLayerId
     };
+    this.rawPoint = this.currentStroke.points[0];
+    this.notePaint(this.currentStroke);
 
-    this.ctx.beginPath();
-    this.ctx.moveTo(coords.x, coords.y);
+    // Announce the stroke so peers can render it while it is being drawn.
+    // Offline, or while queued events are still being replayed, streaming
+    // would queue a batch per frame: the stroke is sent whole instead.
+    this.outgoingPoints = [];
+    this.sendWhole = !this.wsManager.isLive();
+    if (!this.sendWhole) this.wsManager.emit('stroke-begin', this.currentStroke);
   }
 
-  // Draws lines as the mouse moves
+  // Draws lines as the pointer moves. With smoothing, each point only moves
+  // part of the way towards the pointer, which irons out the jitter of a
+  // hand or a mouse; the stroke catches up with the pointer when released.
   draw(e) {
+    if (this.panStart) {
+      this.movePan(e);
+      return;
+    }
+    if (this.selectionDrag) {
+      this.updateSelectionDrag(this.getCanvasCoordinates(e));
+      return;
+    }
+    if (this.strokeErase && this.strokeErase.last) {
+      this.continueStrokeErase(this.getCanvasCoordinates(e));
+      return;
+    }
     if (!this.isDrawing) return;
 
-    const coords = this.getCanvasCoordinates(e);
-    this.currentStroke.points.push(coords);
+    if (this.currentShape) {
+      this.updateShape(this.getCanvasCoordinates(e), e.shiftKey);
+      return;
+    }
+    this.rawPoint = this.getStrokePoint(e);
+    const points = this.currentStroke.points;
+    const last = points[points.length - 1];
+    const follow = 1 - this.smoothing * MAX_STABILIZATION;
+    this.addStrokePoint(quantizePoint({
+      ...this.rawPoint,
+      x: last.x + (this.rawPoint.x - last.x) * follow,
+      y: last.y + (this.rawPoint.y - last.y) * follow
+    }));
+  }
+
+  // Appends a point to the freehand stroke being drawn, paints the part of
+  // the curve it completes and queues it for the server
+  addStrokePoint(point) {
+    this.currentStroke.points.push(point);
+    this.paintStroke(this.currentStroke, this.currentStroke.points.length - 2);
+    this.notePaint(this.currentStroke);
+
+    // Points are sent in one batch per animation frame
+    this.outgoingPoints.push(point);
+    if (!this.outgoingFrame) {
+      this.outgoingFrame = requestAnimationFrame(() => this.flushOutgoingPoints());
+    }
+  }
 
-    // Change brush color and size (eraser = white)
-    this.ctx.strokeStyle = this.currentTool === 'eraser' ? '#ffffff' : this.currentColor;
-    this.ctx.lineWidth = this.currentTool === 'eraser' ? this.strokeWidth * 2 : this.strokeWidth;
+  // Sets the freehand smoothing strength, from 0 (every point as drawn) to 1
+  setSmoothing(strength) {
+    this.smoothing = Math.min(Math.max(strength, 0), 1);
+  }
+
+  // Sends the points collected since the last frame to the server
+  flushOutgoingPoints() {
+    if (this.outgoingFrame) {
+      cancelAnimationFrame(this.outgoingFrame);
+      this.outgoingFrame = null;
+    }
+    if (this.outgoingPoints.length === 0) return;
 
-    this.ctx.lineTo(coords.x, coords.y);
-    this.ctx.stroke();
+    // Not streamed, or the server dropped the stroke with our old
+    // connection: it is sent whole when it is finished (see stopDrawing)
+    if (!this.sendWhole) this.wsManager.emit('stroke-points', { points: this.outgoingPoints });
+    this.outgoingPoints = [];
   }
 
-  // Stops drawing and saves the stroke
+  // Stops drawing and saves the stroke. Points that add nothing to its shape
+  // are dropped first (Ramer–Douglas–Peucker, within a tolerance that grows
+  // with the smoothing strength); the server drops the same ones from the
+  // points it was streamed, so only the tolerance is sent.
   stopDrawing() {
+    if (this.panStart) {
+      this.endPan();
+      return;
+    }
+    if (this.selectionDrag) {
+      this.finishSelectionDrag();
+      return;
+    }
+    if (this.strokeErase && this.strokeErase.last) {
+      this.finishStrokeErase();
+      return;
+    }
     if (!this.isDrawing) return;
     this.isDrawing = false;
 
-    if (this.currentStroke && this.currentStroke.points.length > 0) {
-      this.addStroke(this.currentStroke);
-      this.wsManager.emit('draw', this.currentStroke);  // Send stroke to others
+    if (this.currentShape) {
+      this.finishShape();
+      return;
     }
 
+    // The stabilized stroke ends where the pointer was released
+    const stroke = this.currentStroke;
+    const end = stroke.points[stroke.points.length - 1];
+    if (this.rawPoint.x !== end.x || this.rawPoint.y !== end.y) this.addStrokePoint(this.rawPoint);
     this.currentStroke = null;
-  }
+    this.rawPoint = null;
+    this.flushOutgoingPoints();
 
-  // Adds a stroke to the history stack
-  addStroke(stroke) {
-    this.strokes = this.strokes.slice(0, this.historyIndex + 1);
-    this.strokes.push(stroke);
-    this.historyIndex++;
-  }
+    const pointCount = stroke.points.length;
+    const tolerance = this.smoothing * MAX_SIMPLIFY_TOLERANCE / this.getViewScale();
+    stroke.points = simplifyPoints(stroke.points, tolerance);
+    this.pendingStrokes.push(stroke);
+    if (stroke.points.length < pointCount) {
+      this.redrawCanvas();
+    } else {
+      this.paintStroke(stroke, stroke.points.length - 1, true);   // Its last piece
+    }
 
-  // Replays a stroke on the canvas
-  drawStroke(stroke) {
-    if (stroke.points.length === 0) return;
+    if (this.sendWhole) {
+      this.sendWhole = false;
+      this.wsManager.emit('draw', stroke, (response) => this.handleStrokeAck(stroke, response));
+      return;
+    }
 
-    this.ctx.beginPath();
-    this.ctx.strokeStyle = stroke.tool === 'eraser' ? '#ffffff' : stroke.color;
-    this.ctx.lineWidth = stroke.tool === 'eraser' ? stroke.width * 2 : stroke.width;
+    // Commit the stroke; the server replies with the id it assigned
+    this.wsManager.emit('stroke-end', { pointCount, tolerance }, (response) => {
+      this.handleStrokeAck(stroke, response);
+    });
+  }
 
-    this.ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+  // Abandons the stroke or shape being drawn without committing it
+  cancelDrawing() {
+    if (!this.isDrawing) return;
+    this.isDrawing = false;
 
-    for (let i = 1; i < stroke.points.length; i++) {
-      this.ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+    if (this.currentShape) {
+      this.currentShape = null;
+      this.clearPreview();
+      return;
     }
 
-    this.ctx.stroke();
+    this.paintOrder.delete(this.currentStroke);
+    this.currentStroke = null;
+    this.rawPoint = null;
+    if (this.outgoingFrame) {
+      cancelAnimationFrame(this.outgoingFrame);
+      this.outgoingFrame = null;
+    }
+    this.outgoingPoints = [];
+    if (this.sendWhole) {
+      this.sendWhole = false;      // The server never had the stroke, or already forgot it
+    } else {
+      this.wsManager.emit('stroke-cancel');
+    }
+    this.redrawCanvas();
   }
 
-  // Clears canvas and redraws strokes based on current history index
-  redrawCanvas() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    const visibleStrokes = this.strokes.slice(0, this.historyIndex + 1);
-    visibleStrokes.forEach(stroke => this.drawStroke(stroke));
+  // Begins dragging out a shape
+  startShape(coords) {
+    this.currentShape = {
+      tool: this.currentTool,
+      color: this.currentColor,
+      width: this.strokeWidth,
+      fill: this.fillShapes,
+      start: coords,
+      end: coords,
+      layerId: this.activeLayerId
+    };
   }
 
-  // Undo last stroke
-  undo() {
-    if (this.historyIndex > -1) {
-      this.historyIndex--;
-      this.redrawCanvas();
-      this.wsManager.emit('undo');
-    }
+  // Moves the free corner of the shape and redraws the rubber-band preview.
+  // With Shift held, lines and arrows snap to 45° steps and rectangles and
+  // ellipses become squares and circles.
+  updateShape(coords, constrain) {
+    const shape = this.currentShape;
+    shape.end = constrain ? this.constrainShapeEnd(shape.tool, shape.start, coords) : coords;
+
+    this.clearPreview();
+    this.drawStroke(shape, this.previewCtx);
   }
 
-  // Redo undone stroke
-  redo() {
-    if (this.historyIndex < this.strokes.length - 1) {
-      this.historyIndex++;
-      this.redrawCanvas();
-      this.wsManager.emit('redo');
+  // Returns the constrained end point for a shape drag
+  constrainShapeEnd(tool, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    if (tool === 'line' || tool === 'arrow') {
+      const step = Math.PI / 4;
+      const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+      const length = Math.hypot(dx, dy);
+      return {
+        x: start.x + Math.cos(angle) * length,
+        y: start.y + Math.sin(angle) * length
+      };
     }
-  }
 
-  // Handle undo/redo triggered by other users
-  handleRemoteUndo(data) {
-    this.historyIndex = data.historyIndex;
-    this.redrawCanvas();
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return {
+      x: start.x + size * Math.sign(dx || 1),
+      y: start.y + size * Math.sign(dy || 1)
+    };
   }
 
-  handleRemoteRedo(data) {
-    this.historyIndex = data.historyIndex;
-    this.redrawCanvas();
-  }
+  // Commits the dragged shape: paints it for real and sends it as one 'draw' event
+  finishShape() {
+    const shape = this.currentShape;
+    this.currentShape = null;
+    this.clearPreview();
 
-  // Draw strokes received from other users
-  handleRemoteDraw(stroke) {
-    this.addStroke(stroke);
-    this.drawStroke(stroke);
-  }
+    // A click without dragging doesn't make a shape
+    if (shape.start.x === shape.end.x && shape.start.y === shape.end.y) return;
 
-  // Load existing drawing state (e.g., on reconnect)
-  loadDrawingState(state) {
-    this.strokes = state.strokes;
-    this.historyIndex = state.historyIndex;
-    this.redrawCanvas();
-  }
+    this.pendingStrokes.push(shape);
+    this.paintStroke(shape);
+    this.notePaint(shape);
 
-  // Clear everything
-  clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.strokes = [];
-    this.historyIndex = -1;
+    this.wsManager.emit('draw', shape, (response) => {
+      this.handleStrokeAck(shape, response);
+    });
   }
 
-  // Tool configuration setters
-  setTool(tool) {
-    this.currentTool = tool;
+  // Wipes the preview layer
+  clearPreview() {
+    this.clearContext(this.previewCtx);
   }
 
-  setColor(color) {
-    this.currentColor = color;
+  // Drops a paint bucket fill at the clicked point. Only the seed, color and
+  // tolerance are sent; every client computes the filled region itself.
+  placeFill(coords) {
+    const stroke = {
+      tool: 'fill',
+      x: coords.x,
+      y: coords.y,
+      color: this.currentColor,
+      tolerance: this.fillTolerance,
+      layerId: this.activeLayerId
+    };
+
+    this.pendingStrokes.push(stroke);
+    this.paintStroke(stroke);
+    this.notePaint(stroke);
+
+    this.wsManager.emit('draw', stroke, (response) => {
+      this.handleStrokeAck(stroke, response);
+    });
   }
 
-  setStrokeWidth(width) {
-    this.strokeWidth = width;
+  // Stable key of a stroke for fill caching (server id, or a local one while pending)
+  strokeKey(stroke) {
+    if (stroke.id !== undefined) return stroke.id;
+    if (!this.localKeys.has(stroke)) this.localKeys.set(stroke, this.nextLocalKey--);
+    return this.localKeys.get(stroke);
   }
 
-  // Tracks cursor for showing remote user pointers
-  handleCursorMove(e) {
-    const coords = this.getCanvasCoordinates(e);
-    const rect = this.canvas.getBoundingClientRect();
+  // Makes sure every fill in the current render order has an up-to-date image.
+  // A fill depends on everything drawn before it on its layer, so its cache
+  // key is a hash of those strokes; stale or missing fills are recomputed,
+  // and the area they covered and now cover must be repainted.
+  prepareFills() {
+    const order = [...inPaintOrder(this.getVisibleStrokes()), ...(this.replay ? [] : this.pendingStrokes)];
 
-    this.wsManager.emit('cursor-move', {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top
+    const layers = new Map();   // Layer id → { below: strokes so far, hash }
+    order.forEach(stroke => {
+      if (!layers.has(stroke.layerId)) layers.set(stroke.layerId, { below: [], hash: 0 });
+      const layer = layers.get(stroke.layerId);
+
+      if (stroke.tool === 'fill') {
+        const key = `${layer.below.length}:${layer.hash}`;
+        const cached = this.fillCache.get(stroke);
+        if (!cached || cached.key !== key) {
+          const before = this.getStrokeBounds(stroke);
+          this.fillCache.set(stroke, { key, image: this.computeFill(stroke, layer.below.slice()) });
+          this.markDirty(stroke.layerId, before);
+          this.markDirty(stroke.layerId, this.getStrokeBounds(stroke));
+        }
+      }
+      layer.below.push(stroke);
+      layer.hash = (Math.imul(layer.hash, 31) + this.strokeKey(stroke)) | 0;
     });
   }
+
+  // Flood fills the strokes below a fill on its layer. They are replayed onto
+  // an offscreen raster (white, like the canvas, also where they were erased)
+  // covering a logical-size window centered on the seed and aligned to whole
+  // world units, so every client computes the same region whatever its view;
+  // a region larger than the window is clipped.
+  computeFill(stroke, below) {
+    const { width, height } = this.logicalSize;
+    const area = {
+      minX: Math.floor(stroke.x - width / 2),
+      minY: Math.floor(stroke.y - height / 2)
+    };
+    area.maxX = area.minX + width;
+    area.maxY = area.minY + height;
+
+    const raster = document.createElement('canvas');
+    raster.width = width;
+    raster.height = height;
+    const rasterCtx = raster.getContext('2d', { willReadFrequently: true });
+    rasterCtx.fillStyle = '#ffffff';
+    rasterCtx.fillRect(0, 0, width, height);
+    const inWindow = below.filter(s => intersects(this.getStrokeBounds(s), area));
+    this.drawFlattened(rasterCtx, inWindow, [1, 0, 0, 1, -area.minX, -area.minY]);
+
+    const imageData = rasterCtx.getImageData(0, 0, width, height);
+    return this.renderFill(stroke, imageData, area.minX, area.minY);
+  }
+
+  // Turns the region reachable from a fill's seed into a small canvas image.
+  // `originX`/`originY` is the world position of the raster's top-left pixel.
+  renderFill(stroke, imageData, originX, originY) {
+    const result = floodFillMask(imageData, stroke.x - originX, stroke.y - originY, stroke.tolerance);
+    if (!result) return null;
+
+    const { mask, bounds } = result;
+    const width = bounds.maxX - bounds.minX + 1;
+    const height = bounds.maxY - bounds.minY + 1;
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+
+    const imageCtx = image.getContext('2d');
+    const pixels = imageCtx.createImageData(width, height);
+    const [r, g, b] = hexToRgb(stroke.color);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[(bounds.minY + y) * imageData.width + bounds.minX + x]) continue;
+        const offset = (y * width + x) * 4;
+        pixels.data[offset] = r;
+        pixels.data[offset + 1] = g;
+        pixels.data[offset + 2] = b;
+        pixels.data[offset + 3] = 255;
+      }
+    }
+    imageCtx.putImageData(pixels, 0, 0);
+
+    return { canvas: image, x: originX + bounds.minX, y: originY + bounds.minY };
+  }
+
+  // Paints a fill's precomputed region
+  drawFill(stroke, ctx) {
+    if (!this.fillCache.has(stroke)) this.prepareFills();
+
+    const cached = this.fillCache.get(stroke);
+    if (cached && cached.image) {
+      ctx.drawImage(cached.image.canvas, cached.image.x, cached.image.y);
+    }
+  }
+
+  // Opens the inline editor over the canvas for a new or existing text item
+  openTextEditor(draft, initialText = '') {
+    this.textDraft = draft;
+
+    // World units → CSS pixels within the canvas container
+    const scale = this.getViewScale();
+    const editor = this.textEditor;
+
+    editor.value = initialText;
+    editor.style.left = (this.canvas.offsetLeft + this.canvas.clientLeft + (draft.x - this.view.x) * scale) + 'px';
+    editor.style.top = (this.canvas.offsetTop + this.canvas.clientTop + (draft.y - this.view.y) * scale) + 'px';
+    editor.style.font = `${draft.fontSize * scale}px ${TEXT_FONT_FAMILY}`;
+    editor.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    editor.style.color = draft.color;
+    editor.hidden = false;
+    this.autoSizeTextEditor();
+    editor.oninput = () => this.autoSizeTextEditor();
+    editor.focus();
+
+    // While an item is being edited, its old rendering is hidden
+    if (draft.replaces) this.redrawCanvas();
+  }
+
+  // Grows the editor to fit its content
+  autoSizeTextEditor() {
+    const editor = this.textEditor;
+    const lines = editor.value.split('\n');
+    editor.rows = Math.max(lines.length, 1);
+    editor.cols = Math.max(...lines.map(line => line.length), 4) + 1;
+  }
+
+  // Starts editing an existing text item (the edit stays on the item's layer)
+  editText(stroke) {
+    this.openTextEditor({
+      x: stroke.x,
+      y: stroke.y,
+      fontSize: stroke.fontSize,
+      color: stroke.color,
+      replaces: stroke.id,
+      layerId: stroke.layerId
+    }, stroke.text);
+  }
+
+  // Hides the editor without committing anything
+  closeTextEditor() {
+    const draft = this.textDraft;
+    this.textDraft = null;
+    this.textEditor.hidden = true;
+    this.textEditor.oninput = null;
+    if (draft && draft.replaces) this.redrawCanvas();
+  }
+
+  // Turns the editor content into a text stroke and sends it like any other stroke.
+  // Edits reference the item they replace, so undoing an edit brings the old text back.
+  commitText() {
+    const draft = this.textDraft;
+    if (!draft) return;
+
+    const text = this.textEditor.value.replace(/\s+$/, '');
+    const original = draft.replaces && this.strokes.find(s => s.id === draft.replaces);
+    this.closeTextEditor();
+
+    // Empty text, or an edit that changed nothing, creates no stroke
+    if (!text || (original && original.text === text)) return;
+
+    const stroke = {
+      tool: 'text',
+      text,
+      fontSize: draft.fontSize,
+      color: draft.color,
+      x: draft.x,
+      y: draft.y,
+      layerId: draft.layerId
+    };
+    if (draft.replaces) stroke.replaces = draft.replaces;
+
+    this.pendingStrokes.push(stroke);
+    if (stroke.replaces) {
+      this.redrawCanvas();
+    } else {
+      this.paintStroke(stroke);
+      this.notePaint(stroke);
+    }
+
+    this.wsManager.emit('draw', stroke, (response) => {
+      this.handleStrokeAck(stroke, response);
+    });
+  }
+
+  // Edits the text item under the pointer on double-click
+  handleDoubleClick(e) {
+    if (this.isViewOnly()) return;
+    const stroke = this.findTextAt(this.getCanvasCoordinates(e));
+    if (stroke && !this.textDraft) this.editText(stroke);
+  }
+
+  // Returns the bounding box of a text item in world coordinates
+  getTextBounds(stroke) {
+    this.ctx.font = `${stroke.fontSize}px ${TEXT_FONT_FAMILY}`;
+    const lines = stroke.text.split('\n');
+    return {
+      x: stroke.x,
+      y: stroke.y,
+      width: Math.max(...lines.map(line => this.ctx.measureText(line).width)),
+      height: lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  // Finds the topmost committed, visible text item at a point that is not on a locked layer
+  findTextAt(coords) {
+    const visible = this.getVisibleStrokes();
+    for (let i = visible.length - 1; i >= 0; i--) {
+      const stroke = visible[i];
+      if (stroke.tool !== 'text' || this.getLayer(stroke.layerId).locked) continue;
+
+      const box = this.getTextBounds(stroke);
+      if (coords.x >= box.x && coords.x <= box.x + box.width &&
+          coords.y >= box.y && coords.y <= box.y + box.height) {
+        return stroke;
+      }
+    }
+    return null;
+  }
+
+  // Top-down: the topmost selectable stroke under a point. Erasers can't be
+  // picked (they show no paint of their own), nor can strokes on locked layers.
+  findStrokeAt(coords) {
+    const tolerance = HIT_TOLERANCE / this.getViewScale();
+    const visible = this.getVisibleStrokes();
+    for (const layer of this.layers.slice().reverse()) {
+      if (layer.locked) continue;
+      const strokes = inPaintOrder(visible.filter(stroke => stroke.layerId === layer.id)).reverse();
+      const hit = strokes.find(stroke => stroke.tool !== 'eraser' && this.hitsStroke(stroke, coords, tolerance));
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  // True if a point lies on a stroke's paint, or within `tolerance` of its lines
+  hitsStroke(stroke, point, tolerance) {
+    const bounds = this.getStrokeBounds(stroke);
+    if (!bounds || !containsPoint({
+      minX: bounds.minX - tolerance,
+      minY: bounds.minY - tolerance,
+      maxX: bounds.maxX + tolerance,
+      maxY: bounds.maxY + tolerance
+    }, point)) return false;
+
+    const reach = (stroke.width || 0) / 2 + tolerance;
+    switch (stroke.tool) {
+      case 'text':
+      case 'image':
+        return true;
+      case 'fill': {
+        const { canvas, x, y } = this.fillCache.get(stroke).image;
+        const pixel = canvas.getContext('2d').getImageData(Math.floor(point.x - x), Math.floor(point.y - y), 1, 1);
+        return pixel.data[3] > 0;
+      }
+      case 'rectangle': {
+        const box = {
+          minX: Math.min(stroke.start.x, stroke.end.x),
+          minY: Math.min(stroke.start.y, stroke.end.y),
+          maxX: Math.max(stroke.start.x, stroke.end.x),
+          maxY: Math.max(stroke.start.y, stroke.end.y)
+        };
+        return (stroke.fill && containsPoint(box, point)) || distanceToPolyline(point, boxOutline(box)) <= reach;
+      }
+      case 'ellipse': {
+        const outline = ellipseOutline(stroke);
+        return (stroke.fill && insidePolygon(point, outline)) || distanceToPolyline(point, outline) <= reach;
+      }
+      default:
+        return distanceToPolyline(point, stroke.points || [stroke.start, stroke.end]) <= reach;
+    }
+  }
+
+  // Points that must all lie inside a lasso for it to pick the stroke
+  getLassoPoints(stroke) {
+    switch (stroke.tool) {
+      case 'brush':
+        return stroke.points;
+      case 'line':
+      case 'arrow':
+        return [stroke.start, stroke.end];
+      case 'ellipse':
+        return ellipseOutline(stroke);
+      case 'rectangle':
+        return [stroke.start, stroke.end, { x: stroke.start.x, y: stroke.end.y }, { x: stroke.end.x, y: stroke.start.y }];
+      case 'fill':
+        return [{ x: stroke.x, y: stroke.y }];
+      default:
+        return boxOutline(this.getStrokeBounds(stroke));
+    }
+  }
+
+  // Selected strokes that are still there (visible and unlocked), in server order
+  getSelectedStrokes() {
+    return this.getVisibleStrokes().filter(stroke =>
+      this.selection.has(stroke.id) && !this.getLayer(stroke.layerId).locked);
+  }
+
+  // Box around the selected strokes, as they are shown (moved or scaled while dragging)
+  getSelectionBounds() {
+    const bounds = this.getSelectedStrokes()
+      .map(stroke => this.getStrokeBounds(stroke))
+      .filter(Boolean)
+      .reduce((all, box) => all ? unionBounds(all, box) : box, null);
+    if (!bounds || !this.selectionTransform) return bounds;
+
+    const { x, y, factor, dx, dy } = this.selectionTransform;
+    return {
+      minX: x + (bounds.minX - x) * factor + dx,
+      minY: y + (bounds.minY - y) * factor + dy,
+      maxX: x + (bounds.maxX - x) * factor + dx,
+      maxY: y + (bounds.maxY - y) * factor + dy
+    };
+  }
+
+  // Starts a selection gesture: dragging the corner handle scales the
+  // selection, dragging a stroke or the inside of the selection moves it,
+  // anything else draws a lasso. Shift-clicking adds or removes strokes.
+  startSelection(coords, additive) {
+    // The last move or scale is still on its way to the server
+    if (this.selectionTransform) return;
+
+    const bounds = this.getSelectionBounds();
+    const handle = SELECTION_HANDLE_SIZE / this.getViewScale();
+    if (bounds && !additive && Math.abs(coords.x - bounds.maxX) <= handle && Math.abs(coords.y - bounds.maxY) <= handle) {
+      this.selectionDrag = { mode: 'scale', start: coords, origin: { x: bounds.minX, y: bounds.minY } };
+      return;
+    }
+
+    const hit = this.findStrokeAt(coords);
+    if (hit && additive) {
+      if (this.selection.has(hit.id)) {
+        this.selection.delete(hit.id);
+      } else {
+        this.selection.add(hit.id);
+      }
+    } else if (hit && !this.selection.has(hit.id)) {
+      this.selection = new Set([hit.id]);
+    }
+
+    if (!additive && (hit || (bounds && containsPoint(bounds, coords)))) {
+      this.selectionDrag = { mode: 'move', start: coords };
+    } else if (!hit) {
+      if (!additive) this.selection = new Set();
+      this.selectionDrag = { mode: 'lasso', points: [coords] };
+    }
+    this.showSelection();
+    this.notifySelection();
+  }
+
+  updateSelectionDrag(coords) {
+    const drag = this.selectionDrag;
+    if (drag.mode === 'lasso') {
+      drag.points.push(coords);
+      this.showSelection();
+      return;
+    }
+
+    const firstUpdate = !this.selectionTransform;
+    if (drag.mode === 'move') {
+      this.selectionTransform = { x: 0, y: 0, factor: 1, dx: coords.x - drag.start.x, dy: coords.y - drag.start.y };
+    } else {
+      // Project the pointer onto the diagonal from the fixed top-left corner
+      const { origin, start } = drag;
+      const diagonal = { x: start.x - origin.x, y: start.y - origin.y };
+      const length = diagonal.x * diagonal.x + diagonal.y * diagonal.y;
+      const projected = ((coords.x - origin.x) * diagonal.x + (coords.y - origin.y) * diagonal.y) / length;
+      this.selectionTransform = { x: origin.x, y: origin.y, factor: Math.max(projected, MIN_SELECTION_SCALE), dx: 0, dy: 0 };
+    }
+
+    // The selected strokes leave their layers and follow the pointer on the preview
+    if (firstUpdate) {
+      this.redrawCanvas();
+    } else {
+      this.showSelection();
+    }
+  }
+
+  // Ends a selection gesture: a lasso selects the strokes it surrounds, a
+  // move or scale is sent to the server
+  finishSelectionDrag() {
+    const drag = this.selectionDrag;
+    this.selectionDrag = null;
+
+    if (drag.mode === 'lasso') {
+      if (drag.points.length > 2) {
+        this.getVisibleStrokes().forEach(stroke => {
+          if (stroke.tool === 'eraser' || this.getLayer(stroke.layerId).locked) return;
+          if (this.getLassoPoints(stroke).every(point => insidePolygon(point, drag.points))) this.selection.add(stroke.id);
+        });
+      }
+      this.showSelection();
+      this.notifySelection();
+      return;
+    }
+
+    // A click without dragging only selects
+    const transform = this.selectionTransform;
+    if (!transform) return;
+    if (transform.factor === 1) {
+      this.editSelection({ action: 'move', dx: transform.dx, dy: transform.dy });
+    } else {
+      this.editSelection({ action: 'scale', x: transform.x, y: transform.y, factor: transform.factor });
+    }
+  }
+
+  // Sends an edit of the selected strokes. The server answers every client
+  // with the new versions ('edit-strokes', see handleRemoteEdit); until then
+  // a move or scale stays previewed.
+  editSelection(edit) {
+    const ids = this.getSelectedStrokes().map(stroke => stroke.id);
+    if (ids.length === 0 || this.isViewOnly()) {
+      this.cancelSelectionTransform();
+      return;
+    }
+
+    this.wsManager.emit('edit-strokes', { ids, ...edit }, (response) => {
+      if (!response || !response.ok) console.warn('Edit rejected by server:', response ? response.error : 'No response from server');
+      this.cancelSelectionTransform();
+    });
+  }
+
+  recolorSelection(color) {
+    if (this.selection.size > 0) this.editSelection({ action: 'recolor', color });
+  }
+
+  deleteSelection() {
+    if (this.selection.size > 0) this.editSelection({ action: 'delete' });
+  }
+
+  clearSelection() {
+    if (this.selection.size === 0 && !this.selectionDrag) return;
+    this.selection = new Set();
+    this.selectionDrag = null;
+    this.cancelSelectionTransform();
+    this.showSelection();
+    this.notifySelection();
+  }
+
+  cancelSelectionTransform() {
+    if (!this.selectionTransform) return;
+    this.selectionTransform = null;
+    this.redrawCanvas();
+  }
+
+  notifySelection() {
+    if (this.onSelectionChange) this.onSelectionChange(this.selection.size);
+  }
+
+  // Paints the selection on the preview layer: the selected strokes while
+  // they are moved or scaled, a dashed box with the scale handle, and the
+  // lasso being drawn. Selected strokes that went away are deselected.
+  showSelection() {
+    if (this.currentTool !== 'select') return;
+    this.clearPreview();
+
+    const selected = this.getSelectedStrokes();
+    if (selected.length !== this.selection.size && !this.selectionTransform) {
+      this.selection = new Set(selected.map(stroke => stroke.id));
+      this.notifySelection();
+    }
+
+    const ctx = this.previewCtx;
+    const pixel = 1 / this.getViewScale();   // One CSS pixel in world units
+    ctx.save();
+    if (this.selectionTransform) {
+      const { x, y, factor, dx, dy } = this.selectionTransform;
+      ctx.save();
+      ctx.translate(x + dx, y + dy);
+      ctx.scale(factor, factor);
+      ctx.translate(-x, -y);
+      inPaintOrder(selected).forEach(stroke => this.drawStroke(stroke, ctx));
+      ctx.restore();
+    }
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = '#06b6d4';
+    ctx.lineWidth = pixel;
+    ctx.setLineDash([4 * pixel, 4 * pixel]);
+
+    const drag = this.selectionDrag;
+    if (drag && drag.mode === 'lasso') {
+      ctx.beginPath();
+      drag.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.stroke();
+    }
+
+    const bounds = this.getSelectionBounds();
+    if (bounds) {
+      ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+      const handle = SELECTION_HANDLE_SIZE * pixel;
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(bounds.maxX - handle / 2, bounds.maxY - handle / 2, handle, handle);
+      ctx.strokeRect(bounds.maxX - handle / 2, bounds.maxY - handle / 2, handle, handle);
+    }
+    ctx.restore();
+  }
+
+  // New versions of strokes someone moved, scaled, recolored or deleted.
+  // Our selection follows the strokes to their new versions.
+  handleRemoteEdit({ userId, strokes }) {
+    strokes.forEach(stroke => {
+      this.addStroke(stroke);
+      if (this.selection.has(stroke.replaces)) {
+        this.selection.delete(stroke.replaces);
+        if (!stroke.deleted) this.selection.add(stroke.id);
+      }
+    });
+    if (userId === this.userId) this.selectionTransform = null;
+    this.redrawCanvas();
+    this.notifySelection();
+  }
+
+  // Starts dragging the stroke eraser, which removes every stroke on the
+  // active layer it touches. They disappear at once; the server removes
+  // them for everyone on release, as one undoable step.
+  startStrokeErase(coords) {
+    // The last removal is still on its way to the server
+    if (this.strokeErase) return;
+    this.strokeErase = { ids: new Set(), last: coords };
+    this.eraseStrokesAt(coords);
+  }
+
+  // Checks the path from the last pointer position in steps no longer than
+  // the eraser's reach, so fast drags don't skip thin strokes
+  continueStrokeErase(coords) {
+    const { last } = this.strokeErase;
+    const reach = Math.max(this.strokeWidth, HIT_TOLERANCE / this.getViewScale());
+    const steps = Math.ceil(Math.hypot(coords.x - last.x, coords.y - last.y) / reach);
+    for (let i = 1; i <= steps; i++) {
+      this.eraseStrokesAt({ x: last.x + (coords.x - last.x) * i / steps, y: last.y + (coords.y - last.y) * i / steps });
+    }
+    this.strokeErase.last = coords;
+  }
+
+  eraseStrokesAt(point) {
+    const tolerance = Math.max(this.strokeWidth, HIT_TOLERANCE / this.getViewScale());
+    const touched = this.getVisibleStrokes().filter(stroke =>
+      stroke.layerId === this.activeLayerId &&
+      stroke.tool !== 'eraser' &&
+      !this.strokeErase.ids.has(stroke.id) &&
+      this.hitsStroke(stroke, point, tolerance));
+    if (touched.length === 0) return;
+
+    touched.forEach(stroke => this.strokeErase.ids.add(stroke.id));
+    this.redrawCanvas();
+  }
+
+  finishStrokeErase() {
+    const erase = this.strokeErase;
+    erase.last = null;
+    if (erase.ids.size === 0 || this.isViewOnly()) {
+      this.cancelStrokeErase();
+      return;
+    }
+
+    this.wsManager.emit('edit-strokes', { ids: Array.from(erase.ids), action: 'delete' }, (response) => {
+      if (!response || !response.ok) console.warn('Erase rejected by server:', response ? response.error : 'No response from server');
+      this.cancelStrokeErase();
+    });
+  }
+
+  // Shows the strokes the stroke eraser touched again (unless the server removed them meanwhile)
+  cancelStrokeErase() {
+    if (!this.strokeErase) return;
+    this.strokeErase = null;
+    this.redrawCanvas();
+  }
+
+  // Applies the server's answer to one of our own strokes. If the connection
+  // dropped before the answer came, the stroke stays pending until resync().
+  handleStrokeAck(stroke, response) {
+    if (response && response.offline) {
+      this.unconfirmed.add(stroke);
+    } else if (response && response.ok) {
+      this.confirmStroke(stroke, response);
+    } else {
+      this.rejectStroke(stroke, response ? response.error : 'No response from server');
+    }
+  }
+
+  // Removes an own stroke from pending, if it is still there
+  // @returns {boolean} True if the stroke was pending
+  takePendingStroke(stroke) {
+    const index = this.pendingStrokes.indexOf(stroke);
+    if (index === -1) return false;
+    this.pendingStrokes.splice(index, 1);
+    return true;
+  }
+
+  // Moves an acknowledged own stroke from pending into the shared history.
+  // If the server kept fewer points than we drew (some were rejected), its
+  // copy wins so every client shows the same stroke.
+  confirmStroke(stroke, { id, points }) {
+    if (!this.takePendingStroke(stroke)) return;
+
+    const committed = { ...stroke, id, authorId: this.userId };
+    if (points) committed.points = points;
+    this.commitStroke(stroke, committed, Boolean(points));
+  }
+
+  // Drops an own stroke the server refused
+  rejectStroke(stroke, error) {
+    if (!this.takePendingStroke(stroke)) return;
+
+    console.warn('Stroke rejected by server:', error);
+    this.paintOrder.delete(stroke);
+    this.redrawCanvas();
+  }
+
+  // Adds a stroke that was painted while in progress to the history,
+  // repainting if its on-screen stacking no longer matches server order
+  commitStroke(inProgress, committed, forceRedraw = false) {
+    const overdrawn = this.settlePaintOrder(inProgress);
+    this.addStroke(committed);
+    if (overdrawn || forceRedraw) this.redrawCanvas();
+  }
+
+  // Adds a stroke to the history; the author's own undone strokes can no longer be redone
+  addStroke(stroke) {
+    this.strokes = this.strokes.filter(s => !(s.hidden && s.authorId === stroke.authorId));
+    this.strokes.push(stroke);
+  }
+
+  // Paint-order bookkeeping. In-progress strokes (our own, pending acks and
+  // remote live strokes) are painted incrementally, which can differ from the
+  // final server order. Every paint gets a sequence number; if a stroke that
+  // ends up below another one was painted after it started, we repaint.
+  notePaint(stroke) {
+    const seq = ++this.paintSeq;
+    const order = this.paintOrder.get(stroke);
+    if (order) {
+      order.last = seq;
+    } else {
+      this.paintOrder.set(stroke, { first: seq, last: seq });
+    }
+  }
+
+  // Forgets an in-progress stroke's paint order once it is committed
+  // @returns {boolean} True if something committed earlier was painted over it
+  settlePaintOrder(stroke) {
+    const order = this.paintOrder.get(stroke);
+    if (!order) return false;
+    this.paintOrder.delete(stroke);
+
+    const overdrawn = this.committedPaintSeq > order.first;
+    this.committedPaintSeq = Math.max(this.committedPaintSeq, order.last);
+    return overdrawn;
+  }
+
+  // Applies the drawing style of a stroke to a context. The eraser removes
+  // paint (from the layer it is drawn on) instead of adding any.
+  applyStrokeStyle(stroke, ctx) {
+    ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = stroke.tool === 'eraser' ? '#000000' : stroke.color;
+    ctx.lineWidth = stroke.tool === 'eraser' ? stroke.width * 2 : stroke.width;
+  }
+
+  // Draws the pieces of a freehand stroke (see freehandPieces) from the one
+  // of point `fromIndex` onwards. A stroke still being drawn has no last
+  // piece yet: its shape depends on the next point, so it is left out
+  // unless `complete` is set.
+  drawSegments(stroke, fromIndex, ctx, complete = false) {
+    const points = stroke.points;
+    if (points.length < 2) return;
+    const pieces = freehandPieces(points).slice(Math.max(fromIndex, 0), complete ? points.length : points.length - 1);
+    if (pieces.length === 0) return;
+
+    ctx.beginPath();
+    this.applyStrokeStyle(stroke, ctx);
+
+    // Pen strokes vary in width, so each piece gets the width of its pressure
+    if (points[0].pressure !== undefined) {
+      const width = ctx.lineWidth;
+      pieces.forEach(piece => {
+        ctx.beginPath();
+        ctx.lineWidth = width * pressureScale(piece.point);
+        tracePiece(ctx, piece, true);
+        ctx.stroke();
+      });
+      return;
+    }
+
+    pieces.forEach((piece, i) => tracePiece(ctx, piece, i === 0));
+    ctx.stroke();
+  }
+
+  // Draws a line, rectangle, ellipse or arrow from its start and end points
+  drawShape(shape, ctx) {
+    const { start, end } = shape;
+
+    ctx.beginPath();
+    this.applyStrokeStyle(shape, ctx);
+    ctx.fillStyle = shape.color;
+
+    switch (shape.tool) {
+      case 'line':
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        break;
+
+      case 'rectangle':
+        ctx.rect(
+          Math.min(start.x, end.x),
+          Math.min(start.y, end.y),
+          Math.abs(end.x - start.x),
+          Math.abs(end.y - start.y)
+        );
+        if (shape.fill) ctx.fill();
+        ctx.stroke();
+        break;
+
+      case 'ellipse':
+        ctx.ellipse(
+          (start.x + end.x) / 2,
+          (start.y + end.y) / 2,
+          Math.abs(end.x - start.x) / 2,
+          Math.abs(end.y - start.y) / 2,
+          0, 0, Math.PI * 2
+        );
+        if (shape.fill) ctx.fill();
+        ctx.stroke();
+        break;
+
+      case 'arrow': {
+        // Shaft, then a filled head scaled to the line width
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const headLength = Math.max(12, shape.width * 3);
+        const spread = Math.PI / 7;
+
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - headLength * Math.cos(angle - spread), end.y - headLength * Math.sin(angle - spread));
+        ctx.lineTo(end.x - headLength * Math.cos(angle + spread), end.y - headLength * Math.sin(angle + spread));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+      }
+    }
+  }
+
+  // Draws a (possibly multi-line) text item with its top-left corner at x/y
+  drawText(stroke, ctx) {
+    ctx.font = `${stroke.fontSize}px ${TEXT_FONT_FAMILY}`;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = stroke.color;
+
+    stroke.text.split('\n').forEach((line, i) => {
+      ctx.fillText(line, stroke.x, stroke.y + i * stroke.fontSize * TEXT_LINE_HEIGHT);
+    });
+  }
+
+  // Draws an imported image. Images decode asynchronously: the first call
+  // starts loading, and once the image is ready the canvas is repainted and
+  // fills are recomputed (they may have been computed without it).
+  drawImageItem(stroke, ctx) {
+    let image = this.images.get(stroke.src);
+    if (!image) {
+      image = new Image();
+      image.onload = () => {
+        this.fillCache = new WeakMap();
+        this.invalidateRenders();
+        this.redrawCanvas();
+      };
+      image.src = stroke.src;
+      this.images.set(stroke.src, image);
+    }
+    if (image.complete && image.naturalWidth > 0) {
+      ctx.drawImage(image, stroke.x, stroke.y, stroke.width, stroke.height);
+    }
+  }
+
+  // Replays a stroke on a context: its layer's, the preview layer, or an offscreen raster
+  drawStroke(stroke, ctx) {
+    ctx.globalCompositeOperation = 'source-over';
+    if (stroke.tool === 'image') {
+      this.drawImageItem(stroke, ctx);
+      return;
+    }
+    if (SHAPE_TOOLS.includes(stroke.tool)) {
+      this.drawShape(stroke, ctx);
+      return;
+    }
+    if (stroke.tool === 'text') {
+      this.drawText(stroke, ctx);
+      return;
+    }
+    if (stroke.tool === 'fill') {
+      this.drawFill(stroke, ctx);
+      return;
+    }
+
+    if (stroke.points.length === 0) return;
+    this.drawSegments(stroke, 0, ctx, true);
+  }
+
+  // World bounding box of a stroke including its line width, or null if it
+  // paints nothing. Committed strokes never change, so their boxes are cached.
+  getStrokeBounds(stroke) {
+    if (stroke.tool === 'fill') {
+      const cached = this.fillCache.get(stroke);
+      if (!cached || !cached.image) return null;
+      const { canvas, x, y } = cached.image;
+      return { minX: x, minY: y, maxX: x + canvas.width, maxY: y + canvas.height };
+    }
+    if (stroke.id !== undefined && this.boundsCache.has(stroke)) return this.boundsCache.get(stroke);
+
+    let bounds;
+    if (stroke.tool === 'image') {
+      bounds = { minX: stroke.x, minY: stroke.y, maxX: stroke.x + stroke.width, maxY: stroke.y + stroke.height };
+    } else if (stroke.tool === 'text') {
+      const box = this.getTextBounds(stroke);
+      bounds = { minX: box.x, minY: box.y, maxX: box.x + box.width, maxY: box.y + box.height };
+    } else {
+      const points = SHAPE_TOOLS.includes(stroke.tool) ? [stroke.start, stroke.end] : stroke.points;
+      const xs = points.map(point => point.x);
+      const ys = points.map(point => point.y);
+
+      // Half the line width on each side, the eraser paints twice as wide,
+      // and arrow heads stick out past the end point
+      let pad = stroke.tool === 'eraser' ? stroke.width : stroke.width / 2;
+      if (stroke.tool === 'arrow') pad += Math.max(12, stroke.width * 3);
+      bounds = {
+        minX: Math.min(...xs) - pad,
+        minY: Math.min(...ys) - pad,
+        maxX: Math.max(...xs) + pad,
+        maxY: Math.max(...ys) + pad
+      };
+    }
+
+    if (stroke.id !== undefined) this.boundsCache.set(stroke, bounds);
+    return bounds;
+  }
+
+  // Ids of strokes superseded by an edit (e.g. the old version of an edited text).
+  // An edit counts as long as it is not undone, and pending edits count too.
+  getReplacedIds() {
+    const replaced = findReplacedIds([...this.strokes, ...this.pendingStrokes]);
+    if (this.textDraft && this.textDraft.replaces) replaced.add(this.textDraft.replaces);
+    return replaced;
+  }
+
+  // Committed strokes that are currently visible, in server order (or the
+  // replay's strokes at its current position). Hidden layers show nothing.
+  getVisibleStrokes() {
+    let strokes;
+    if (this.replay) {
+      strokes = this.getReplayStrokes();
+    } else {
+      const replaced = this.getReplacedIds();
+      strokes = this.strokes.filter(stroke => !stroke.hidden && !stroke.deleted && !replaced.has(stroke.id));
+    }
+    return strokes.filter(stroke => this.getLayer(stroke.layerId).visible);
+  }
+
+  // Brings every visible layer up to date with the visible strokes, in
+  // server order, followed by strokes still in progress (own pending,
+  // remote live, own current). Each layer only repaints what changed since
+  // the last redraw, and only inside the view (see renderLayer). Selected
+  // strokes being moved or scaled are shown on the preview layer instead
+  // (see showSelection), and strokes the stroke eraser touched are left out.
+  redrawCanvas() {
+    // Undo/redo before a fill changes what it covers
+    this.prepareFills();
+
+    const skipped = new Set([
+      ...(this.selectionTransform ? this.selection : []),
+      ...(this.strokeErase ? this.strokeErase.ids : [])
+    ]);
+    const byLayer = new Map();   // Layer id → strokes to show on it, in paint order
+    inPaintOrder(this.getVisibleStrokes()).forEach(stroke => {
+      if (skipped.has(stroke.id)) return;
+      if (!byLayer.has(stroke.layerId)) byLayer.set(stroke.layerId, []);
+      byLayer.get(stroke.layerId).push(stroke);
+    });
+    this.committedPaintSeq = ++this.paintSeq;
+
+    // Strokes in progress belong to the live room, which a replay hides
+    const inProgress = this.replay ? [] : [
+      ...this.pendingStrokes,
+      ...Array.from(this.liveStrokes.values(), live => live.stroke),
+      ...(this.currentStroke ? [this.currentStroke] : [])
+    ];
+
+    // Hidden layers keep their canvas as it is until they are shown again
+    this.layers.filter(layer => layer.visible).forEach(layer => {
+      this.renderLayer(layer.id, byLayer.get(layer.id) || [], inProgress.filter(stroke => stroke.layerId === layer.id));
+    });
+    inProgress.forEach(stroke => {
+      this.paintOrder.delete(stroke);
+      this.notePaint(stroke);
+    });
+    this.liveStrokes.forEach(live => { live.drawn = live.stroke.points.length; });
+    this.compositeLayers();
+    this.showSelection();
+  }
+
+  // Repaints one layer's canvas so it shows `strokes` (committed, in paint
+  // order) and then `inProgress`, reusing what it already shows. The strokes
+  // before the first one that differs from the last render are unchanged,
+  // and a checkpoint taken among them is copied back instead of replaying
+  // them. If no later checkpoint is lost, the rest is only repainted where
+  // something changed (a dirty region: strokes that appeared or went away,
+  // recomputed fills and paint left by strokes drawn incrementally);
+  // otherwise the whole layer is repainted from the checkpoint, taking new
+  // checkpoints every CHECKPOINT_INTERVAL strokes. Strokes keep their
+  // relative order from one render to the next (the server order never
+  // changes), so only strokes that appeared or went away move pixels.
+  // Strokes outside the view are listed but not painted, so checkpoints
+  // stay valid when the view pans over them.
+  renderLayer(layerId, strokes, inProgress) {
+    const ctx = this.getLayerContext(layerId);
+    const render = this.layerRenders.get(layerId);
+    const previous = render ? render.strokes : [];
+
+    let same = 0;
+    while (same < strokes.length && same < previous.length && strokes[same] === previous[same]) same++;
+    const checkpoints = render ? render.checkpoints.filter(checkpoint => checkpoint.count <= same) : [];
+    const base = checkpoints[checkpoints.length - 1];
+    const baseCount = base ? base.count : 0;
+
+    let region = null;
+    if (render && checkpoints.length === render.checkpoints.length) {
+      const shown = new Set(strokes);
+      const before = new Set(previous);
+      region = this.dirtyRegions.get(layerId) || null;
+      [
+        ...previous.slice(same).filter(stroke => !shown.has(stroke)),
+        ...strokes.slice(same).filter(stroke => !before.has(stroke)),
+        ...(this.extraPaint.get(layerId) || []),
+        ...inProgress
+      ].forEach(stroke => {
+        const box = this.getStrokeBounds(stroke);
+        if (box) region = region ? unionBounds(region, box) : box;
+      });
+      if (!region) {
+        // Nothing that paints changed
+        this.layerRenders.set(layerId, { strokes, checkpoints });
+        return;
+      }
+    }
+    this.dirtyRegions.delete(layerId);
+    this.extraPaint.set(layerId, new Set(inProgress));
+
+    // Dirty regions are cleared and clipped on whole device pixels, with a
+    // margin for antialiasing
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (region) {
+      const [scale, , , , offsetX, offsetY] = this.viewTransform;
+      const left = Math.floor(region.minX * scale + offsetX) - 2;
+      const top = Math.floor(region.minY * scale + offsetY) - 2;
+      const width = Math.ceil(region.maxX * scale + offsetX) + 2 - left;
+      const height = Math.ceil(region.maxY * scale + offsetY) + 2 - top;
+      ctx.beginPath();
+      ctx.rect(left, top, width, height);
+      ctx.clip();
+      ctx.clearRect(left, top, width, height);
+      region = {
+        minX: (left - offsetX) / scale,
+        minY: (top - offsetY) / scale,
+        maxX: (left + width - offsetX) / scale,
+        maxY: (top + height - offsetY) / scale
+      };
+    } else {
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+    if (base) ctx.drawImage(base.canvas, 0, 0);
+    ctx.setTransform(...this.viewTransform);
+    const painted = region || this.getViewBounds();
+
+    // A checkpoint can be taken whenever the layer shows exactly the first
+    // `count` strokes: anywhere in a full repaint, at the end otherwise
+    strokes.slice(baseCount).forEach((stroke, index) => {
+      if (intersects(this.getStrokeBounds(stroke), painted)) this.drawStroke(stroke, ctx);
+
+      const count = baseCount + index + 1;
+      const last = checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].count : 0;
+      if ((!region || count === strokes.length) && count - last >= CHECKPOINT_INTERVAL) {
+        checkpoints.push({ count, canvas: this.copyLayer(ctx.canvas) });
+        if (checkpoints.length > MAX_LAYER_CHECKPOINTS) checkpoints.shift();
+      }
+    });
+    inProgress.forEach(stroke => {
+      // Strokes still being drawn get their last piece when they are finished
+      if (this.isGrowing(stroke)) {
+        this.drawSegments(stroke, 0, ctx);
+      } else {
+        this.drawStroke(stroke, ctx);
+      }
+    });
+    ctx.restore();
+
+    this.layerRenders.set(layerId, { strokes, checkpoints });
+  }
+
+  // True for a freehand stroke that is still being drawn, here or remotely
+  isGrowing(stroke) {
+    return stroke === this.currentStroke || Array.from(this.liveStrokes.values()).some(live => live.stroke === stroke);
+  }
+
+  // Copies a layer canvas for a checkpoint, with a context set up like the
+  // layer's (pans paint strokes on it, see shiftRenders)
+  copyLayer(layerCanvas) {
+    const copy = document.createElement('canvas');
+    copy.width = layerCanvas.width;
+    copy.height = layerCanvas.height;
+    const ctx = copy.getContext('2d');
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.drawImage(layerCanvas, 0, 0);
+    return copy;
+  }
+
+  // A remote user started a stroke
+  handleRemoteStrokeBegin({ userId, stroke }) {
+    this.handleRemoteStrokeCancel({ userId });
+    this.liveStrokes.set(userId, { stroke, drawn: 0 });
+    this.notePaint(stroke);
+  }
+
+  // More points of a remote live stroke arrived; they are painted on the next frame
+  handleRemoteStrokePoints({ userId, points }) {
+    const live = this.liveStrokes.get(userId);
+    if (!live) return;
+
+    live.stroke.points.push(...points);
+    if (!this.liveFrame) {
+      this.liveFrame = requestAnimationFrame(() => this.renderLiveStrokes());
+    }
+  }
+
+  // Paints the points of remote live strokes received since the last frame
+  renderLiveStrokes() {
+    this.liveFrame = null;
+    if (this.replay) return;   // Painted in full when the replay ends
+    this.liveStrokes.forEach(live => {
+      if (live.drawn >= live.stroke.points.length) return;
+      this.paintStroke(live.stroke, live.drawn - 1);
+      live.drawn = live.stroke.points.length;
+      this.notePaint(live.stroke);
+    });
+  }
+
+  // A remote live stroke was committed by the server, simplified with its
+  // author's tolerance (see stopDrawing)
+  handleRemoteStrokeEnd({ userId, id, tolerance }) {
+    const live = this.liveStrokes.get(userId);
+    if (!live) return;
+
+    this.renderLiveStrokes();
+    this.liveStrokes.delete(userId);
+    const points = simplifyPoints(live.stroke.points, tolerance || 0);
+    const simplified = points.length < live.stroke.points.length;
+    const committed = { ...live.stroke, points, id, authorId: userId };
+    if (!simplified && !this.replay) this.paintStroke(live.stroke, points.length - 1, true);   // Its last piece
+    this.commitStroke(live.stroke, committed, simplified);
+  }
+
+  // A remote live stroke was abandoned (its author disconnected)
+  handleRemoteStrokeCancel({ userId }) {
+    const live = this.liveStrokes.get(userId);
+    if (!live) return;
+
+    this.liveStrokes.delete(userId);
+    this.paintOrder.delete(live.stroke);
+    this.redrawCanvas();
+  }
+
+  // Undo/redo only ever affect the current user's own strokes. The server decides
+  // which strokes change and broadcasts it to everyone, including us, so all
+  // canvases converge on the same result.
+  undo() {
+    if (!this.isViewOnly()) this.wsManager.emit('undo', undefined, (response) => this.handleHistoryAck('Undo', response));
+  }
+
+  redo() {
+    if (!this.isViewOnly()) this.wsManager.emit('redo', undefined, (response) => this.handleHistoryAck('Redo', response));
+  }
+
+  // Undo and redo are refused when there is nothing to change or the
+  // strokes lie on a locked layer
+  handleHistoryAck(action, response) {
+    if (!response || !response.ok) console.warn(`${action} rejected by server:`, response ? response.error : 'No response from server');
+  }
+
+  // Apply undo/redo results broadcast by the server
+  handleRemoteUndo(data) {
+    this.setHidden(data.strokeIds, true);
+    this.redrawCanvas();
+  }
+
+  handleRemoteRedo(data) {
+    this.setHidden(data.strokeIds, false);
+    this.redrawCanvas();
+  }
+
+  // Marks the given strokes as hidden (undone) or visible
+  setHidden(strokeIds, hidden) {
+    const ids = new Set(strokeIds);
+    this.strokes.forEach(stroke => {
+      if (ids.has(stroke.id)) stroke.hidden = hidden;
+    });
+  }
+
+  // Draw complete strokes received from other users
+  handleRemoteDraw(stroke) {
+    this.addStroke(stroke);
+    if (this.replay) return;
+    this.paintStroke(stroke);
+    this.committedPaintSeq = ++this.paintSeq;
+  }
+
+  // Strokes imported by anyone (including us) arrive together. Images go
+  // beneath existing strokes, so the whole canvas is repainted.
+  handleImport({ strokes }) {
+    strokes.forEach(stroke => this.addStroke(stroke));
+    this.redrawCanvas();
+  }
+
+  // Where to place an imported image of the given pixel size: centered in
+  // the current view and scaled down to fit comfortably inside it
+  getImagePlacement(width, height) {
+    const view = this.getViewBounds();
+    const viewWidth = view.maxX - view.minX;
+    const viewHeight = view.maxY - view.minY;
+    const scale = Math.min(1, viewWidth * IMPORT_VIEW_SHARE / width, viewHeight * IMPORT_VIEW_SHARE / height);
+    return {
+      x: view.minX + (viewWidth - width * scale) / 2,
+      y: view.minY + (viewHeight - height * scale) / 2,
+      width: width * scale,
+      height: height * scale
+    };
+  }
+
+  // The connection dropped: a stroke being streamed is lost on the server
+  // and will be sent whole instead
+  handleConnectionLost() {
+    if (this.isDrawing && this.currentStroke) {
+      this.sendWhole = true;
+      this.outgoingPoints = [];
+    }
+  }
+
+  // Replaces our copy of the room with the server's after rejoining. Own
+  // strokes still pending are kept on top. Those whose request was in flight
+  // when the connection dropped either reached the server (their copy is in
+  // the state, by us, with an id we never heard of) or are sent again, ahead
+  // of anything drawn while offline.
+  resync(state) {
+    const knownIds = new Set(this.strokes.map(stroke => stroke.id));
+    const arrived = state.strokes.filter(stroke => stroke.authorId === this.userId && !knownIds.has(stroke.id));
+
+    this.liveStrokes.clear();
+    this.fillCache = new WeakMap();
+    this.boundsCache = new WeakMap();
+    this.invalidateRenders();
+
+    this.pendingStrokes.filter(stroke => this.unconfirmed.has(stroke)).forEach(stroke => {
+      this.unconfirmed.delete(stroke);
+      const copy = arrived.find(committed => isCopyOf(committed, stroke));
+      if (copy) {
+        arrived.splice(arrived.indexOf(copy), 1);
+        this.takePendingStroke(stroke);
+        this.paintOrder.delete(stroke);
+      } else {
+        this.wsManager.resend('draw', stroke, (response) => this.handleStrokeAck(stroke, response));
+      }
+    });
+
+    this.loadDrawingState(state);
+  }
+
+  // Load existing drawing state (e.g., on reconnect)
+  loadDrawingState(state) {
+    if (state.size) {
+      this.logicalSize = { width: state.size.width, height: state.size.height };
+      this.setupCanvas();
+    }
+    this.strokes = state.strokes;
+    this.setLayers(state.layers);
+  }
+
+  // Clear everything except the visible strokes on locked layers, like the
+  // server. Own strokes still in flight reach the server after the clear,
+  // so they survive it there and must stay here too.
+  clear() {
+    const replaced = findReplacedIds(this.strokes);
+    this.strokes = this.strokes.filter(stroke =>
+      !stroke.hidden && !stroke.deleted && !replaced.has(stroke.id) && this.getLayer(stroke.layerId).locked);
+    this.images.forEach((image, src) => {
+      if (!this.strokes.some(stroke => stroke.src === src)) this.images.delete(src);
+    });
+    this.redrawCanvas();
+  }
+
+  // Layer a stroke belongs to. Strokes can only arrive after their layer,
+  // but one we don't know of is treated as hidden and locked.
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || { id: layerId, visible: false, locked: true };
+  }
+
+  // The room's layers changed (or arrived with the room state). Whatever
+  // we were drawing on a layer that just got locked or hidden is dropped.
+  setLayers(layers) {
+    this.layers = layers;
+    if (!layers.some(layer => layer.id === this.activeLayerId)) {
+      this.activeLayerId = layers[layers.length - 1].id;
+    }
+    if (this.isDrawing && !this.canDrawOn(this.currentStroke || this.currentShape)) this.cancelDrawing();
+    if (this.textDraft && !this.canDrawOn(this.textDraft)) this.closeTextEditor();
+
+    this.redrawCanvas();
+    this.notifyLayers();
+  }
+
+  // Chooses the layer our new strokes go on
+  setActiveLayer(layerId) {
+    if (!this.layers.some(layer => layer.id === layerId)) return;
+    this.activeLayerId = layerId;
+    this.notifyLayers();
+  }
+
+  notifyLayers() {
+    if (this.onLayersChange) this.onLayersChange(this.layers, this.activeLayerId);
+  }
+
+  // True if something may be drawn on the layer of `item` (a stroke or text draft)
+  canDrawOn(item) {
+    const layer = this.getLayer(item.layerId);
+    return layer.visible && !layer.locked;
+  }
+
+  canDrawOnActiveLayer() {
+    return this.canDrawOn({ layerId: this.activeLayerId });
+  }
+
+  // Tool configuration setters
+  setUserId(userId) {
+    this.userId = userId;
+  }
+
+  setTool(tool) {
+    if (tool !== 'text') this.commitText();
+    if (tool !== 'select') this.clearSelection();
+    this.currentTool = tool;
+    this.clearPreview();
+    this.showSelection();
+  }
+
+  setColor(color) {
+    this.currentColor = color;
+  }
+
+  setStrokeWidth(width) {
+    this.strokeWidth = width;
+  }
+
+  setFillShapes(fill) {
+    this.fillShapes = fill;
+  }
+
+  setEraserMode(mode) {
+    this.eraserMode = mode;
+  }
+
+  setFontSize(size) {
+    this.fontSize = size;
+  }
+
+  // Viewers cannot draw; anything they had started is dropped
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (readOnly) {
+      this.cancelDrawing();
+      this.closeTextEditor();
+      this.clearSelection();
+    }
+  }
+
+  // True while dragging can only pan: for viewers, and during a replay
+  isViewOnly() {
+    return this.readOnly || Boolean(this.replay);
+  }
+
+  // Replaces the live room on screen with a timelapse of `strokes`, the
+  // room's history from the server ('get-timeline'). Live updates keep
+  // arriving and are applied underneath; nothing is sent to the server.
+  startReplay(strokes) {
+    this.cancelDrawing();
+    this.closeTextEditor();
+    this.clearSelection();
+    this.stopReplay(false);
+
+    let time = REPLAY_LEAD_IN;
+    let previous = null;
+    const items = strokes.map(stroke => {
+      if (previous) {
+        time += stroke.createdAt && previous.createdAt
+          ? Math.min(Math.max(stroke.createdAt - previous.createdAt, 0), REPLAY_MAX_GAP)
+          : REPLAY_UNKNOWN_GAP;
+      }
+      previous = stroke;
+      return { stroke, time };
+    });
+
+    this.replay = {
+      items,                          // { stroke, time } in drawing order; times never decrease
+      duration: time,
+      time: 0,                        // Current position in replay time (ms)
+      shown: 0,                       // Number of items at or before `time`
+      speed: 1,
+      playing: false,
+      frame: null,                    // Pending animation frame while playing
+      lastTick: 0,
+      hiddenAuthors: new Set()        // Author ids filtered out of the replay
+    };
+    this.redrawCanvas();
+    this.notifyReplay();
+  }
+
+  // Returns to the live room
+  stopReplay(redraw = true) {
+    if (!this.replay) return;
+    this.pauseReplay();
+    this.replay = null;
+    if (redraw) this.redrawCanvas();
+    this.notifyReplay();
+  }
+
+  notifyReplay() {
+    if (this.onReplayChange) this.onReplayChange(this.replay);
+  }
+
+  // Strokes the replay shows at `shown`: the first items, minus filtered
+  // authors and items an edit among them has replaced or deleted
+  getReplayStrokes(shown = this.replay.shown) {
+    const { items, hiddenAuthors } = this.replay;
+    const strokes = items.slice(0, shown)
+      .map(item => item.stroke)
+      .filter(stroke => !hiddenAuthors.has(stroke.authorId));
+    const replaced = findReplacedIds(strokes);
+    return strokes.filter(stroke => !stroke.deleted && !replaced.has(stroke.id));
+  }
+
+  // Number of replay items drawn at or before a replay time
+  countReplayItems(time) {
+    const { items } = this.replay;
+    let shown = 0;
+    while (shown < items.length && items[shown].time <= time) shown++;
+    return shown;
+  }
+
+  // Jumps to a replay time; the canvas is repainted only when strokes
+  // appear or disappear
+  seekReplay(time) {
+    const replay = this.replay;
+    if (!replay) return;
+
+    replay.time = Math.min(Math.max(time, 0), replay.duration);
+    const shown = this.countReplayItems(replay.time);
+    if (shown !== replay.shown) {
+      replay.shown = shown;
+      this.redrawCanvas();
+    }
+    this.notifyReplay();
+  }
+
+  playReplay() {
+    const replay = this.replay;
+    if (!replay || replay.playing) return;
+
+    // Playing from the end starts over
+    if (replay.time >= replay.duration) this.seekReplay(0);
+    replay.playing = true;
+    replay.lastTick = performance.now();
+    replay.frame = requestAnimationFrame((now) => this.tickReplay(now));
+    this.notifyReplay();
+  }
+
+  pauseReplay() {
+    const replay = this.replay;
+    if (!replay || !replay.playing) return;
+
+    replay.playing = false;
+    cancelAnimationFrame(replay.frame);
+    replay.frame = null;
+    this.notifyReplay();
+  }
+
+  // Advances a playing replay by the time since the last frame
+  tickReplay(now) {
+    const replay = this.replay;
+    if (!replay || !replay.playing) return;
+
+    const elapsed = (now - replay.lastTick) * replay.speed;
+    replay.lastTick = now;
+    this.seekReplay(replay.time + elapsed);
+
+    if (replay.time >= replay.duration) {
+      this.pauseReplay();
+    } else {
+      replay.frame = requestAnimationFrame((next) => this.tickReplay(next));
+    }
+  }
+
+  setReplaySpeed(speed) {
+    if (!this.replay) return;
+    this.replay.speed = speed;
+    this.notifyReplay();
+  }
+
+  // Authors in the replay: [{ id, name, count }] in order of their first stroke
+  getReplayAuthors() {
+    const authors = new Map();
+    (this.replay ? this.replay.items : []).forEach(({ stroke }) => {
+      const author = authors.get(stroke.authorId) || { id: stroke.authorId, name: stroke.authorName, count: 0 };
+      author.name = stroke.authorName || author.name;   // Latest known name
+      author.count++;
+      authors.set(stroke.authorId, author);
+    });
+    return Array.from(authors.values());
+  }
+
+  // Shows or hides one author's strokes in the replay
+  setReplayAuthorVisible(authorId, visible) {
+    if (!this.replay) return;
+    if (visible) {
+      this.replay.hiddenAuthors.delete(authorId);
+    } else {
+      this.replay.hiddenAuthors.add(authorId);
+    }
+    this.redrawCanvas();
+    this.notifyReplay();
+  }
+
+  // Renders the replay (with the current author filter) as PNG frames of the
+  // whole drawing: an empty first frame, then one frame per step in which
+  // strokes appear, evenly thinned out to at most REPLAY_EXPORT_MAX_FRAMES.
+  // `onProgress(done, total)` is called after each frame.
+  async renderReplayFrames(onProgress) {
+    const replay = this.replay;
+    const times = [0, ...new Set(replay.items.map(item => item.time))];
+    const count = Math.min(times.length, REPLAY_EXPORT_MAX_FRAMES);
+    const frameTimes = Array.from({ length: count }, (_, i) =>
+      times[count === 1 ? 0 : Math.round(i * (times.length - 1) / (count - 1))]);
+
+    // Frame the final drawing, like the server's image exports
+    this.pauseReplay();
+    const position = replay.time;
+    replay.shown = replay.items.length;
+    this.prepareFills();
+    const boxes = this.getVisibleStrokes().map(stroke => this.getStrokeBounds(stroke)).filter(Boolean);
+    const area = boxes.length > 0
+      ? boxes.reduce(unionBounds)
+      : { minX: 0, minY: 0, maxX: this.logicalSize.width, maxY: this.logicalSize.height };
+    const x = Math.floor(area.minX - REPLAY_EXPORT_MARGIN);
+    const y = Math.floor(area.minY - REPLAY_EXPORT_MARGIN);
+    const width = Math.ceil(area.maxX + REPLAY_EXPORT_MARGIN) - x;
+    const height = Math.ceil(area.maxY + REPLAY_EXPORT_MARGIN) - y;
+    const scale = Math.min(1, REPLAY_EXPORT_MAX_SIZE / Math.max(width, height));
+
+    const frame = document.createElement('canvas');
+    frame.width = Math.max(Math.round(width * scale), 1);
+    frame.height = Math.max(Math.round(height * scale), 1);
+    const frameCtx = frame.getContext('2d');
+
+    const frames = [];
+    try {
+      for (const time of frameTimes) {
+        if (this.replay !== replay) break;   // The replay was closed meanwhile
+        replay.shown = this.countReplayItems(time);
+        this.prepareFills();
+
+        frameCtx.fillStyle = '#ffffff';
+        frameCtx.fillRect(0, 0, frame.width, frame.height);
+        const strokes = inPaintOrder(this.getVisibleStrokes());
+        this.layers.forEach(layer => {
+          const layerStrokes = strokes.filter(stroke => stroke.layerId === layer.id);
+          this.drawFlattened(frameCtx, layerStrokes, [scale, 0, 0, scale, -x * scale, -y * scale]);
+        });
+
+        frames.push(await new Promise(resolve => frame.toBlob(resolve, 'image/png')));
+        if (onProgress) onProgress(frames.length, frameTimes.length);
+      }
+    } finally {
+      if (this.replay === replay) {
+        replay.shown = this.countReplayItems(position);
+        this.redrawCanvas();
+      }
+    }
+    return frames;
+  }
+
+  // Tracks cursor for showing remote user pointers (in logical coordinates,
+  // like strokes, so peers can map them onto their own canvas)
+  handleCursorMove(e) {
+    const coords = this.getCanvasCoordinates(e);
+    this.wsManager.emit('cursor-move', coords);
+  }
 }
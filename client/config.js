@@ -0,0 +1,46 @@
+/**
+ * Client configuration
+ * --------------------
+ * Read at startup from `config.json` next to index.html. The drawing server
+ * generates that file from its own settings; a client hosted on another
+ * site ships a static one instead, e.g. `{ "serverUrl": "https://draw.example.com" }`.
+ *
+ * Settings:
+ *  - serverUrl: Backend serving Socket.IO and the HTTP API. Empty (the
+ *    default, also used when there is no config.json) means the server the
+ *    page was loaded from.
+ */
+const DEFAULT_CONFIG = { serverUrl: '' };
+
+/**
+ * Fetches the client configuration, falling back to the defaults
+ * @returns {Promise<Object>} Settings
+ */
+export async function loadConfig() {
+  let settings = {};
+  try {
+    const response = await fetch('config.json', { cache: 'no-cache' });
+    if (response.ok) settings = await response.json();
+  } catch (err) {
+    console.warn('Could not read config.json, using the defaults:', err.message);
+  }
+
+  const serverUrl = typeof settings.serverUrl === 'string' ? settings.serverUrl.trim().replace(/\/+$/, '') : '';
+  return { ...DEFAULT_CONFIG, serverUrl };
+}
+
+/**
+ * Loads the Socket.IO client script from the backend, which serves the
+ * version matching its own
+ * @param {string} serverUrl - Backend URL ('' for the page's origin)
+ * @returns {Promise<void>} Resolves once the global `io` is available
+ */
+export function loadSocketClient(serverUrl) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = `${serverUrl}/socket.io/socket.io.js`;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Cannot reach the drawing server at ${serverUrl || location.origin}`));
+    document.head.appendChild(script);
+  });
+}
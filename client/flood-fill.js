@@ -0,0 +1,96 @@
+// Flood fill (paint bucket) helpers.
+// Pure functions over RGBA pixel data, so the same input always produces the
+// same region no matter which client runs them. The server requires this
+// very module to render exports (server/renderer.js), so it must not import
+// anything browser-only.
+
+// Returns true if two RGBA pixels differ by at most `tolerance` in every channel
+function matches(data, offset, target, tolerance) {
+  return Math.abs(data[offset] - target[0]) <= tolerance &&
+    Math.abs(data[offset + 1] - target[1]) <= tolerance &&
+    Math.abs(data[offset + 2] - target[2]) <= tolerance &&
+    Math.abs(data[offset + 3] - target[3]) <= tolerance;
+}
+
+// Computes the region reachable from (seedX, seedY) through pixels similar to
+// the seed pixel, using a scanline fill. The region is grown by one pixel so
+// the anti-aliased edges of surrounding strokes are covered too.
+//
+// Returns { mask, bounds } where mask is a Uint8Array (1 = filled) of
+// width × height, or null if the seed is outside the image.
+export function floodFillMask({ data, width, height }, seedX, seedY, tolerance) {
+  const sx = Math.floor(seedX);
+  const sy = Math.floor(seedY);
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return null;
+
+  const seedOffset = (sy * width + sx) * 4;
+  const target = [data[seedOffset], data[seedOffset + 1], data[seedOffset + 2], data[seedOffset + 3]];
+  const region = new Uint8Array(width * height);
+  const stack = [sx, sy];
+
+  while (stack.length > 0) {
+    const y = stack.pop();
+    let x = stack.pop();
+
+    // Walk left to the start of this run
+    while (x > 0 && !region[y * width + x - 1] && matches(data, (y * width + x - 1) * 4, target, tolerance)) {
+      x--;
+    }
+
+    let spanAbove = false;
+    let spanBelow = false;
+    for (; x < width; x++) {
+      const index = y * width + x;
+      if (region[index] || !matches(data, index * 4, target, tolerance)) break;
+      region[index] = 1;
+
+      // Queue the first pixel of every new run in the rows above and below
+      if (y > 0) {
+        const above = index - width;
+        const open = !region[above] && matches(data, above * 4, target, tolerance);
+        if (open && !spanAbove) stack.push(x, y - 1);
+        spanAbove = open;
+      }
+      if (y < height - 1) {
+        const below = index + width;
+        const open = !region[below] && matches(data, below * 4, target, tolerance);
+        if (open && !spanBelow) stack.push(x, y + 1);
+        spanBelow = open;
+      }
+    }
+  }
+
+  // Dilate by one pixel and track the bounding box
+  const mask = new Uint8Array(width * height);
+  const bounds = { minX: width, minY: height, maxX: -1, maxY: -1 };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!region[y * width + x]) continue;
+
+      for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+        for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+          mask[ny * width + nx] = 1;
+        }
+      }
+      bounds.minX = Math.min(bounds.minX, x - 1);
+      bounds.minY = Math.min(bounds.minY, y - 1);
+      bounds.maxX = Math.max(bounds.maxX, x + 1);
+      bounds.maxY = Math.max(bounds.maxY, y + 1);
+    }
+  }
+
+  bounds.minX = Math.max(bounds.minX, 0);
+  bounds.minY = Math.max(bounds.minY, 0);
+  bounds.maxX = Math.min(bounds.maxX, width - 1);
+  bounds.maxY = Math.min(bounds.maxY, height - 1);
+
+  return { mask, bounds };
+}
+
+// Parses '#rgb' or '#rrggbb' into [r, g, b]
+export function hexToRgb(hex) {
+  const value = hex.length === 4
+    ? hex.slice(1).split('').map(c => c + c).join('')
+    : hex.slice(1);
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
@@ -1,5 +1,67 @@
+import { loadConfig, loadSocketClient } from './config.js';
 import { WebSocketManager } from './websocket.js';
-import { CanvasManager } from './canvas.js';
+import { CanvasManager, SHAPE_TOOLS } from './canvas.js';
+import { createZip } from './zip.js';
+
+// localStorage entry holding the owner keys of rooms this browser created
+const OWNER_KEYS_STORAGE = 'drawtogether.ownerKeys';
+
+// localStorage entry holding this browser's session token for each room
+const SESSION_TOKENS_STORAGE = 'drawtogether.sessionTokens';
+
+// Chat messages shown at most (the server keeps a shorter history)
+const MAX_CHAT_MESSAGES = 200;
+
+/**
+ * Reads the owner keys saved in this browser
+ * @returns {Object} Room name → owner key
+ */
+const loadOwnerKeys = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OWNER_KEYS_STORAGE)) || {};
+  } catch (err) {
+    return {};   // Storage disabled or corrupt
+  }
+};
+
+/**
+ * Remembers the owner key of a room this browser just created
+ * @param {string} roomName - Room name
+ * @param {string} ownerKey - Key returned by the server
+ */
+const saveOwnerKey = (roomName, ownerKey) => {
+  try {
+    localStorage.setItem(OWNER_KEYS_STORAGE, JSON.stringify({ ...loadOwnerKeys(), [roomName]: ownerKey }));
+  } catch (err) {
+    console.warn('Could not save the owner key; ownership ends with this session');
+  }
+};
+
+/**
+ * Reads the session tokens saved in this browser
+ * @returns {Object} Room name → session token
+ */
+const loadSessionTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_TOKENS_STORAGE)) || {};
+  } catch (err) {
+    return {};   // Storage disabled or corrupt
+  }
+};
+
+/**
+ * Remembers our session in a room, so joining it again (even after a
+ * reload) resumes the same user id and the role the owner assigned to it
+ * @param {string} roomName - Room name
+ * @param {string} sessionToken - Token from 'room-joined'
+ */
+const saveSessionToken = (roomName, sessionToken) => {
+  try {
+    localStorage.setItem(SESSION_TOKENS_STORAGE, JSON.stringify({ ...loadSessionTokens(), [roomName]: sessionToken }));
+  } catch (err) {
+    // Storage disabled: the session is resumed only while the page stays open
+  }
+};
 
 /**
  * DrawingApp class
@@ -10,12 +72,19 @@ import { CanvasManager } from './canvas.js';
  * - The DOM/UI (toolbar, users, cursors, etc.)
  */
 class DrawingApp {
-  constructor() {
-    this.wsManager = new WebSocketManager(); // Manages server connection
+  /**
+   * @param {Object} config - Settings from loadConfig()
+   */
+  constructor(config) {
+    this.config = config;
+    this.wsManager = new WebSocketManager(config.serverUrl); // Manages server connection
     this.canvasManager = null;               // Handles all canvas operations
     this.currentUserId = null;               // Stores current user's unique ID
+    this.role = null;                        // Own role in the room: 'owner', 'editor' or 'viewer'
     this.users = new Map();                  // Active users in the room
     this.cursors = new Map();                // Tracks remote users' cursors
+    this.currentTool = 'brush';              // Tool selected in the toolbar
+    this.replayAuthorsShown = null;          // Replay whose authors the filter list shows
 
     this.initializeElements();
     this.attachEventListeners();
@@ -30,24 +99,74 @@ class DrawingApp {
     this.joinForm = document.getElementById('join-form');
     this.roomNameInput = document.getElementById('room-name');
     this.usernameInput = document.getElementById('username');
+    this.roomPasswordInput = document.getElementById('room-password');
     this.currentRoomSpan = document.getElementById('current-room');
+    this.connectionStatus = document.getElementById('connection-status');
+    this.connectionStatusText = document.getElementById('connection-status-text');
+    this.roleBadge = document.getElementById('role-badge');
     this.usersList = document.getElementById('users-list');
+    this.roomSettings = document.getElementById('room-settings');
+    this.defaultRoleSelect = document.getElementById('default-role');
+    this.addLayerBtn = document.getElementById('add-layer-btn');
+    this.layersList = document.getElementById('layers-list');
+    this.chatMessages = document.getElementById('chat-messages');
+    this.chatForm = document.getElementById('chat-form');
+    this.chatInput = document.getElementById('chat-input');
     this.canvas = document.getElementById('drawing-canvas');
+    this.previewCanvas = document.getElementById('preview-canvas');
+    this.textEditor = document.getElementById('text-editor');
     this.cursorsContainer = document.getElementById('cursors-container');
 
     // Toolbar elements
+    this.selectBtn = document.getElementById('select-tool');
     this.brushBtn = document.getElementById('brush-tool');
     this.eraserBtn = document.getElementById('eraser-tool');
+    this.textBtn = document.getElementById('text-tool');
+    this.fillBtn = document.getElementById('fill-tool');
+    this.fillToggle = document.getElementById('fill-toggle');
+    this.eraserModeToggle = document.getElementById('eraser-mode-toggle');
+    this.fontSizeSelect = document.getElementById('font-size');
+
+    // Tool name → toolbar button
+    this.toolButtons = {
+      select: this.selectBtn,
+      brush: this.brushBtn,
+      eraser: this.eraserBtn,
+      text: this.textBtn,
+      fill: this.fillBtn
+    };
+    SHAPE_TOOLS.forEach(tool => {
+      this.toolButtons[tool] = document.getElementById(`${tool}-tool`);
+    });
     this.colorPicker = document.getElementById('color-picker');
     this.colorPreview = document.getElementById('color-preview');
     this.strokeWidthInput = document.getElementById('stroke-width');
     this.strokeWidthValue = document.getElementById('stroke-width-value');
+    this.smoothingInput = document.getElementById('smoothing');
+    this.smoothingValue = document.getElementById('smoothing-value');
 
     // Action buttons
     this.undoBtn = document.getElementById('undo-btn');
     this.redoBtn = document.getElementById('redo-btn');
+    this.deleteSelectionBtn = document.getElementById('delete-selection-btn');
     this.clearBtn = document.getElementById('clear-btn');
+    this.zoomFitBtn = document.getElementById('zoom-fit-btn');
+    this.importBtn = document.getElementById('import-btn');
+    this.importFile = document.getElementById('import-file');
+    this.exportBtn = document.getElementById('export-btn');
+    this.exportOptions = document.getElementById('export-options');
     this.leaveBtn = document.getElementById('leave-btn');
+
+    // Timelapse
+    this.timelapseBtn = document.getElementById('timelapse-btn');
+    this.replayBar = document.getElementById('replay-bar');
+    this.replayPlayBtn = document.getElementById('replay-play');
+    this.replayScrubber = document.getElementById('replay-scrubber');
+    this.replayTime = document.getElementById('replay-time');
+    this.replaySpeed = document.getElementById('replay-speed');
+    this.replayAuthorList = document.getElementById('replay-author-list');
+    this.replayExportBtn = document.getElementById('replay-export');
+    this.replayCloseBtn = document.getElementById('replay-close');
   }
 
   /**
@@ -61,8 +180,21 @@ class DrawingApp {
     });
 
     // Tool selection
-    this.brushBtn.addEventListener('click', () => this.selectTool('brush'));
-    this.eraserBtn.addEventListener('click', () => this.selectTool('eraser'));
+    Object.entries(this.toolButtons).forEach(([tool, button]) => {
+      button.addEventListener('click', () => this.selectTool(tool));
+    });
+
+    // Shape fill toggle
+    this.fillToggle.addEventListener('click', () => {
+      const fill = this.fillToggle.classList.toggle('active');
+      if (this.canvasManager) this.canvasManager.setFillShapes(fill);
+    });
+
+    // Eraser mode toggle: whole strokes or pixels
+    this.eraserModeToggle.addEventListener('click', () => {
+      const strokeMode = this.eraserModeToggle.classList.toggle('active');
+      if (this.canvasManager) this.canvasManager.setEraserMode(strokeMode ? 'stroke' : 'pixel');
+    });
 
     // Color picker updates
     this.colorPicker.addEventListener('input', (e) => {
@@ -70,36 +202,137 @@ class DrawingApp {
       if (this.canvasManager) this.canvasManager.setColor(e.target.value);
     });
 
+    // A color picked while strokes are selected recolors them (once the
+    // picker is closed, not at every step in between)
+    this.colorPicker.addEventListener('change', (e) => {
+      if (this.currentTool === 'select') this.canvasManager?.recolorSelection(e.target.value);
+    });
+
+    // Font size for new text items
+    this.fontSizeSelect.addEventListener('change', (e) => {
+      if (this.canvasManager) this.canvasManager.setFontSize(parseInt(e.target.value));
+    });
+
     // Stroke width slider updates
     this.strokeWidthInput.addEventListener('input', (e) => {
       this.strokeWidthValue.textContent = e.target.value;
       if (this.canvasManager) this.canvasManager.setStrokeWidth(parseInt(e.target.value));
     });
 
+    // Smoothing slider updates (percent of full strength)
+    this.smoothingInput.addEventListener('input', (e) => {
+      this.smoothingValue.textContent = e.target.value;
+      if (this.canvasManager) this.canvasManager.setSmoothing(parseInt(e.target.value) / 100);
+    });
+
     // Undo/Redo/Clear buttons
     this.undoBtn.addEventListener('click', () => this.canvasManager?.undo());
     this.redoBtn.addEventListener('click', () => this.canvasManager?.redo());
+    this.deleteSelectionBtn.addEventListener('click', () => this.canvasManager?.deleteSelection());
 
     this.clearBtn.addEventListener('click', () => {
-      if (confirm('Clear the entire canvas? This action cannot be undone.')) {
+      if (confirm('Clear the canvas for everyone? Locked layers are kept. This action cannot be undone.')) {
         this.wsManager.emit('clear-canvas');
       }
     });
 
+    // New layers go on top and become the one we draw on
+    this.addLayerBtn.addEventListener('click', () => {
+      this.wsManager.emit('add-layer', { name: `Layer ${this.canvasManager.layers.length + 1}` }, (response) => {
+        if (response && response.ok) {
+          this.canvasManager?.setActiveLayer(response.layer.id);
+        } else if (!response || !response.offline) {
+          alert(response ? response.error : 'No response from server');
+        }
+      });
+    });
+
     // Leave the room
     this.leaveBtn.addEventListener('click', () => this.leaveRoom());
 
-    // Keyboard shortcuts for undo/redo
+    // Chat
+    this.chatForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendChatMessage();
+    });
+
+    // Owner: role of users joining without an assigned one
+    this.defaultRoleSelect.addEventListener('change', (e) => {
+      this.wsManager.emit('set-default-role', { role: e.target.value }, (response) => {
+        if (!response || !response.ok) alert(response ? response.error : 'No response from server');
+      });
+    });
+
+    // Keyboard shortcuts for undo/redo (of the current user's own strokes)
+    // and for the selection
     document.addEventListener('keydown', (e) => {
+      // Leave native undo to text fields (e.g. the inline text editor)
+      if (e.target.matches('input, textarea')) return;
+
       if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
         this.canvasManager?.undo();
       } else if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
         e.preventDefault();
         this.canvasManager?.redo();
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        this.canvasManager?.deleteSelection();
+      } else if (e.key === 'Escape') {
+        this.canvasManager?.clearSelection();
       }
     });
 
+    // Holding Space turns dragging on the canvas into panning
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || e.target.matches('input, textarea, select, button')) return;
+      e.preventDefault();   // Don't scroll the page
+      this.canvasManager?.setSpacePan(true);
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.code === 'Space') this.canvasManager?.setSpacePan(false);
+    });
+
+    // Frame the whole drawing
+    this.zoomFitBtn.addEventListener('click', () => this.canvasManager?.zoomToFit());
+
+    // Timelapse: fetch the room's history and replay it locally
+    this.timelapseBtn.addEventListener('click', () => this.startTimelapse());
+    this.replayPlayBtn.addEventListener('click', () => {
+      if (this.canvasManager?.replay?.playing) {
+        this.canvasManager.pauseReplay();
+      } else {
+        this.canvasManager?.playReplay();
+      }
+    });
+    this.replayScrubber.addEventListener('input', () => {
+      this.canvasManager?.seekReplay(Number(this.replayScrubber.value));
+    });
+    this.replaySpeed.addEventListener('change', () => {
+      this.canvasManager?.setReplaySpeed(Number(this.replaySpeed.value));
+    });
+    this.replayExportBtn.addEventListener('click', () => this.exportTimelapse());
+    this.replayCloseBtn.addEventListener('click', () => this.canvasManager?.stopReplay());
+
+    // Import: pick a file, then send it to the room
+    this.importBtn.addEventListener('click', () => this.importFile.click());
+    this.importFile.addEventListener('change', () => {
+      const file = this.importFile.files[0];
+      this.importFile.value = '';   // Allow picking the same file again
+      if (file) this.importDrawing(file);
+    });
+
+    // Export menu: opens on click, closes on any click elsewhere or after a choice
+    this.exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.exportOptions.hidden = !this.exportOptions.hidden;
+    });
+    document.addEventListener('click', () => {
+      this.exportOptions.hidden = true;
+    });
+    this.exportOptions.querySelectorAll('a[data-format]').forEach(link => {
+      link.addEventListener('click', () => this.downloadExport(link.dataset.format));
+    });
+
     // Set default color preview
     this.colorPreview.style.background = this.colorPicker.value;
   }
@@ -112,12 +345,41 @@ class DrawingApp {
     const username = this.usernameInput.value.trim();
     if (!roomName || !username) return;
 
+    const credentials = {
+      password: this.roomPasswordInput.value,
+      ownerKey: loadOwnerKeys()[roomName],
+      sessionToken: loadSessionTokens()[roomName]
+    };
+
     // Connect to WebSocket server
     this.wsManager.connect();
-    this.wsManager.joinRoom(roomName, username);
+    this.wsManager.on('connection-status', (status) => this.showConnectionStatus(status));
+    this.wsManager.joinRoom(roomName, username, credentials, (response) => {
+      // The server rejects invalid names (e.g. too long) and wrong passwords before
+      // joining. Rejoining after a dropped connection can fail too (e.g. the room
+      // was deleted meanwhile).
+      if (response && !response.ok) {
+        if (this.canvasManager) {
+          this.resetToJoinScreen();
+        } else {
+          this.wsManager.disconnect();
+        }
+        alert(response.error);
+        if (response.passwordRequired) this.roomPasswordInput.focus();
+      }
+    });
 
-    // When the server confirms the user has joined
+    // When the server confirms the user has joined (again, after every reconnect)
     this.wsManager.on('room-joined', (data) => {
+      // We created the room: keep the key that makes us its owner next time
+      if (data.ownerKey) saveOwnerKey(roomName, data.ownerKey);
+      saveSessionToken(roomName, data.sessionToken);
+
+      if (this.canvasManager) {
+        this.handleRejoin(data);
+        return;
+      }
+
       this.currentUserId = data.userId;
       this.currentRoomSpan.textContent = roomName;
 
@@ -126,21 +388,78 @@ class DrawingApp {
       this.canvasScreen.classList.add('active');
 
       // Initialize Canvas Manager
-      this.canvasManager = new CanvasManager(this.canvas, this.wsManager);
+      this.canvasManager = new CanvasManager(this.canvas, this.wsManager, {
+        previewCanvas: this.previewCanvas,
+        textEditor: this.textEditor
+      });
+      this.canvasManager.onViewChange = () => this.positionCursors();
+      this.canvasManager.onReplayChange = (replay) => this.updateReplayBar(replay);
+      this.canvasManager.onLayersChange = () => this.updateLayersPanel();
+      this.canvasManager.onSelectionChange = () => this.updateControls();
+      this.canvasManager.setUserId(data.userId);
+      this.canvasManager.setTool(this.currentTool);
       this.canvasManager.setColor(this.colorPicker.value);
       this.canvasManager.setStrokeWidth(parseInt(this.strokeWidthInput.value));
+      this.canvasManager.setSmoothing(parseInt(this.smoothingInput.value) / 100);
+      this.canvasManager.setFillShapes(this.fillToggle.classList.contains('active'));
+      this.canvasManager.setEraserMode(this.eraserModeToggle.classList.contains('active') ? 'stroke' : 'pixel');
+      this.canvasManager.setFontSize(parseInt(this.fontSizeSelect.value));
+      this.applyRole(data.role);
+      this.defaultRoleSelect.value = data.settings.defaultRole;
 
       // Load existing canvas state if available
       if (data.drawingState) {
         this.canvasManager.loadDrawingState(data.drawingState);
       }
 
-      // Update user list and setup WebSocket listeners
+      // Update user list and chat, and setup WebSocket listeners
       this.updateUsersList(data.users);
+      this.loadChatHistory(data.chat);
       this.setupSocketListeners();
     });
   }
 
+  /**
+   * Catches up after the connection came back: our session was resumed (same
+   * user id, so our own strokes can still be undone), and the server's room
+   * state replaces ours. Users and cursors are rebuilt from scratch.
+   * @param {Object} data - 'room-joined' payload
+   */
+  handleRejoin(data) {
+    this.currentUserId = data.userId;
+    this.users.clear();
+    this.cursors.forEach(cursor => cursor.remove());
+    this.cursors.clear();
+
+    this.canvasManager.setUserId(data.userId);
+    this.applyRole(data.role);
+    this.defaultRoleSelect.value = data.settings.defaultRole;
+    this.canvasManager.resync(data.drawingState);
+    this.updateUsersList(data.users);
+    this.loadChatHistory(data.chat);   // Includes whatever was said while we were away
+  }
+
+  /**
+   * Shows the connection state in the header, with the number of changes
+   * waiting to be sent while offline
+   * @param {{status: string, queued: number}} state - From WebSocketManager
+   */
+  showConnectionStatus({ status, queued }) {
+    const labels = {
+      connecting: 'Connecting…',
+      connected: 'Connected',
+      reconnecting: 'Reconnecting…',
+      disconnected: 'Offline'
+    };
+    this.connectionStatus.dataset.status = status;
+    this.connectionStatusText.textContent = queued > 0 && status !== 'connected'
+      ? `${labels[status]} (${queued} unsent)`
+      : labels[status];
+
+    // A stroke being streamed when the connection dropped must be resent whole
+    if (status === 'reconnecting') this.canvasManager?.handleConnectionLost();
+  }
+
   /**
    * Sets up WebSocket event listeners to handle real-time updates
    */
@@ -163,11 +482,17 @@ class DrawingApp {
       this.updateUsersList(users);
     });
 
-    // Handle drawing from other users
+    // Handle complete strokes from other users
     this.wsManager.on('draw', (stroke) => {
       this.canvasManager.handleRemoteDraw(stroke);
     });
 
+    // Handle strokes other users are drawing right now
+    this.wsManager.on('stroke-begin', (data) => this.canvasManager.handleRemoteStrokeBegin(data));
+    this.wsManager.on('stroke-points', (data) => this.canvasManager.handleRemoteStrokePoints(data));
+    this.wsManager.on('stroke-end', (data) => this.canvasManager.handleRemoteStrokeEnd(data));
+    this.wsManager.on('stroke-cancel', (data) => this.canvasManager.handleRemoteStrokeCancel(data));
+
     // Handle cursor movement from other users
     this.wsManager.on('cursor-update', (data) => {
       this.updateCursor(data.userId, data.x, data.y);
@@ -177,26 +502,411 @@ class DrawingApp {
     this.wsManager.on('undo', (data) => this.canvasManager.handleRemoteUndo(data));
     this.wsManager.on('redo', (data) => this.canvasManager.handleRemoteRedo(data));
     this.wsManager.on('clear-canvas', () => this.canvasManager.clear());
+
+    // Someone added, changed or reordered a layer
+    this.wsManager.on('layers-update', (layers) => this.canvasManager.setLayers(layers));
+
+    // Chat messages (ours too) and people joining or leaving
+    this.wsManager.on('chat-message', (message) => this.addChatMessage(message));
+
+    // Strokes moved, scaled, recolored or deleted with the selection tool (by anyone, including us)
+    this.wsManager.on('edit-strokes', (data) => this.canvasManager.handleRemoteEdit(data));
+
+    // Imported drawings and images (from anyone, including us)
+    this.wsManager.on('import', (data) => this.canvasManager.handleImport(data));
+
+    // The owner changed the room settings
+    this.wsManager.on('room-settings', (settings) => {
+      this.defaultRoleSelect.value = settings.defaultRole;
+    });
+
+    // An administrator deleted the room; the server disconnects us
+    this.wsManager.on('room-deleted', () => {
+      this.resetToJoinScreen();
+      alert('This room was deleted by an administrator.');
+    });
+  }
+
+  /**
+   * Sends a file to the room: a JSON export is merged as strokes, a PNG or
+   * JPEG becomes an image item centered in the current view. The server
+   * validates it and broadcasts the result to everyone, including us.
+   * @param {File} file - File picked by the user
+   */
+  async importDrawing(file) {
+    if (!this.canvasManager) return;
+
+    let payload;
+    try {
+      if (file.type === 'image/png' || file.type === 'image/jpeg') {
+        const data = await file.arrayBuffer();
+        const bitmap = await createImageBitmap(file);
+        const placement = this.canvasManager.getImagePlacement(bitmap.width, bitmap.height);
+        bitmap.close();
+        payload = { type: 'image', data, ...placement };
+      } else {
+        payload = { type: 'strokes', document: JSON.parse(await file.text()) };
+      }
+      payload.layerId = this.canvasManager.activeLayerId;   // Imports go on the layer we draw on
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err.message}`);
+      return;
+    }
+
+    this.wsManager.emit('import', payload, (response) => {
+      if (!response || !response.ok) {
+        alert(`Import failed: ${response ? response.error : 'No response from server'}`);
+      }
+    });
+  }
+
+  /**
+   * Downloads the current room in an export format. The request carries
+   * our session token, which protected rooms require.
+   * @param {string} format - 'png', 'svg' or 'json'
+   */
+  async downloadExport(format) {
+    const roomName = this.currentRoomSpan.textContent;
+    const url = `${this.config.serverUrl}/api/rooms/${encodeURIComponent(roomName)}/export.${format}`;
+    try {
+      const response = await fetch(url, { headers: { 'X-Session-Token': this.wsManager.sessionToken || '' } });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Server answered ${response.status}`);
+      }
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `${roomName}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      alert(`Could not export the room: ${err.message}`);
+    }
   }
 
   /**
-   * Updates the sidebar list of online users
+   * Updates the sidebar list of online users. The owner gets a role picker
+   * next to everyone else.
    */
   updateUsersList(users) {
     users.forEach(user => this.users.set(user.id, user));
 
-    this.usersList.innerHTML = '';
+    // Our own role may have been changed by the owner
+    const self = users.find(user => user.id === this.currentUserId);
+    if (self && self.role !== this.role) this.applyRole(self.role);
+
+    // Usernames are user input: set them as text, never as HTML
+    this.usersList.replaceChildren();
     users.forEach(user => {
       const userItem = document.createElement('div');
       userItem.className = 'user-item';
-      userItem.innerHTML = `
-        <div class="user-color" style="background: ${user.color}"></div>
-        <div class="user-name">${user.username}${user.id === this.currentUserId ? ' (You)' : ''}</div>
-      `;
+
+      const color = document.createElement('div');
+      color.className = 'user-color';
+      color.style.background = user.color;
+
+      const name = document.createElement('div');
+      name.className = 'user-name';
+      name.textContent = `${user.username}${user.id === this.currentUserId ? ' (You)' : ''}`;
+
+      userItem.append(color, name, this.createRoleControl(user));
       this.usersList.appendChild(userItem);
     });
   }
 
+  /**
+   * Builds the role shown next to a user: a picker if we own the room and
+   * the user is not an owner, plain text otherwise
+   * @param {Object} user - User from the server's user list
+   * @returns {HTMLElement} Element to append to the user's row
+   */
+  createRoleControl(user) {
+    if (this.role !== 'owner' || user.role === 'owner') {
+      const label = document.createElement('span');
+      label.className = 'user-role';
+      label.textContent = user.role;
+      return label;
+    }
+
+    const select = document.createElement('select');
+    select.className = 'role-select';
+    select.title = `Role of ${user.username}`;
+    ['editor', 'viewer'].forEach(role => select.add(new Option(role[0].toUpperCase() + role.slice(1), role)));
+    select.value = user.role;
+    select.addEventListener('change', () => {
+      this.wsManager.emit('set-role', { userId: user.id, role: select.value }, (response) => {
+        if (!response || !response.ok) {
+          select.value = user.role;
+          alert(response ? response.error : 'No response from server');
+        }
+      });
+    });
+    return select;
+  }
+
+  /**
+   * Rebuilds the sidebar list of layers, top layer first. Clicking a layer
+   * makes it the one we draw on; its buttons toggle visibility and the lock,
+   * move it up or down and rename it, for everyone in the room.
+   */
+  updateLayersPanel() {
+    const { layers, activeLayerId } = this.canvasManager;
+    const editable = this.role !== 'viewer' && !this.canvasManager.replay;
+
+    // Layer names are user input: set them as text, never as HTML
+    this.layersList.replaceChildren();
+    layers.slice().reverse().forEach(layer => {
+      const index = layers.indexOf(layer);
+      const item = document.createElement('div');
+      item.className = 'layer-item';
+      item.classList.toggle('active', layer.id === activeLayerId);
+      item.classList.toggle('hidden-layer', !layer.visible);
+      item.addEventListener('click', () => this.canvasManager?.setActiveLayer(layer.id));
+
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = layer.name;
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', () => {
+        if (!editable) return;
+        const newName = prompt('Layer name', layer.name);
+        if (newName && newName.trim() && newName.trim() !== layer.name) {
+          this.sendLayerChange('update-layer', { id: layer.id, name: newName.trim() });
+        }
+      });
+
+      const button = (label, title, disabled, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.title = title;
+        btn.disabled = !editable || disabled;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();   // Don't select the layer as well
+          onClick();
+        });
+        return btn;
+      };
+
+      item.append(
+        button(layer.visible ? '👁' : '–', layer.visible ? 'Hide' : 'Show', false,
+          () => this.sendLayerChange('update-layer', { id: layer.id, visible: !layer.visible })),
+        button(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock' : 'Lock', false,
+          () => this.sendLayerChange('update-layer', { id: layer.id, locked: !layer.locked })),
+        name,
+        button('▲', 'Move up', index === layers.length - 1,
+          () => this.sendLayerChange('move-layer', { id: layer.id, index: index + 1 })),
+        button('▼', 'Move down', index === 0,
+          () => this.sendLayerChange('move-layer', { id: layer.id, index: index - 1 }))
+      );
+      this.layersList.appendChild(item);
+    });
+
+    this.addLayerBtn.disabled = !editable;
+    this.canvas.classList.toggle('layer-blocked', !this.canvasManager.canDrawOnActiveLayer());
+  }
+
+  /**
+   * Sends a layer change ('update-layer' or 'move-layer') to the room; the
+   * server broadcasts the new layers to everyone, including us
+   * @param {string} event - Event name
+   * @param {Object} data - Layer id and the change
+   */
+  sendLayerChange(event, data) {
+    this.wsManager.emit(event, data, (response) => {
+      if (!response || (!response.ok && !response.offline)) {
+        alert(response ? response.error : 'No response from server');
+      }
+    });
+  }
+
+  /**
+   * Applies our role: viewers get a disabled toolbar and can only pan and
+   * zoom, owners get the room settings
+   * @param {string} role - 'owner', 'editor' or 'viewer'
+   */
+  applyRole(role) {
+    this.role = role;
+    const readOnly = role === 'viewer';
+
+    this.updateControls();
+    this.roleBadge.textContent = readOnly ? 'View only' : role;
+    this.roleBadge.hidden = role === 'editor';
+    this.roomSettings.hidden = role !== 'owner';
+    this.canvasManager?.setReadOnly(readOnly);
+  }
+
+  /**
+   * Enables the drawing controls only while we may change the room and
+   * are looking at it: viewers and anyone watching a timelapse get them disabled
+   */
+  updateControls() {
+    const locked = this.role === 'viewer' || Boolean(this.canvasManager?.replay);
+
+    [
+      ...Object.values(this.toolButtons),
+      this.fillToggle,
+      this.eraserModeToggle,
+      this.colorPicker,
+      this.strokeWidthInput,
+      this.smoothingInput,
+      this.fontSizeSelect,
+      this.undoBtn,
+      this.redoBtn,
+      this.clearBtn,
+      this.importBtn
+    ].forEach(control => { control.disabled = locked; });
+    this.deleteSelectionBtn.disabled = locked || !this.canvasManager || this.canvasManager.selection.size === 0;
+    if (this.canvasManager) this.updateLayersPanel();
+  }
+
+  /**
+   * Asks the server for the room's history (with authors and times) and
+   * starts replaying it. Only this browser switches to the replay.
+   */
+  startTimelapse() {
+    if (!this.canvasManager || this.canvasManager.replay) return;
+
+    this.timelapseBtn.disabled = true;
+    this.wsManager.emit('get-timeline', null, (response) => {
+      this.timelapseBtn.disabled = false;
+      if (!response || !response.ok) {
+        alert(`Could not load the history: ${response ? response.error : 'No response from server'}`);
+        return;
+      }
+      this.canvasManager?.startReplay(response.strokes);
+    });
+  }
+
+  /**
+   * Mirrors the replay state in the timelapse bar
+   * @param {Object|null} replay - CanvasManager replay state, null once it ended
+   */
+  updateReplayBar(replay) {
+    this.replayBar.hidden = !replay;
+    this.updateControls();
+    if (!replay) {
+      this.replayAuthorsShown = null;
+      return;
+    }
+
+    const formatTime = (ms) => {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    this.replayBar.dataset.playing = replay.playing;
+    this.replayScrubber.max = replay.duration;
+    this.replayScrubber.value = replay.time;
+    this.replayTime.textContent = `${formatTime(replay.time)} / ${formatTime(replay.duration)}`;
+    this.replaySpeed.value = replay.speed;
+
+    // The author list only changes with a new replay
+    if (this.replayAuthorsShown !== replay) {
+      this.replayAuthorsShown = replay;
+      this.replayAuthorList.replaceChildren(...this.canvasManager.getReplayAuthors().map(author => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => {
+          this.canvasManager.setReplayAuthorVisible(author.id, checkbox.checked);
+        });
+
+        const label = document.createElement('label');
+        label.append(checkbox, `${author.name || 'Unknown'} (${author.count})`);
+        return label;
+      }));
+    }
+  }
+
+  /**
+   * Downloads the replay as a ZIP of numbered PNG frames
+   */
+  async exportTimelapse() {
+    const replay = this.canvasManager?.replay;
+    if (!replay) return;
+
+    const baseName = this.currentRoomSpan.textContent.replace(/[\\/:*?"<>|]/g, '_');
+    const title = this.replayExportBtn.title;
+    this.replayExportBtn.disabled = true;
+    try {
+      const frames = await this.canvasManager.renderReplayFrames((done, total) => {
+        this.replayExportBtn.title = `Rendering frame ${done} of ${total}…`;
+      });
+      if (this.canvasManager?.replay !== replay) return;   // Closed meanwhile
+
+      const files = await Promise.all(frames.map(async (frame, index) => ({
+        name: `${baseName}-${String(index + 1).padStart(4, '0')}.png`,
+        data: new Uint8Array(await frame.arrayBuffer())
+      })));
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(createZip(files));
+      link.download = `${baseName}-timelapse.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      alert(`Could not export the timelapse: ${err.message}`);
+    } finally {
+      this.replayExportBtn.disabled = false;
+      this.replayExportBtn.title = title;
+    }
+  }
+
+  /**
+   * Sends the typed chat message. It shows up once the server broadcasts it
+   * back; if it is rejected, the text goes back into the input.
+   */
+  sendChatMessage() {
+    const text = this.chatInput.value.trim();
+    if (!text || !this.canvasManager) return;
+
+    this.chatInput.value = '';
+    this.wsManager.emit('chat-message', { text }, (response) => {
+      if (response && response.ok) return;
+      if (!this.chatInput.value) this.chatInput.value = text;
+      // Lost with the connection: the user can see whether it arrived and send it again
+      if (!response || !response.offline) alert(response ? response.error : 'No response from server');
+    });
+  }
+
+  /**
+   * Replaces the chat panel with a room's recent messages
+   * @param {Array<Object>} messages - Messages from 'room-joined', oldest first
+   */
+  loadChatHistory(messages) {
+    this.chatMessages.replaceChildren();
+    messages.forEach(message => this.addChatMessage(message));
+  }
+
+  /**
+   * Appends a chat message, following the conversation unless the user
+   * scrolled up to read older messages. Names and text are user input and
+   * are only ever set as text.
+   * @param {Object} message - User message or system message (someone joined or left)
+   */
+  addChatMessage(message) {
+    const panel = this.chatMessages;
+    const atBottom = panel.scrollHeight - panel.scrollTop - panel.clientHeight < 20;
+
+    const item = document.createElement('div');
+    item.className = 'chat-message';
+    item.title = new Date(message.timestamp).toLocaleTimeString();
+
+    if (message.type === 'system') {
+      item.classList.add('system');
+      item.textContent = `${message.username} ${message.event === 'joined' ? 'joined' : 'left'} the room`;
+    } else {
+      const author = document.createElement('span');
+      author.className = 'chat-author';
+      author.style.color = message.color;
+      author.textContent = message.userId === this.currentUserId ? 'You' : message.username;
+      item.append(author, message.text);
+    }
+
+    panel.appendChild(item);
+    while (panel.childElementCount > MAX_CHAT_MESSAGES) panel.firstElementChild.remove();
+    if (atBottom) panel.scrollTop = panel.scrollHeight;
+  }
+
   /**
    * Updates or creates a visual cursor for a remote user
    */
@@ -210,20 +920,46 @@ class DrawingApp {
     if (!cursor) {
       cursor = document.createElement('div');
       cursor.className = 'cursor';
-      cursor.innerHTML = `
-        <div class="cursor-dot" style="background: ${user.color}"></div>
-        <div class="cursor-label">${user.username}</div>
-      `;
+
+      const dot = document.createElement('div');
+      dot.className = 'cursor-dot';
+      dot.style.background = user.color;
+
+      const label = document.createElement('div');
+      label.className = 'cursor-label';
+      label.textContent = user.username;
+
+      cursor.append(dot, label);
       this.cursorsContainer.appendChild(cursor);
       this.cursors.set(userId, cursor);
     }
 
-    // Calculate cursor position relative to canvas
+    cursor.position = { x, y };
+    this.positionCursor(cursor);
+  }
+
+  /**
+   * Maps a cursor's world position through the canvas view. Cursors that
+   * are outside the part of the board on screen are hidden.
+   */
+  positionCursor(cursor) {
+    if (!this.canvasManager) return;
+
+    const point = this.canvasManager.toScreenPoint(cursor.position);
     const canvasRect = this.canvas.getBoundingClientRect();
     const containerRect = this.cursorsContainer.getBoundingClientRect();
 
-    cursor.style.left = (canvasRect.left - containerRect.left + x) + 'px';
-    cursor.style.top = (canvasRect.top - containerRect.top + y) + 'px';
+    cursor.hidden = point.x < canvasRect.left || point.x > canvasRect.right ||
+      point.y < canvasRect.top || point.y > canvasRect.bottom;
+    cursor.style.left = (point.x - containerRect.left) + 'px';
+    cursor.style.top = (point.y - containerRect.top) + 'px';
+  }
+
+  /**
+   * Re-places every remote cursor after the view was panned, zoomed or resized
+   */
+  positionCursors() {
+    this.cursors.forEach(cursor => this.positionCursor(cursor));
   }
 
   /**
@@ -238,16 +974,13 @@ class DrawingApp {
   }
 
   /**
-   * Handles tool selection (brush or eraser)
+   * Handles tool selection (brush, eraser, text, fill or one of the shape tools)
    */
   selectTool(tool) {
-    if (tool === 'brush') {
-      this.brushBtn.classList.add('active');
-      this.eraserBtn.classList.remove('active');
-    } else {
-      this.eraserBtn.classList.add('active');
-      this.brushBtn.classList.remove('active');
-    }
+    this.currentTool = tool;
+    Object.entries(this.toolButtons).forEach(([name, button]) => {
+      button.classList.toggle('active', name === tool);
+    });
 
     if (this.canvasManager) {
       this.canvasManager.setTool(tool);
@@ -259,26 +992,47 @@ class DrawingApp {
    */
   leaveRoom() {
     if (confirm('Leave the room? Your drawing will be saved for other users.')) {
-      this.wsManager.disconnect();
-
-      // Reset screens
-      this.canvasScreen.classList.remove('active');
-      this.joinScreen.classList.add('active');
-
-      // Reset all local state
-      this.users.clear();
-      this.cursors.forEach(cursor => cursor.remove());
-      this.cursors.clear();
-      this.canvasManager = null;
-      this.roomNameInput.value = '';
-      this.usernameInput.value = '';
+      this.resetToJoinScreen();
     }
   }
+
+  /**
+   * Disconnects and returns to the join screen with all room state dropped
+   */
+  resetToJoinScreen() {
+    this.wsManager.disconnect();
+
+    // Reset screens
+    this.canvasScreen.classList.remove('active');
+    this.joinScreen.classList.add('active');
+
+    // Reset all local state
+    this.users.clear();
+    this.cursors.forEach(cursor => cursor.remove());
+    this.cursors.clear();
+    this.canvasManager?.stopReplay(false);
+    this.canvasManager = null;
+    this.role = null;
+    this.roomNameInput.value = '';
+    this.usernameInput.value = '';
+    this.roomPasswordInput.value = '';
+    this.chatMessages.replaceChildren();
+    this.chatInput.value = '';
+    this.layersList.replaceChildren();
+  }
 }
 
 /**
- * Initialize the DrawingApp once the page finishes loading
+ * Initialize the DrawingApp once the page finishes loading and we know
+ * which server to talk to
  */
-document.addEventListener('DOMContentLoaded', () => {
-  new DrawingApp();
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const config = await loadConfig();
+    await loadSocketClient(config.serverUrl);
+    new DrawingApp(config);
+  } catch (err) {
+    console.error(err);
+    alert(`${err.message}. Reload the page to try again.`);
+  }
 });
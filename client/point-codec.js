@@ -0,0 +1,197 @@
+// Compact wire format for the points of freehand strokes.
+// Coordinates are quantized to 1/100 of a world unit and pressure to 1/1000;
+// every point is stored as its difference to the previous one, as zigzag
+// varints in a byte array that Socket.IO sends as a binary attachment. A
+// packed stroke carries `packedPoints` instead of `points`. The server
+// stores strokes this way and requires this very module, as does the SDK.
+//
+// Layout: flags, point count, then dx, dy (and dpressure) per point.
+
+// Offered by clients that read and send packed points (handshake `auth.wireFormat`)
+export const WIRE_FORMAT = 'packed-points-1';
+
+const COORDINATE_STEPS = 100;            // Quantization steps per world unit
+const PRESSURE_STEPS = 1000;
+const HAS_PRESSURE = 1;                  // Flag: every point carries a pen pressure
+const MAX_VARINT_BYTES = 8;              // 7 bits each, enough for any safe integer
+
+// Rounds a point to the precision packed points keep, so a stroke is the
+// same before and after a round trip
+export function quantizePoint(point) {
+  const quantized = {
+    x: Math.round(point.x * COORDINATE_STEPS) / COORDINATE_STEPS,
+    y: Math.round(point.y * COORDINATE_STEPS) / COORDINATE_STEPS
+  };
+  if (point.pressure !== undefined) quantized.pressure = Math.round(point.pressure * PRESSURE_STEPS) / PRESSURE_STEPS;
+  return quantized;
+}
+
+// Appends a non-negative integer, 7 bits per byte, low bits first
+function writeVarint(bytes, value) {
+  while (value >= 128) {
+    bytes.push(value % 128 + 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+}
+
+// Appends a signed integer: 0, -1, 1, -2, ... become 0, 1, 2, 3, ...
+function writeSigned(bytes, value) {
+  writeVarint(bytes, value >= 0 ? value * 2 : -value * 2 - 1);
+}
+
+// Reads the varint at `reader.offset` and moves past it
+function readVarint(reader) {
+  let value = 0;
+  let scale = 1;
+  for (let i = 0; i < MAX_VARINT_BYTES; i++) {
+    if (reader.offset >= reader.bytes.length) throw new Error('Malformed point data');
+    const byte = reader.bytes[reader.offset++];
+    value += (byte % 128) * scale;
+    if (byte < 128) return value;
+    scale *= 128;
+  }
+  throw new Error('Malformed point data');
+}
+
+function readSigned(reader) {
+  const value = readVarint(reader);
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// Packs a list of points into bytes. Pen pressure is kept when every point
+// has one.
+export function packPoints(points) {
+  const hasPressure = points.length > 0 && points.every(point => point.pressure !== undefined);
+  const bytes = [hasPressure ? HAS_PRESSURE : 0];
+  writeVarint(bytes, points.length);
+
+  let x = 0;
+  let y = 0;
+  let pressure = 0;
+  points.forEach(point => {
+    const nextX = Math.round(point.x * COORDINATE_STEPS);
+    const nextY = Math.round(point.y * COORDINATE_STEPS);
+    writeSigned(bytes, nextX - x);
+    writeSigned(bytes, nextY - y);
+    x = nextX;
+    y = nextY;
+    if (hasPressure) {
+      const nextPressure = Math.round(point.pressure * PRESSURE_STEPS);
+      writeSigned(bytes, nextPressure - pressure);
+      pressure = nextPressure;
+    }
+  });
+  return Uint8Array.from(bytes);
+}
+
+// Views binary data received as an ArrayBuffer or a view of one (browsers
+// receive attachments as ArrayBuffers, Node as Buffers) as bytes
+function toBytes(data) {
+  if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) throw new Error('Malformed point data');
+  return data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// Unpacks bytes made by packPoints(), given as an ArrayBuffer or a view of
+// one. Throws if the data is not packed points or holds more than `maxCount`.
+export function unpackPoints(data, maxCount = Infinity) {
+  const bytes = toBytes(data);
+  const reader = { bytes, offset: 0 };
+
+  const flags = readVarint(reader);
+  if (flags > HAS_PRESSURE) throw new Error('Malformed point data');
+  const hasPressure = flags === HAS_PRESSURE;
+  const count = readVarint(reader);
+  if (count > maxCount) throw new Error(`A stroke can have at most ${maxCount} points`);
+  // Every point takes at least one byte per value
+  if (count * (hasPressure ? 3 : 2) > bytes.length - reader.offset) throw new Error('Malformed point data');
+
+  const points = [];
+  let x = 0;
+  let y = 0;
+  let pressure = 0;
+  for (let i = 0; i < count; i++) {
+    x += readSigned(reader);
+    y += readSigned(reader);
+    const point = { x: x / COORDINATE_STEPS, y: y / COORDINATE_STEPS };
+    if (hasPressure) {
+      pressure += readSigned(reader);
+      point.pressure = pressure / PRESSURE_STEPS;
+    }
+    points.push(point);
+  }
+  if (reader.offset !== bytes.length) throw new Error('Malformed point data');
+  return points;
+}
+
+// Returns a stroke with its points packed; strokes without points (shapes,
+// text, fills, images) are returned as they are
+export function packStroke(stroke) {
+  if (!Array.isArray(stroke.points)) return stroke;
+  const { points, ...rest } = stroke;
+  return { ...rest, packedPoints: packPoints(points) };
+}
+
+// Returns a stroke with plain points; anything without packed points is
+// returned as it is. `bundle` holds the points of a bundled payload (see
+// bundlePayload()), where packedPoints is the [start, end] of the stroke's.
+export function unpackStroke(stroke, maxCount = Infinity, bundle = null) {
+  if (!stroke || typeof stroke !== 'object' || stroke.packedPoints === undefined) return stroke;
+  const { packedPoints, ...rest } = stroke;
+  return { ...rest, points: unpackPoints(bundle ? sliceBundle(bundle, packedPoints) : packedPoints, maxCount) };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function sliceBundle(bundle, range) {
+  if (!Array.isArray(range) || range.length !== 2 || !Number.isInteger(range[0]) || !Number.isInteger(range[1])
+    || range[0] < 0 || range[0] > range[1] || range[1] > bundle.length) throw new Error('Malformed point data');
+  return bundle.subarray(range[0], range[1]);
+}
+
+// Socket.IO sends every binary value as an attachment of its own, and newer
+// versions refuse messages with more than 10. A payload with several packed
+// strokes therefore goes out with all their points in one byte array,
+// `packedBundle`, and each stroke's packedPoints replaced by its [start, end]
+// in it. Only objects are bundled; anything else is returned as it is.
+export function bundlePayload(payload) {
+  if (!isPlainObject(payload)) return payload;
+  const chunks = [];
+  let length = 0;
+  const bundle = (value) => {
+    if (Array.isArray(value)) return value.map(bundle);
+    if (!isPlainObject(value)) return value;
+    if (ArrayBuffer.isView(value.packedPoints)) {
+      const start = length;
+      chunks.push(value.packedPoints);
+      length += value.packedPoints.byteLength;
+      return { ...value, packedPoints: [start, length] };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, bundle(item)]));
+  };
+  const bundled = bundle(payload);
+  if (chunks.length < 2) return payload;
+
+  const packedBundle = new Uint8Array(length);
+  chunks.reduce((offset, chunk) => {
+    packedBundle.set(toBytes(chunk), offset);
+    return offset + chunk.byteLength;
+  }, 0);
+  return { ...bundled, packedBundle };
+}
+
+// Unpacks every packed stroke in a payload, however deep it sits in plain
+// objects and arrays (a drawing state, a timeline, an acknowledgement),
+// bundled or not
+export function unpackPayload(value, bundle = null) {
+  if (Array.isArray(value)) return value.map(item => unpackPayload(item, bundle));
+  if (!isPlainObject(value)) return value;
+  if (value.packedBundle !== undefined && !bundle) {
+    const { packedBundle, ...rest } = value;
+    return unpackPayload(rest, toBytes(packedBundle));
+  }
+  if (value.packedPoints !== undefined) return unpackStroke(value, Infinity, bundle);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, unpackPayload(item, bundle)]));
+}
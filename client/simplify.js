@@ -0,0 +1,61 @@
+// Freehand point simplification (Ramer–Douglas–Peucker).
+// Plain arithmetic in a fixed order (IEEE doubles, no square roots), so the
+// same points and tolerance give the same result on every client and on the
+// server, which requires this very module to simplify its copy of streamed
+// strokes.
+
+// A pen point whose pressure is this far off the even ramp between its kept
+// neighbours is always kept, so simplifying never flattens the line's width
+const PRESSURE_TOLERANCE = 0.1;
+
+// Squared distance from point p to the segment a–b, or Infinity if p's pen
+// pressure strays from the segment's
+function deviationSquared(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  let t = lengthSquared === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+  if (p.pressure !== undefined && Math.abs(a.pressure + t * (b.pressure - a.pressure) - p.pressure) > PRESSURE_TOLERANCE) {
+    return Infinity;
+  }
+  const ex = a.x + t * dx - p.x;
+  const ey = a.y + t * dy - p.y;
+  return ex * ex + ey * ey;
+}
+
+// Drops the points of a freehand stroke that lie within `tolerance` (world
+// units) of the line through their kept neighbours. The first and last
+// points are always kept, and kept points keep every property (pressure).
+// A tolerance of 0 keeps every point.
+//
+// Returns a new array of the kept points, in order.
+export function simplifyPoints(points, tolerance) {
+  if (points.length <= 2 || !(tolerance > 0)) return points.slice();
+
+  const limit = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Ranges still to split, as pairs of indices (no recursion: strokes can be long)
+  const ranges = [0, points.length - 1];
+  while (ranges.length > 0) {
+    const end = ranges.pop();
+    const start = ranges.pop();
+    let farthest = -1;
+    let farthestDistance = limit;
+    for (let i = start + 1; i < end; i++) {
+      const distance = deviationSquared(points[i], points[start], points[end]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      ranges.push(start, farthest, farthest, end);
+    }
+  }
+  return points.filter((point, i) => keep[i] === 1);
+}
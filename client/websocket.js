@@ -1,26 +1,73 @@
+import { WIRE_FORMAT, packStroke, unpackPayload } from './point-codec.js';
+
+// Events that are pointless to replay later (only the latest value matters)
+const VOLATILE_EVENTS = ['cursor-move'];
+
+// Events whose payload is a stroke, sent with packed points once negotiated
+const PACKED_EVENTS = ['draw'];
+
 /**
  * WebSocketManager
  * ----------------
  * Handles all WebSocket (Socket.IO) interactions with the backend.
- * 
+ *
  * Responsibilities:
  *  - Establish a connection to the WebSocket server
  *  - Emit events to the server
  *  - Listen for incoming events
  *  - Manage event callbacks for multiple listeners
+ *  - Rejoin the room after a dropped connection, resuming the same session
+ *  - Queue events while disconnected and replay them after rejoining, one
+ *    at a time and within the server's rate limits
+ *  - Use the packed wire format for stroke points when the server supports
+ *    it: listeners and acknowledgements always see plain points
  */
 export class WebSocketManager {
-  constructor() {
+  /**
+   * @param {string} [serverUrl] - Backend serving Socket.IO ('' for the page's origin)
+   */
+  constructor(serverUrl = '') {
+    this.serverUrl = serverUrl;
     this.socket = null;         // Active Socket.IO connection instance
     this.callbacks = {};        // Stores event-specific callback lists
+    this.room = null;           // { roomName, username, credentials, ack } of the room to (re)join
+    this.sessionToken = null;   // Identifies our session to the server when rejoining
+    this.joined = false;        // True while the server has us in the room
+    this.queue = [];            // Events emitted while not joined: { event, data, ack }
+    this.requeued = 0;          // Leading queue entries that were in flight when the connection dropped
+    this.replaying = false;     // True while the queue is being sent after a rejoin
+    this.pendingAcks = new Map(); // Request number → ack of events the server has not answered yet
+    this.nextRequest = 1;
+    this.packed = false;        // The server accepted the packed wire format for this connection
+    this.status = 'disconnected';
   }
 
   /**
-   * Establishes a WebSocket connection to the backend server
+   * Establishes a WebSocket connection to the backend server, offering the
+   * packed wire format (servers that do not know it ignore the offer).
+   * Socket.IO reconnects on its own after a network problem; every time the
+   * connection comes back we rejoin the room with our session token.
    * @returns {Socket} The connected socket instance
    */
   connect() {
-    this.socket = io('https://realtime-drawing-canvas-backend.onrender.com');
+    const options = { auth: { wireFormat: WIRE_FORMAT } };
+    this.socket = this.serverUrl ? io(this.serverUrl, options) : io(options);
+    this.callbacks = {};        // Listeners belonged to the previous socket
+    this.room = null;
+    this.sessionToken = null;
+    this.queue = [];
+    this.requeued = 0;
+    this.setStatus('connecting');
+
+    this.socket.on('connect', () => {
+      if (this.room) this.sendJoin();
+    });
+    this.socket.on('disconnect', (reason) => this.handleDisconnect(reason));
+    this.socket.io.on('reconnect_attempt', () => this.setStatus('reconnecting'));
+    this.socket.on('room-joined', (data) => {
+      this.sessionToken = data.sessionToken;
+      this.packed = data.wireFormat === WIRE_FORMAT;
+    });
     return this.socket;
   }
 
@@ -28,24 +75,117 @@ export class WebSocketManager {
    * Sends a request to join a specific drawing room
    * @param {string} roomName - The name of the drawing room
    * @param {string} username - The display name of the user
+   * @param {Object} [credentials] - `password` for protected rooms, `ownerKey` to join as the owner,
+   *   `sessionToken` to resume a session from an earlier visit
+   * @param {Function} [ack] - Called with `{ ok, error, passwordRequired }` once the server
+   *   validated the request, including every automatic rejoin
+   */
+  joinRoom(roomName, username, { password, ownerKey, sessionToken } = {}, ack) {
+    this.room = { roomName, username, credentials: { password, ownerKey }, ack };
+    if (sessionToken) this.sessionToken = sessionToken;
+    if (this.socket.connected) this.sendJoin();
+  }
+
+  /**
+   * Emits 'join-room' (with the session token once we have one) and, once
+   * the server accepted it, replays everything queued in the meantime.
+   * The server sends 'room-joined' before this acknowledgement, so the app
+   * has resynced its state by the time queued events go out.
    */
-  joinRoom(roomName, username) {
-    this.socket.emit('join-room', { roomName, username });
+  sendJoin() {
+    const { roomName, username, credentials, ack } = this.room;
+    const payload = { roomName, username, ...credentials, sessionToken: this.sessionToken };
+
+    this.socket.emit('join-room', payload, (response) => {
+      if (response && response.ok) {
+        this.joined = true;
+        this.requeued = 0;
+        this.setStatus('connected');
+        this.replayQueue();
+      }
+      if (ack) ack(response);
+    });
+  }
+
+  /**
+   * Sends the queued events in order, each once the previous one was
+   * answered. An event the server's rate limit turned away is sent again
+   * when the server says it will be let through, so a long offline session
+   * arrives whole. An event stays at the head of the queue until it is
+   * answered: when the connection drops, the one in flight is sent again
+   * after the next rejoin, with everything behind it.
+   */
+  async replayQueue() {
+    if (this.replaying) return;
+    this.replaying = true;
+
+    while (this.joined && this.queue.length > 0) {
+      const { event, data, ack } = this.queue[0];
+      const response = await new Promise(resolve => this.send(event, data, resolve));
+
+      if (response && response.offline) break;
+      if (response && response.retryAfter !== undefined) {
+        await new Promise(resolve => setTimeout(resolve, response.retryAfter));
+        continue;
+      }
+      this.queue.shift();
+      if (ack) ack(response);
+      this.setStatus(this.status);
+    }
+    this.replaying = false;
+  }
+
+  /**
+   * Handles a lost connection. Requests still waiting for an answer are
+   * failed with `offline: true`: the server may or may not have applied them,
+   * which only the room state we get on rejoining can tell.
+   * @param {string} reason - Socket.IO disconnect reason
+   */
+  handleDisconnect(reason) {
+    this.joined = false;
+
+    const acks = Array.from(this.pendingAcks.values());
+    this.pendingAcks.clear();
+    acks.forEach(ack => ack({ ok: false, error: 'Connection lost', offline: true }));
+
+    // Leaving, or being removed by the server, is final; anything else is retried
+    const final = reason === 'io client disconnect' || reason === 'io server disconnect';
+    this.setStatus(final ? 'disconnected' : 'reconnecting');
+  }
+
+  /**
+   * Records the connection status and tells 'connection-status' listeners
+   * @param {string} status - 'connecting', 'connected', 'reconnecting' or 'disconnected'
+   */
+  setStatus(status) {
+    this.status = status;
+    this.dispatch('connection-status', { status, queued: this.queue.length });
+  }
+
+  /**
+   * Calls the local listeners of an event
+   * @param {string} event - Event name
+   * @param {any} data - Event data
+   */
+  dispatch(event, data) {
+    (this.callbacks[event] || []).forEach(cb => cb(data));
   }
 
   /**
    * Registers a listener for a specific event type
-   * Multiple listeners per event are supported.
+   * Multiple listeners per event are supported. Packed points in the
+   * event's data are unpacked first.
    * @param {string} event - Event name to listen for
    * @param {Function} callback - Function to execute when event occurs
    */
   on(event, callback) {
-    // If this is the first time registering this event, 
+    // If this is the first time registering this event,
     // initialize the callback list and bind the socket listener
     if (!this.callbacks[event]) {
       this.callbacks[event] = [];
       this.socket.on(event, (...args) => {
-        this.callbacks[event].forEach(cb => cb(...args));
+        const data = args.map(arg => unpackPayload(arg));
+        this.callbacks[event].forEach(cb => cb(...data));
       });
     }
 
@@ -54,12 +194,69 @@ export class WebSocketManager {
   }
 
   /**
-   * Emits an event to the server with optional data
+   * Emits an event to the server with optional data. While we are not in
+   * the room (connecting or reconnecting), or queued events are still being
+   * replayed, the event is queued instead.
+   * @param {string} event - Event name
+   * @param {any} data - Payload to send to the server
+   * @param {Function} [ack] - Called with the server's acknowledgement, if any
+   */
+  emit(event, data, ack) {
+    if (this.isLive()) {
+      this.send(event, data, ack);
+    } else if (!VOLATILE_EVENTS.includes(event)) {
+      this.queue.push({ event, data, ack });
+      this.setStatus(this.status);
+    }
+  }
+
+  /**
+   * Tells whether events go out right away: we are in the room and nothing
+   * queued is waiting to be replayed.
+   * @returns {boolean} True if emit() sends instead of queueing
+   */
+  isLive() {
+    return this.joined && this.queue.length === 0;
+  }
+
+  /**
+   * Queues an event that was in flight when the connection dropped ahead of
+   * the events emitted while offline, so the server applies them in the
+   * order the user made them. Sent right away if we are in the room.
    * @param {string} event - Event name
    * @param {any} data - Payload to send to the server
+   * @param {Function} [ack] - Called with the server's acknowledgement, if any
    */
-  emit(event, data) {
-    this.socket.emit(event, data);
+  resend(event, data, ack) {
+    if (this.isLive()) {
+      this.send(event, data, ack);
+      return;
+    }
+    this.queue.splice(this.requeued++, 0, { event, data, ack });
+    this.setStatus(this.status);
+  }
+
+  /**
+   * Sends an event, keeping track of its acknowledgement until it arrives.
+   * Strokes are packed if the server accepted the packed wire format.
+   * @param {string} event - Event name
+   * @param {any} data - Payload to send to the server
+   * @param {Function} [ack] - Called with the server's acknowledgement, if any
+   */
+  send(event, data, ack) {
+    const payload = this.packed && PACKED_EVENTS.includes(event) ? packStroke(data) : data;
+    if (!ack) {
+      this.socket.emit(event, payload);
+      return;
+    }
+
+    const request = this.nextRequest++;
+    this.pendingAcks.set(request, ack);
+    this.socket.emit(event, payload, (response) => {
+      // Already failed by handleDisconnect()
+      if (!this.pendingAcks.delete(request)) return;
+      ack(unpackPayload(response));
+    });
   }
 
   /**
@@ -67,6 +264,7 @@ export class WebSocketManager {
    */
   disconnect() {
     if (this.socket) {
+      this.room = null;
       this.socket.disconnect();
     }
   }
@@ -0,0 +1,348 @@
+const { io } = require('socket.io-client');
+const { WIRE_FORMAT, packStroke, unpackPayload } = require('../client/point-codec.js');
+const { simplifyPoints } = require('../client/simplify.js');
+
+// How long requests and waits may take before they fail (ms)
+const DEFAULT_TIMEOUT = 10000;
+
+// Events whose payload is a stroke, sent with packed points once negotiated
+const PACKED_EVENTS = ['draw'];
+
+// Tools drawn from a start and an end point (see client/canvas.js)
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+/**
+ * DrawingClient
+ * --------------
+ * Promise-based Node client for bots, scripts and load tests. It speaks the
+ * protocol of the browser's WebSocketManager (client/websocket.js),
+ * including the packed wire format for stroke points.
+ *
+ * Responsibilities:
+ * - Connect to a server and join a room, with a password or owner key
+ * - Draw freehand strokes and shapes, move the cursor, undo, redo and clear,
+ *   each resolving with the server's acknowledgement
+ * - Mirror the room from its broadcasts (strokes, layers, users), so a
+ *   script can await the state it expects
+ *
+ * Usage:
+ *   const client = new DrawingClient('http://localhost:3000');
+ *   await client.connect();
+ *   await client.join('demo', 'bot');
+ *   await client.drawStroke([{ x: 0, y: 0 }, { x: 100, y: 50 }], { color: '#ff0000' });
+ *   await client.waitFor(room => room.getVisibleStrokes().length >= 10);
+ *   client.disconnect();
+ */
+class DrawingClient {
+  /**
+   * @param {string} serverUrl - Server to connect to, e.g. 'http://localhost:3000'
+   * @param {Object} [options]
+   * @param {boolean} [options.packed=true] - Offer the packed wire format (false speaks plain JSON like older clients)
+   * @param {number} [options.timeout=DEFAULT_TIMEOUT] - Time limit for requests and waits (ms)
+   */
+  constructor(serverUrl, { packed = true, timeout = DEFAULT_TIMEOUT } = {}) {
+    this.serverUrl = serverUrl;
+    this.offerPacked = packed;
+    this.timeout = timeout;
+    this.socket = null;
+    this.packed = false;        // The server accepted the packed wire format for this connection
+    this.callbacks = {};        // Event → listeners registered with on()
+    this.watchers = new Set();  // Checks run by waitFor() after every change
+
+    // Mirror of the room, kept up to date from its broadcasts
+    this.userId = null;
+    this.role = null;
+    this.size = null;
+    this.layers = [];
+    this.users = [];
+    this.strokes = [];          // Committed strokes in server order; undone ones have `hidden: true`
+    this.liveStrokes = new Map(); // userId → stroke other users are drawing right now
+  }
+
+  /**
+   * Opens the connection.
+   * @returns {Promise<void>} Resolves once connected; rejects if the server cannot be reached
+   */
+  connect() {
+    const options = {
+      auth: this.offerPacked ? { wireFormat: WIRE_FORMAT } : {},
+      reconnection: false,
+      timeout: this.timeout
+    };
+    this.socket = io(this.serverUrl, options);
+    this.listenToRoom();
+
+    return new Promise((resolve, reject) => {
+      this.socket.once('connect', () => resolve());
+      this.socket.once('connect_error', (err) => reject(new Error(`Cannot connect to ${this.serverUrl}: ${err.message}`)));
+    });
+  }
+
+  /**
+   * Joins (or creates) a room and loads its state into the mirror.
+   * @param {string} roomName - Room name
+   * @param {string} username - Display name
+   * @param {Object} [credentials] - `password` for protected rooms, `ownerKey` to join as the owner
+   * @returns {Promise<Object>} The 'room-joined' payload, with plain points
+   */
+  async join(roomName, username, { password, ownerKey } = {}) {
+    const joined = new Promise(resolve => this.socket.once('room-joined', resolve));
+    await this.request('join-room', { roomName, username, password, ownerKey });
+
+    // The server sends the room before acknowledging the join
+    const data = unpackPayload(await joined);
+    this.packed = data.wireFormat === WIRE_FORMAT;
+    this.userId = data.userId;
+    this.role = data.role;
+    this.size = data.drawingState.size;
+    this.layers = data.drawingState.layers;
+    this.strokes = data.drawingState.strokes;
+    this.users = data.users;
+    this.changed();
+    return data;
+  }
+
+  /**
+   * Registers a listener for a server event. Packed points in its data are
+   * unpacked first, as in the browser.
+   * @param {string} event - Event name
+   * @param {Function} callback - Receives the event data
+   */
+  on(event, callback) {
+    if (!this.callbacks[event]) {
+      this.callbacks[event] = [];
+      this.socket.on(event, (...args) => {
+        const data = args.map(arg => unpackPayload(arg));
+        this.callbacks[event].forEach(cb => cb(...data));
+      });
+    }
+    this.callbacks[event].push(callback);
+  }
+
+  /**
+   * Sends an event and waits for its acknowledgement.
+   * @param {string} event - Event name
+   * @param {any} [data] - Payload
+   * @returns {Promise<Object>} The acknowledgement, with plain points; rejects
+   *   with the server's error if it refused the request, or on timeout
+   */
+  async request(event, data) {
+    const payload = this.packed && PACKED_EVENTS.includes(event) ? packStroke(data) : data;
+    let response;
+    try {
+      response = unpackPayload(await this.socket.timeout(this.timeout).emitWithAck(event, payload));
+    } catch (err) {
+      throw new Error(`No answer to '${event}' within ${this.timeout}ms`);
+    }
+    if (!response || !response.ok) {
+      throw new Error(response ? response.error : `No answer to '${event}'`);
+    }
+    return response;
+  }
+
+  /**
+   * Draws a freehand stroke, sent complete like a stroke drawn offline.
+   * @param {Array<{x: number, y: number, pressure?: number}>} points - World coordinates
+   * @param {Object} [style]
+   * @param {string} [style.tool='brush'] - 'brush' or 'eraser'
+   * @param {string} [style.color='#000000'] - Hex color
+   * @param {number} [style.width=3] - Line width
+   * @param {number} [style.layerId] - Layer to draw on (defaults to the bottom one)
+   * @returns {Promise<number>} Id the server gave the stroke
+   */
+  drawStroke(points, { tool = 'brush', color = '#000000', width = 3, layerId } = {}) {
+    return this.draw({ tool, color, width, points, layerId: this.layerFor(layerId) });
+  }
+
+  /**
+   * Draws a line, rectangle, ellipse or arrow.
+   * @param {string} tool - One of SHAPE_TOOLS
+   * @param {{x: number, y: number}} start - First corner or end point
+   * @param {{x: number, y: number}} end - Opposite corner or end point
+   * @param {Object} [style]
+   * @param {string} [style.color='#000000'] - Hex color
+   * @param {number} [style.width=3] - Line width
+   * @param {boolean} [style.fill=false] - Fill rectangles and ellipses
+   * @param {number} [style.layerId] - Layer to draw on (defaults to the bottom one)
+   * @returns {Promise<number>} Id the server gave the shape
+   */
+  drawShape(tool, start, end, { color = '#000000', width = 3, fill = false, layerId } = {}) {
+    if (!SHAPE_TOOLS.includes(tool)) {
+      return Promise.reject(new Error(`Unknown shape: ${tool}`));
+    }
+    return this.draw({ tool, color, width, start, end, fill, layerId: this.layerFor(layerId) });
+  }
+
+  /**
+   * Sends a complete stroke and adds it to the mirror once acknowledged
+   * (the server does not send our own strokes back).
+   * @param {Object} stroke - Stroke content
+   * @returns {Promise<number>} Id the server gave the stroke
+   */
+  async draw(stroke) {
+    const { id } = await this.request('draw', stroke);
+    this.addStroke({ ...stroke, id, authorId: this.userId });
+    this.changed();
+    return id;
+  }
+
+  /**
+   * Moves our cursor as seen by the others. Not acknowledged.
+   * @param {number} x - World x
+   * @param {number} y - World y
+   */
+  moveCursor(x, y) {
+    this.socket.emit('cursor-move', { x, y });
+  }
+
+  /**
+   * Undoes our latest action.
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  undo() {
+    return this.request('undo');
+  }
+
+  /**
+   * Redoes our latest undone action.
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  redo() {
+    return this.request('redo');
+  }
+
+  /**
+   * Clears the canvas for everyone (locked layers are kept).
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  clear() {
+    return this.request('clear-canvas');
+  }
+
+  /**
+   * Waits until the mirrored room passes a check, run now and after every
+   * change the server broadcasts.
+   * @param {Function} check - Receives this client; returns true when the wait is over
+   * @param {number} [timeout] - Time limit (ms), the client's default if omitted
+   * @returns {Promise<DrawingClient>} Resolves with this client; rejects on timeout
+   */
+  waitFor(check, timeout = this.timeout) {
+    if (check(this)) return Promise.resolve(this);
+
+    return new Promise((resolve, reject) => {
+      const watcher = () => {
+        if (!check(this)) return;
+        clearTimeout(timer);
+        this.watchers.delete(watcher);
+        resolve(this);
+      };
+      const timer = setTimeout(() => {
+        this.watchers.delete(watcher);
+        reject(new Error(`Room did not reach the expected state within ${timeout}ms`));
+      }, timeout);
+      this.watchers.add(watcher);
+    });
+  }
+
+  /**
+   * Returns the strokes the room shows: not undone, not replaced by an
+   * edit and not deleted (like DrawingState#getVisibleStrokes).
+   * @returns {Array<Object>} Stroke objects in server order
+   */
+  getVisibleStrokes() {
+    const byId = new Map(this.strokes.map(stroke => [stroke.id, stroke]));
+    const replaced = new Set();
+    this.strokes.forEach(stroke => {
+      if (stroke.hidden) return;
+      let id = stroke.replaces;
+      while (id !== undefined && !replaced.has(id)) {
+        replaced.add(id);
+        id = byId.has(id) ? byId.get(id).replaces : undefined;
+      }
+    });
+    return this.strokes.filter(stroke => !stroke.hidden && !stroke.deleted && !replaced.has(stroke.id));
+  }
+
+  /**
+   * Closes the connection.
+   */
+  disconnect() {
+    if (this.socket) this.socket.disconnect();
+    this.watchers.clear();
+  }
+
+  /**
+   * Keeps the mirror in step with the room's broadcasts.
+   */
+  listenToRoom() {
+    this.on('draw', (stroke) => this.addStroke(stroke));
+    this.on('import', ({ strokes }) => strokes.forEach(stroke => this.addStroke(stroke)));
+    this.on('edit-strokes', ({ strokes }) => strokes.forEach(stroke => this.addStroke(stroke)));
+    this.on('undo', ({ strokeIds }) => this.setHidden(strokeIds, true));
+    this.on('redo', ({ strokeIds }) => this.setHidden(strokeIds, false));
+    this.on('clear-canvas', () => {
+      const locked = new Set(this.layers.filter(layer => layer.locked).map(layer => layer.id));
+      this.strokes = this.getVisibleStrokes().filter(stroke => locked.has(stroke.layerId));
+    });
+    this.on('layers-update', (layers) => { this.layers = layers; });
+    this.on('users-update', (users) => { this.users = users; });
+
+    // Strokes other users stream are committed simplified, as in the browser
+    this.on('stroke-begin', ({ userId, stroke }) => this.liveStrokes.set(userId, stroke));
+    this.on('stroke-points', ({ userId, points }) => {
+      const stroke = this.liveStrokes.get(userId);
+      if (stroke) stroke.points.push(...points);
+    });
+    this.on('stroke-end', ({ userId, id, tolerance }) => {
+      const stroke = this.liveStrokes.get(userId);
+      if (!stroke) return;
+      this.liveStrokes.delete(userId);
+      this.addStroke({ ...stroke, points: simplifyPoints(stroke.points, tolerance || 0), id, authorId: userId });
+    });
+    this.on('stroke-cancel', ({ userId }) => this.liveStrokes.delete(userId));
+
+    // Every event above may complete a wait
+    Object.keys(this.callbacks).forEach(event => this.on(event, () => this.changed()));
+  }
+
+  /**
+   * Adds a committed stroke to the mirror; its author's undone strokes can
+   * no longer be redone.
+   * @param {Object} stroke - Committed stroke
+   */
+  addStroke(stroke) {
+    this.strokes = this.strokes.filter(s => !(s.hidden && s.authorId === stroke.authorId));
+    this.strokes.push(stroke);
+  }
+
+  /**
+   * Marks strokes as undone or redone in the mirror.
+   * @param {Array<number>} strokeIds - Stroke ids
+   * @param {boolean} hidden - Whether they are undone
+   */
+  setHidden(strokeIds, hidden) {
+    const ids = new Set(strokeIds);
+    this.strokes.forEach(stroke => {
+      if (ids.has(stroke.id)) stroke.hidden = hidden;
+    });
+  }
+
+  /**
+   * Runs the checks of pending waitFor() calls.
+   */
+  changed() {
+    this.watchers.forEach(watcher => watcher());
+  }
+
+  /**
+   * Returns the layer to draw on: the given one, or the bottom layer.
+   * @param {number} [layerId] - Requested layer
+   * @returns {number|undefined} Layer id (undefined before joining)
+   */
+  layerFor(layerId) {
+    if (layerId !== undefined) return layerId;
+    return this.layers.length > 0 ? this.layers[0].id : undefined;
+  }
+}
+
+module.exports = { DrawingClient, SHAPE_TOOLS };
@@ -0,0 +1,280 @@
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { DrawingClient } = require('./drawing-client');
+
+/**
+ * Load test
+ * ----------
+ * Simulates users drawing in one room at the same time and reports how the
+ * server keeps up. Built on DrawingClient; every simulated user has its own
+ * connection, as in a browser.
+ *
+ * Each user joins, then sends freehand strokes at a steady rate (with a
+ * cursor move before each) until the time is up. Reported:
+ * - Join time: from connecting to having the room's state
+ * - Ack latency: from sending a stroke to the server confirming it
+ * - Broadcast latency: from sending a stroke to another user receiving it
+ * - Throughput: strokes and points the server accepted per second
+ *
+ * Usage:
+ *   npm run load-test -- --users 20 --duration 30
+ *   node sdk/load-test.js --url http://localhost:3000 --room bench --rate 5
+ *
+ * Exits with status 1 if any user failed to join or any stroke was lost.
+ */
+
+const OPTIONS = {
+  url: { type: 'string', default: 'http://localhost:3000' },
+  room: { type: 'string' },
+  users: { type: 'string', default: '10' },
+  duration: { type: 'string', default: '10' },
+  rate: { type: 'string', default: '2' },
+  points: { type: 'string', default: '50' },
+  plain: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: node sdk/load-test.js [options]
+
+  --url <url>        Server to test (default http://localhost:3000)
+  --room <name>      Room to draw in (default: a new room per run)
+  --users <n>        Simultaneous users (default 10)
+  --duration <s>     How long the users draw, in seconds (default 10)
+  --rate <n>         Strokes per second per user, at most 20 (default 2)
+  --points <n>       Points per stroke (default 50)
+  --plain            Send points as JSON instead of the packed wire format
+  -h, --help         Show this help`;
+
+// The server lets each socket send 20 strokes per second (see server/limits.js)
+const MAX_RATE = 20;
+
+// How long to wait for the last broadcasts once everybody stopped drawing (ms)
+const DRAIN_TIMEOUT = 5000;
+
+/**
+ * Reads and checks the command line.
+ * @returns {Object} Settings, or null if only the help was asked for
+ */
+const readOptions = () => {
+  const { values } = parseArgs({ options: OPTIONS });
+  if (values.help) return null;
+
+  const number = (name, min, max) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`--${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  };
+
+  return {
+    url: values.url,
+    room: values.room || `load-test-${Date.now().toString(36)}`,
+    users: Math.floor(number('users', 1, 10000)),
+    duration: number('duration', 0.1, 86400),
+    rate: number('rate', 0.01, MAX_RATE),
+    points: Math.floor(number('points', 2, 5000)),
+    packed: !values.plain
+  };
+};
+
+/**
+ * Makes a wavy freehand stroke around a random spot.
+ * @param {number} count - Number of points
+ * @returns {Array<{x: number, y: number}>} Points
+ */
+const randomStroke = (count) => {
+  const x = Math.random() * 2000;
+  const y = Math.random() * 1500;
+  const angle = Math.random() * Math.PI * 2;
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const along = i * 4;
+    const across = Math.sin(i / 4) * 20;
+    points.push({
+      x: Math.round((x + along * Math.cos(angle) - across * Math.sin(angle)) * 100) / 100,
+      y: Math.round((y + along * Math.sin(angle) + across * Math.cos(angle)) * 100) / 100
+    });
+  }
+  return points;
+};
+
+const randomColor = () => `#${Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Summarizes a list of durations.
+ * @param {Array<number>} values - Durations (ms)
+ * @returns {string} Count and percentiles, or a dash if the list is empty
+ */
+const summarize = (values) => {
+  if (values.length === 0) return '-';
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  const ms = (value) => `${value.toFixed(1)}ms`;
+  return `p50 ${ms(at(0.5))}  p95 ${ms(at(0.95))}  p99 ${ms(at(0.99))}  max ${ms(sorted[sorted.length - 1])}  (n=${sorted.length})`;
+};
+
+/**
+ * Counts an error message.
+ * @param {Map<string, number>} errors - Message → count
+ * @param {Error} err - Error to count
+ */
+const countError = (errors, err) => errors.set(err.message, (errors.get(err.message) || 0) + 1);
+
+/**
+ * Connects a user and joins the room.
+ * @param {Object} options - Settings from readOptions()
+ * @param {number} index - User number
+ * @param {Object} stats - Collected measurements
+ * @returns {Promise<DrawingClient|null>} The joined client, or null if it failed
+ */
+const joinUser = async (options, index, stats) => {
+  const client = new DrawingClient(options.url, { packed: options.packed });
+  const startedAt = performance.now();
+  try {
+    await client.connect();
+    await client.join(options.room, `bot-${index + 1}`);
+    stats.joinTimes.push(performance.now() - startedAt);
+  } catch (err) {
+    countError(stats.joinErrors, err);
+    client.disconnect();
+    return null;
+  }
+
+  // Broadcast latency is worked out at the end: stroke ids are only known
+  // once acknowledged, which may be after others received the stroke
+  client.on('draw', (stroke) => {
+    const receivedAt = performance.now();
+    if (!stats.arrivals.has(stroke.id)) stats.arrivals.set(stroke.id, []);
+    stats.arrivals.get(stroke.id).push(receivedAt);
+  });
+  return client;
+};
+
+/**
+ * Sends strokes from one user at a steady rate until the deadline.
+ * @param {DrawingClient} client - Joined client
+ * @param {Object} options - Settings from readOptions()
+ * @param {number} deadline - performance.now() value to stop at
+ * @param {Object} stats - Collected measurements
+ */
+const drawUntil = async (client, options, deadline, stats) => {
+  const interval = 1000 / options.rate;
+  const color = randomColor();
+  const pending = [];
+
+  // Spread the users over the first interval so they do not all send at once
+  let nextAt = performance.now() + Math.random() * interval;
+  while (nextAt < deadline) {
+    await sleep(Math.max(0, nextAt - performance.now()));
+    nextAt += interval;
+
+    const points = randomStroke(options.points);
+    client.moveCursor(points[0].x, points[0].y);
+    const sentAt = performance.now();
+    stats.sent++;
+    pending.push(client.drawStroke(points, { color, width: 2 + Math.random() * 6 })
+      .then((id) => {
+        stats.ackTimes.push(performance.now() - sentAt);
+        stats.sentAt.set(id, sentAt);
+        stats.acked++;
+        stats.pointsAcked += points.length;
+      })
+      .catch(err => countError(stats.drawErrors, err)));
+  }
+  await Promise.all(pending);
+};
+
+/**
+ * Runs the load test and prints the report.
+ * @param {Object} options - Settings from readOptions()
+ * @returns {Promise<boolean>} Whether everything went through
+ */
+const run = async (options) => {
+  const stats = {
+    joinTimes: [],
+    joinErrors: new Map(),
+    ackTimes: [],
+    drawErrors: new Map(),
+    sentAt: new Map(),      // Stroke id → when its author sent it
+    arrivals: new Map(),    // Stroke id → when each other user received it
+    sent: 0,
+    acked: 0,
+    pointsAcked: 0
+  };
+
+  console.log(`Joining ${options.users} users to room "${options.room}" on ${options.url}` +
+    ` (${options.packed ? 'packed' : 'JSON'} points)...`);
+  const joined = await Promise.all(Array.from({ length: options.users }, (_, i) => joinUser(options, i, stats)));
+  const clients = joined.filter(Boolean);
+  if (clients.length === 0) {
+    console.error('No user could join:');
+    stats.joinErrors.forEach((count, message) => console.error(`  ${count} × ${message}`));
+    return false;
+  }
+  const initialStrokes = Math.min(...clients.map(client => client.strokes.length));
+
+  console.log(`Drawing for ${options.duration}s at ${options.rate} strokes/s per user...`);
+  const startedAt = performance.now();
+  const deadline = startedAt + options.duration * 1000;
+  await Promise.all(clients.map(client => drawUntil(client, options, deadline, stats)));
+  const elapsed = (performance.now() - startedAt) / 1000;
+
+  // Give the last broadcasts time to arrive, then check everybody has every stroke
+  const expected = initialStrokes + stats.acked;
+  const synced = await Promise.all(clients.map(client =>
+    client.waitFor(room => room.strokes.length >= expected, DRAIN_TIMEOUT).then(() => true, () => false)));
+  const syncedCount = synced.filter(Boolean).length;
+
+  const broadcastTimes = [];
+  stats.arrivals.forEach((times, id) => {
+    const sentAt = stats.sentAt.get(id);
+    if (sentAt !== undefined) times.forEach(time => broadcastTimes.push(time - sentAt));
+  });
+  const expectedDeliveries = stats.acked * (clients.length - 1);
+  const dropped = stats.sent - stats.acked;
+
+  console.log('');
+  console.log(`Users joined        ${clients.length}/${options.users}`);
+  console.log(`Join time           ${summarize(stats.joinTimes)}`);
+  console.log(`Strokes acked       ${stats.acked}/${stats.sent}`);
+  console.log(`Ack latency         ${summarize(stats.ackTimes)}`);
+  console.log(`Broadcasts received ${broadcastTimes.length}/${expectedDeliveries}`);
+  console.log(`Broadcast latency   ${summarize(broadcastTimes)}`);
+  console.log(`Throughput          ${(stats.acked / elapsed).toFixed(1)} strokes/s, ` +
+    `${Math.round(stats.pointsAcked / elapsed)} points/s, ` +
+    `${Math.round(broadcastTimes.length / elapsed)} deliveries/s`);
+  console.log(`In sync at the end  ${syncedCount}/${clients.length} users`);
+
+  const errors = [...stats.joinErrors, ...stats.drawErrors];
+  if (errors.length > 0) {
+    console.log('Errors:');
+    errors.forEach(([message, count]) => console.log(`  ${count} × ${message}`));
+  }
+
+  clients.forEach(client => client.disconnect());
+  return clients.length === options.users && dropped === 0 &&
+    broadcastTimes.length === expectedDeliveries && syncedCount === clients.length;
+};
+
+let options;
+try {
+  options = readOptions();
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+if (!options) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+run(options).then(
+  (passed) => process.exit(passed ? 0 : 1),
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const express = require('express');
+const roomManager = require('./rooms');
+const sessions = require('./sessions');
+const config = require('./config');
+const limits = require('./limits');
+const { validateName } = require('./validation');
+const { exportJson } = require('./export');
+const exportQueue = require('./export-queue');
+
+/**
+ * HTTP API
+ * ---------
+ * Express router mounted at /api.
+ *
+ * Routes:
+ *   GET    /api/rooms                   - Every open room with user and stroke counts
+ *   GET    /api/rooms/:name             - One room's users, cursors and undo history
+ *   DELETE /api/rooms/:name             - Delete a room (admin token required)
+ *   GET    /api/rooms/:name/export.json - Versioned JSON document (can be imported again)
+ *   GET    /api/rooms/:name/export.svg  - Vector image
+ *   GET    /api/rooms/:name/export.png  - Raster image
+ *
+ * Admin routes expect `Authorization: Bearer <token>` with the configured
+ * admin token (`adminToken` / ADMIN_TOKEN); without one they are disabled.
+ * A password-protected room is left out of the list, and reading or
+ * exporting it takes one of: the admin token, the room password
+ * (`X-Room-Password`), the owner key (`X-Owner-Key`) or the token of a
+ * session in the room (`X-Session-Token`).
+ * SVG and PNG exports are rendered off the main thread by ExportQueue.
+ * Errors are returned as `{ error }` with a 4xx status, or 5xx when an
+ * export cannot be rendered (503 with `Retry-After` while the queue is full).
+ */
+
+// Export format → how to produce the file (null while the export queue is full)
+const EXPORTERS = {
+  json: (roomName, drawingState) => JSON.stringify(exportJson(roomName, drawingState), null, 2),
+  svg: (roomName, drawingState) => exportQueue.render('svg', drawingState),
+  png: (roomName, drawingState) => exportQueue.render('png', drawingState)
+};
+
+// Seconds a client refused by the full export queue is told to wait
+const EXPORT_RETRY_AFTER = 5;
+
+/**
+ * Compares two strings in constant time, so response timing does not leak
+ * how much of the token was right.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+/**
+ * Checks whether a request carries the admin token.
+ * @param {express.Request} req - Request
+ * @returns {boolean} True if an admin token is configured and the request has it
+ */
+const isAdmin = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return Boolean(config.adminToken) && scheme === 'Bearer' && Boolean(token) && safeEqual(token, config.adminToken);
+};
+
+/**
+ * Middleware rejecting requests without the admin token
+ */
+const requireAdmin = (req, res, next) => {
+  if (!config.adminToken) {
+    return res.status(403).json({ error: 'Admin routes are disabled (no admin token is configured)' });
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+};
+
+/**
+ * Checks whether a request may read a room: anyone may read an open room;
+ * a protected one needs what joining it needs, a session in it, or the
+ * admin token.
+ * @param {express.Request} req - Request
+ * @param {Object} room - Room object
+ * @returns {boolean} True if the room may be read
+ */
+const canRead = (req, room) => {
+  if (!room.access.isProtected() || isAdmin(req)) return true;
+  if (sessions.find(req.get('X-Session-Token'), room.name)) return true;
+  const password = req.get('X-Room-Password');
+  const ownerKey = req.get('X-Owner-Key');
+  return Boolean(password || ownerKey) && room.access.canEnter(password, ownerKey);
+};
+
+/**
+ * Middleware loading the room named by `req.roomName` into `req.room`,
+ * provided the request may read it (see canRead)
+ */
+const loadReadableRoom = (req, res, next) => {
+  const room = roomManager.findRoom(req.roomName);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  if (!canRead(req, room)) {
+    return res.status(401).json({ error: 'This room is password protected' });
+  }
+  req.room = room;
+  next();
+};
+
+/**
+ * Middleware validating the `:name` parameter into `req.roomName`
+ */
+const parseRoomName = (req, res, next) => {
+  const roomName = validateName(req.params.name, 'Room name', limits.maxRoomNameLength);
+  if (roomName.error) {
+    return res.status(400).json({ error: roomName.error });
+  }
+  req.roomName = roomName.value;
+  next();
+};
+
+/**
+ * Creates the API router.
+ * @param {Object} options
+ * @param {Server} options.io - Socket.IO server, used to disconnect users of deleted rooms
+ * @returns {express.Router} Router to mount at /api
+ */
+const createApiRouter = ({ io }) => {
+  const router = express.Router();
+
+  /**
+   * Lists every room, including rooms that are only stored on disk.
+   * Protected rooms are only listed for the admin.
+   */
+  router.get('/rooms', (req, res) => {
+    const admin = isAdmin(req);
+    res.json(roomManager.listRooms().filter(room => admin || !room.protected).map(room => ({
+      ...room,
+      lastActivity: new Date(room.lastActivity).toISOString()
+    })));
+  });
+
+  /**
+   * Describes one room: who is in it with which role, where their cursors
+   * are, its layers, and how far each author can undo and redo
+   */
+  router.get('/rooms/:name', parseRoomName, loadReadableRoom, (req, res) => {
+    const { room } = req;
+    const { drawingState } = room;
+    res.json({
+      name: room.name,
+      size: drawingState.size,
+      lastActivity: new Date(room.lastActivity).toISOString(),
+      access: room.access.getSettings(),
+      users: roomManager.getRoomUsers(room.name),
+      layers: drawingState.layers,
+      strokeCount: drawingState.getVisibleStrokes().length,
+      totalStrokeCount: drawingState.strokes.length,
+      nextStrokeId: drawingState.nextStrokeId,
+      history: Array.from(drawingState.histories, ([authorId, history]) => ({
+        authorId,
+        undo: history.undo.length,
+        redo: history.redo.length
+      }))
+    });
+  });
+
+  /**
+   * Deletes a room for good. Connected users are told and disconnected.
+   */
+  router.delete('/rooms/:name', requireAdmin, parseRoomName, (req, res) => {
+    io.to(req.roomName).emit('room-deleted');
+    io.in(req.roomName).disconnectSockets();
+
+    sessions.removeRoom(req.roomName);
+    if (!roomManager.deleteRoom(req.roomName)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.status(204).end();
+  });
+
+  /**
+   * Downloads a room in one of the export formats
+   */
+  router.get('/rooms/:name/export.:format', parseRoomName, (req, res, next) => {
+    if (!EXPORTERS[req.params.format]) {
+      return res.status(404).json({ error: `Unknown export format: ${req.params.format}` });
+    }
+    next();
+  }, loadReadableRoom, async (req, res) => {
+    const file = EXPORTERS[req.params.format](req.roomName, req.room.drawingState);
+    if (file === null) {
+      res.set('Retry-After', String(EXPORT_RETRY_AFTER));
+      return res.status(503).json({ error: 'Too many exports are being rendered, try again shortly' });
+    }
+
+    let contents;
+    try {
+      contents = await file;
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.attachment(`${req.roomName}.${req.params.format}`);
+    res.send(contents);
+  });
+
+  return router;
+};
+
+module.exports = createApiRouter;
@@ -0,0 +1,70 @@
+/**
+ * ChatHistory
+ * ------------
+ * Recent chat messages of one room, kept next to its DrawingState.
+ *
+ * Two kinds of messages share one sequence of ids:
+ *   - user:   { id, type: 'user', userId, username, color, text, timestamp }
+ *   - system: { id, type: 'system', event: 'joined' | 'left', username, timestamp }
+ *
+ * Only the newest `limit` messages are kept. Like DrawingState, every new
+ * message is reported to `journal` so the room manager can persist it.
+ */
+class ChatHistory {
+  /**
+   * @param {number} limit - Number of messages to keep
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.messages = [];
+    this.nextMessageId = 1;
+
+    // Optional callback receiving each added message (set by RoomManager for persistence)
+    this.journal = null;
+  }
+
+  /**
+   * Rebuilds a history from stored messages (oldest first).
+   * @param {Array<Object>} messages - Messages produced by add()
+   * @param {number} limit - Number of messages to keep
+   * @returns {ChatHistory} Restored instance
+   */
+  static fromJSON(messages, limit) {
+    const history = new ChatHistory(limit);
+    history.messages = messages.slice(-limit);
+    history.nextMessageId = messages.reduce((max, message) => Math.max(max, message.id + 1), 1);
+    return history;
+  }
+
+  /**
+   * Appends a message, dropping the oldest one beyond the limit.
+   * @param {Object} message - Message without id and timestamp
+   * @returns {Object} Stored message
+   */
+  add(message) {
+    const stored = { id: this.nextMessageId++, ...message, timestamp: Date.now() };
+    this.messages.push(stored);
+    if (this.messages.length > this.limit) this.messages.shift();
+
+    if (this.journal) this.journal(stored);
+    return stored;
+  }
+
+  /**
+   * Returns the kept messages, oldest first.
+   * @returns {Array<Object>} Messages
+   */
+  getRecent() {
+    return [...this.messages];
+  }
+
+  /**
+   * Serializes the history for storage.
+   * @returns {Array<Object>} Messages accepted by ChatHistory.fromJSON()
+   */
+  toJSON() {
+    return this.messages;
+  }
+}
+
+module.exports = ChatHistory;
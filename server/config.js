@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Config
+ * -------
+ * Server settings, read once at startup. Each setting has a default, can be
+ * set in a JSON config file and can be overridden with the environment
+ * variable named next to it. Environment variables win over the file.
+ *
+ * The file is `config.json` in the project root, or the file CONFIG_FILE
+ * points to (see config.example.json). Relative paths in it are resolved
+ * against the project root. Invalid values are reported and ignored.
+ */
+
+/**
+ * Reads the config file.
+ * @returns {Object} Parsed settings (empty if there is no file)
+ */
+const loadFile = () => {
+  const file = process.env.CONFIG_FILE
+    ? path.resolve(process.env.CONFIG_FILE)
+    : path.join(ROOT_DIR, 'config.json');
+
+  // Only a file that was asked for explicitly has to exist
+  if (!process.env.CONFIG_FILE && !fs.existsSync(file)) return {};
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return settings;
+};
+
+const fileSettings = loadFile();
+
+// ---------------------------------------------
+// Parsers: return undefined for invalid values.
+// Environment values arrive as strings, file values as JSON.
+// ---------------------------------------------
+
+const positiveInteger = (value) => {
+  const number = typeof value === 'string' ? Number(value.trim()) : value;
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+const string = (value) => (typeof value === 'string' ? value.trim() : undefined);
+
+// Comma-separated in the environment, an array in the file
+const stringList = (value) => {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) return undefined;
+  const list = items.map(item => item.trim()).filter(Boolean);
+  return list.length > 0 ? list : undefined;
+};
+
+const colorList = (value) => {
+  const list = stringList(value);
+  return list && list.every(color => /^#[0-9a-f]{6}$/i.test(color)) ? list : undefined;
+};
+
+// Absolute http(s) URL without a trailing slash, or '' for "same origin"
+const url = (value) => {
+  const text = string(value);
+  if (text === '') return '';
+  return text && /^https?:\/\/[^\s/]+(\/\S*)?$/i.test(text) ? text.replace(/\/+$/, '') : undefined;
+};
+
+/**
+ * Resolves one setting: environment variable, then config file, then default.
+ * @param {string} key - Dotted path in the config file (e.g. 'limits.maxTextLength')
+ * @param {string} envName - Environment variable name
+ * @param {Function} parse - Parser returning undefined for invalid values
+ * @param {any} fallback - Default value
+ * @returns {any} Setting value
+ */
+const setting = (key, envName, parse, fallback) => {
+  const fromFile = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), fileSettings);
+  const sources = [
+    [process.env[envName], `environment variable ${envName}`],
+    [fromFile, `config file setting "${key}"`]
+  ];
+
+  for (const [raw, source] of sources) {
+    if (raw === undefined) continue;
+    const value = parse(raw);
+    if (value !== undefined) return value;
+    console.warn(`Ignoring invalid ${source}: ${JSON.stringify(raw)}`);
+  }
+  return fallback;
+};
+
+module.exports = {
+  port: setting('port', 'PORT', positiveInteger, 3000),
+
+  // Origins allowed to use the HTTP API and Socket.IO from another site ('*' allows any)
+  allowedOrigins: setting('allowedOrigins', 'ALLOWED_ORIGINS', stringList, ['*']),
+
+  // Socket.IO endpoint the client is told to use (served as /config.json); '' means the page's own origin
+  publicServerUrl: setting('publicServerUrl', 'PUBLIC_SERVER_URL', url, ''),
+
+  // Persistence
+  dataDir: path.resolve(ROOT_DIR, setting('dataDir', 'DATA_DIR', string, 'data') || 'data'),
+  roomIdleTtlMs: setting('roomIdleTtlMs', 'ROOM_IDLE_TTL_MS', positiveInteger, 10 * 60 * 1000), // Keep empty rooms in memory for 10 minutes
+  snapshotInterval: setting('snapshotInterval', 'SNAPSHOT_INTERVAL', positiveInteger, 200),     // Operations between snapshots
+
+  // Time a disconnected session can still be resumed
+  sessionTtlMs: setting('sessionTtlMs', 'SESSION_TTL_MS', positiveInteger, 60 * 60 * 1000),    // 1 hour
+
+  // Token required by mutating API routes (unset disables them)
+  adminToken: setting('adminToken', 'ADMIN_TOKEN', string, ''),
+
+  // Palette new users get a random color from
+  userColors: setting('userColors', 'USER_COLORS', colorList, [
+    '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A',
+    '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2',
+    '#F8B739', '#52B788', '#E76F51', '#2A9D8F'
+  ]),
+
+  // Used by limits.js for the caps under the file's "limits" key
+  setting,
+  positiveInteger,
+  fileSettings
+};
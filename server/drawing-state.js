@@ -1,86 +1,479 @@
+const limits = require('./limits');
+const { packStroke } = require('../client/point-codec.js');
+
 /**
  * DrawingState
  * -------------
  * Manages the drawing history for a room.
- * 
+ *
  * Responsibilities:
- * - Store all strokes drawn by users
- * - Manage undo and redo functionality
+ * - Store all strokes drawn by users, each with a server-assigned id, author
+ *   and creation time (so the drawing's evolution can be replayed). Freehand
+ *   points are kept packed (`packedPoints`, see point-codec.js), the form
+ *   they are sent to clients in
+ * - Keep the room's layers: every stroke belongs to one, and layers can be
+ *   added, renamed, reordered, hidden and locked
+ * - Manage per-user undo and redo (a user only ever undoes their own strokes),
+ *   up to `limits.maxUndoDepth` steps back
+ * - Resolve edits: a stroke with `replaces: id` supersedes an earlier
+ *   version of the same item, and one marked `deleted` removes it
  * - Provide the current visible strokes to clients
+ * - Compact history that can no longer change what is drawn, and forget
+ *   the histories of authors who are gone for good
  * - Reset or export the current state when needed
+ * - Report every mutation to an optional journal so it can be persisted
  */
 class DrawingState {
   constructor() {
-    this.strokes = [];        // Stores all stroke objects in order
-    this.historyIndex = -1;   // Tracks the current visible position in the history
+    this.size = { ...DrawingState.DEFAULT_SIZE }; // Logical coordinate space shared by every client in the room
+    this.strokes = [];        // All stroke objects in server order; undone strokes are kept with `hidden: true`
+    this.nextStrokeId = 1;    // Id given to the next committed stroke
+    this.histories = new Map(); // authorId → { undo: [entry], redo: [entry] }, entry = { strokeIds: [] }
+    this.layers = [{ id: 1, name: 'Layer 1', visible: true, locked: false }]; // Bottom to top
+    this.nextLayerId = 2;     // Id given to the next added layer
+    this.bakedEntries = 0;    // Undo entries dropped past the depth limit since the last compaction
+    this.journal = null;      // Optional callback receiving every applied operation
+    this.version = 0;         // Bumped by every operation, so copies of what the room shows can tell they are stale
   }
 
   /**
-   * Adds a new stroke to the history and updates the index.
-   * Removes any "future" strokes if a new one is added after undoing.
-   * @param {Object} stroke - The stroke object containing tool, color, width, and points
+   * Rebuilds a DrawingState from data produced by toJSON().
+   * @param {Object} data - Serialized state
+   * @returns {DrawingState} Restored instance
    */
-  addStroke(stroke) {
-    // Discard strokes beyond the current index if any (standard undo/redo behavior)
-    this.strokes = this.strokes.slice(0, this.historyIndex + 1);
+  static fromJSON(data) {
+    const state = new DrawingState();
+    if (data.size) state.size = data.size;
+    // Snapshots keep packed points as base64; older ones have plain point lists
+    state.strokes = (data.strokes || []).map(stroke => typeof stroke.packedPoints === 'string'
+      ? { ...stroke, packedPoints: Buffer.from(stroke.packedPoints, 'base64') }
+      : packStroke(stroke));
+    state.nextStrokeId = data.nextStrokeId || 1;
+    state.histories = new Map(Object.entries(data.histories || {}));
+
+    // Older snapshots had no ids and a single global history index
+    if (typeof data.historyIndex === 'number') {
+      state.strokes = state.strokes
+        .slice(0, data.historyIndex + 1)
+        .map(stroke => ({ ...stroke, id: state.nextStrokeId++, authorId: null }));
+    }
 
-    // Add new stroke and advance history index
-    this.strokes.push(stroke);
-    this.historyIndex++;
+    // Rooms saved before layers existed have a single layer holding everything
+    if (data.layers) {
+      state.layers = data.layers;
+      state.nextLayerId = data.nextLayerId;
+    }
+    state.strokes.forEach(stroke => {
+      if (stroke.layerId === undefined) stroke.layerId = state.layers[0].id;
+    });
+    return state;
+  }
+
+  /**
+   * Re-applies a journaled operation (used when replaying the persisted log).
+   * @param {{type: string, args: Array}} operation - Operation recorded by the journal
+   */
+  applyOperation(operation) {
+    if (!DrawingState.OPERATIONS.includes(operation.type)) {
+      throw new Error(`Unknown drawing operation: ${operation.type}`);
+    }
+    this[operation.type](...(operation.args || []));
+  }
+
+  /**
+   * Counts an applied operation and passes it to the journal, if one is attached.
+   * @param {string} type - Name of the mutating method
+   * @param {...any} args - Arguments needed to re-apply it
+   */
+  record(type, ...args) {
+    this.version++;
+    if (this.journal) {
+      this.journal({ type, args });
+    }
   }
 
   /**
-   * Moves one step back in the stroke history (undo).
-   * @returns {boolean} True if undo was successful, false if already at beginning.
+   * Returns (and lazily creates) the undo/redo stacks of one author.
+   * @param {string} authorId - Id of the user
+   * @returns {{undo: Array<Object>, redo: Array<Object>}} History stacks
    */
-  undo() {
-    if (this.historyIndex > -1) {
-      this.historyIndex--;
-      return true;
+  getHistory(authorId) {
+    if (!this.histories.has(authorId)) {
+      this.histories.set(authorId, { undo: [], redo: [] });
     }
-    return false;
+    return this.histories.get(authorId);
+  }
+
+  /**
+   * Adds a new stroke to the history on behalf of its author.
+   * Drawing something new discards the author's own undone strokes
+   * (standard redo truncation), but never anybody else's.
+   * @param {Object} stroke - The stroke object containing tool, color, width, points and
+   *   `layerId` (strokes journaled before layers existed go on the bottom layer)
+   * @param {string} authorId - Id of the user who drew it
+   * @param {Object} [stamp] - Who and when, kept on the stroke for replays
+   * @param {string|null} [stamp.authorName] - Author's display name at the time
+   * @param {number} [stamp.createdAt] - Creation time in ms (the journal passes the original time back)
+   * @returns {Object} The committed stroke, including its id, author and creation time, with packed points
+   */
+  addStroke(stroke, authorId, { authorName = null, createdAt = Date.now() } = {}) {
+    const history = this.getHistory(authorId);
+    this.discardRedo(history);
+
+    const committed = packStroke({ ...stroke, layerId: this.resolveLayerId(stroke), id: this.nextStrokeId++, authorId, authorName, createdAt });
+    this.strokes.push(committed);
+    this.pushUndoEntry(history, { strokeIds: [committed.id] });
+
+    this.record('addStroke', stroke, authorId, { authorName, createdAt });
+    return committed;
+  }
+
+  /**
+   * Adds several strokes at once (an import) as a single history entry,
+   * so one undo removes all of them.
+   * @param {Array<Object>} strokes - Stroke objects
+   * @param {string} authorId - Id of the user who imported them
+   * @param {Object} [stamp] - Author name and creation time, as for addStroke()
+   * @returns {Array<Object>} The committed strokes, including their ids, author and creation time, with packed points
+   */
+  addStrokes(strokes, authorId, { authorName = null, createdAt = Date.now() } = {}) {
+    const history = this.getHistory(authorId);
+    this.discardRedo(history);
+
+    const committed = strokes.map(stroke => packStroke({
+      ...stroke,
+      layerId: this.resolveLayerId(stroke),
+      id: this.nextStrokeId++,
+      authorId,
+      authorName,
+      createdAt
+    }));
+    this.strokes.push(...committed);
+    this.pushUndoEntry(history, { strokeIds: committed.map(stroke => stroke.id) });
+
+    this.record('addStrokes', strokes, authorId, { authorName, createdAt });
+    return committed;
   }
 
   /**
-   * Moves one step forward in the stroke history (redo).
-   * @returns {boolean} True if redo was successful, false if already at latest stroke.
+   * Pushes a new entry onto an author's undo stack. Past
+   * `limits.maxUndoDepth` entries the oldest one is dropped: its strokes
+   * stay as they are for good, and they are compacted every
+   * `DrawingState.COMPACT_INTERVAL` dropped entries.
+   * @param {{undo: Array<Object>, redo: Array<Object>}} history - The author's history
+   * @param {{strokeIds: Array<number>}} entry - New entry
    */
-  redo() {
-    if (this.historyIndex < this.strokes.length - 1) {
-      this.historyIndex++;
-      return true;
+  pushUndoEntry(history, entry) {
+    history.undo.push(entry);
+    if (history.undo.length > limits.maxUndoDepth) {
+      history.undo.shift();
+      this.bakedEntries++;
+      if (this.bakedEntries >= DrawingState.COMPACT_INTERVAL) this.compact();
     }
-    return false;
   }
 
   /**
-   * Returns the list of strokes currently visible (up to historyIndex).
+   * Returns the layer a stroke belongs on: its own, or the bottom layer for
+   * strokes without one.
+   * @param {Object} stroke - Stroke object
+   * @returns {number} Layer id
+   */
+  resolveLayerId(stroke) {
+    return stroke.layerId !== undefined ? stroke.layerId : this.layers[0].id;
+  }
+
+  /**
+   * Finds a layer by id.
+   * @param {number} id - Layer id
+   * @returns {Object|undefined} The layer
+   */
+  getLayer(id) {
+    return this.layers.find(layer => layer.id === id);
+  }
+
+  /**
+   * Adds an empty, visible and unlocked layer on top of the others.
+   * @param {string} name - Layer name
+   * @returns {Object} The new layer
+   */
+  addLayer(name) {
+    const layer = { id: this.nextLayerId++, name, visible: true, locked: false };
+    this.layers.push(layer);
+    this.record('addLayer', name);
+    return layer;
+  }
+
+  /**
+   * Renames, hides or shows, locks or unlocks a layer.
+   * @param {number} id - Layer id
+   * @param {{name?: string, visible?: boolean, locked?: boolean}} changes - Properties to change
+   * @returns {Object|null} The updated layer, or null if there is no such layer
+   */
+  updateLayer(id, changes) {
+    const layer = this.getLayer(id);
+    if (!layer) return null;
+
+    ['name', 'visible', 'locked'].forEach(key => {
+      if (changes[key] !== undefined) layer[key] = changes[key];
+    });
+    this.record('updateLayer', id, changes);
+    return layer;
+  }
+
+  /**
+   * Moves a layer to another position in the stack.
+   * @param {number} id - Layer id
+   * @param {number} index - New position, 0 being the bottom (clamped to the top)
+   * @returns {Object|null} The moved layer, or null if there is no such layer
+   */
+  moveLayer(id, index) {
+    const from = this.layers.findIndex(layer => layer.id === id);
+    if (from === -1) return null;
+
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(Math.min(index, this.layers.length), 0, layer);
+    this.record('moveLayer', id, index);
+    return layer;
+  }
+
+  /**
+   * Drops an author's undone strokes for good (standard redo truncation
+   * when they draw something new).
+   * @param {{undo: Array<Object>, redo: Array<Object>}} history - The author's history
+   */
+  discardRedo(history) {
+    const discarded = new Set(history.redo.flatMap(entry => entry.strokeIds));
+    if (discarded.size > 0) {
+      this.strokes = this.strokes.filter(s => !discarded.has(s.id));
+      history.redo = [];
+    }
+  }
+
+  /**
+   * Sets the hidden flag on a group of strokes.
+   * @param {Array<number>} strokeIds - Stroke ids
+   * @param {boolean} hidden - Whether the strokes should be hidden
+   */
+  setHidden(strokeIds, hidden) {
+    const ids = new Set(strokeIds);
+    this.strokes.forEach(stroke => {
+      if (ids.has(stroke.id)) stroke.hidden = hidden;
+    });
+  }
+
+  /**
+   * Undoes the author's most recent action.
+   * @param {string} authorId - Id of the user undoing
+   * @returns {Array<number>|null} Ids of the strokes that were hidden, or null if nothing to undo
+   */
+  undo(authorId) {
+    const history = this.getHistory(authorId);
+    const entry = history.undo.pop();
+    if (!entry) return null;
+
+    this.setHidden(entry.strokeIds, true);
+    history.redo.push(entry);
+    this.record('undo', authorId);
+    return entry.strokeIds;
+  }
+
+  /**
+   * Redoes the author's most recently undone action.
+   * @param {string} authorId - Id of the user redoing
+   * @returns {Array<number>|null} Ids of the strokes that became visible again, or null if nothing to redo
+   */
+  redo(authorId) {
+    const history = this.getHistory(authorId);
+    const entry = history.redo.pop();
+    if (!entry) return null;
+
+    this.setHidden(entry.strokeIds, false);
+    history.undo.push(entry);
+    this.record('redo', authorId);
+    return entry.strokeIds;
+  }
+
+  /**
+   * Returns the strokes the author's next undo or redo would hide or bring
+   * back, without changing anything.
+   * @param {string} authorId - Id of the user
+   * @param {string} direction - 'undo' or 'redo'
+   * @returns {Array<Object>} Stroke objects (empty if there is nothing to undo or redo)
+   */
+  peekHistory(authorId, direction) {
+    const history = this.histories.get(authorId);
+    const entry = history && history[direction][history[direction].length - 1];
+    if (!entry) return [];
+    const ids = new Set(entry.strokeIds);
+    return this.strokes.filter(stroke => ids.has(stroke.id));
+  }
+
+  /**
+   * Finds a stroke by id.
+   * @param {number} id - Stroke id
+   * @returns {Object|undefined} The stroke, hidden or not
+   */
+  getStroke(id) {
+    return this.strokes.find(stroke => stroke.id === id);
+  }
+
+  /**
+   * Returns the ids of strokes superseded by an edit that is not undone.
+   * An edit supersedes every earlier version of its item, including
+   * versions undone since: undoing an edit that someone else edited
+   * further must not bring back a second copy.
+   * @returns {Set<number>} Stroke ids
+   */
+  getReplacedIds() {
+    const byId = new Map(this.strokes.map(stroke => [stroke.id, stroke]));
+    const replaced = new Set();
+    this.strokes.forEach(stroke => {
+      if (stroke.hidden) return;
+      let id = stroke.replaces;
+      while (id !== undefined && !replaced.has(id)) {
+        replaced.add(id);
+        id = byId.has(id) ? byId.get(id).replaces : undefined;
+      }
+    });
+    return replaced;
+  }
+
+  /**
+   * Returns the list of strokes currently visible: not undone, not
+   * superseded by an edit (a stroke with `replaces: id` that is not undone)
+   * and not deleted. Undoing the edit therefore brings the previous version back.
    * @returns {Array<Object>} Array of stroke objects.
    */
   getVisibleStrokes() {
-    return this.strokes.slice(0, this.historyIndex + 1);
+    const replaced = this.getReplacedIds();
+    return this.strokes.filter(stroke => !stroke.hidden && !stroke.deleted && !replaced.has(stroke.id));
   }
 
   /**
-   * Returns the complete drawing state, including all strokes and current index.
-   * Used when syncing state with new clients joining the room.
-   * @returns {Object} Full state object containing strokes and history index.
+   * Returns the strokes that make up the drawing's history, in the order
+   * they were drawn: everything not undone, including old versions of
+   * edited items and the `deleted` versions that removed items. Strokes
+   * saved before timestamps existed have no `createdAt`.
+   * @returns {Array<Object>} Stroke objects with `authorId`, `authorName` and `createdAt`
+   */
+  getTimeline() {
+    return this.strokes.filter(stroke => !stroke.hidden);
+  }
+
+  /**
+   * Drops the strokes nothing can bring back on screen: earlier versions of
+   * an item whose edit is no longer in anybody's history (it can never be
+   * undone), and such edits that deleted their item. Other strokes, the
+   * histories and the stroke ids are left alone, so compacting never
+   * changes what later operations do and is not journaled. The timeline
+   * loses the dropped versions.
+   * @returns {number} Number of strokes dropped
+   */
+  compact() {
+    this.bakedEntries = 0;
+    const inHistory = new Set();
+    this.histories.forEach(({ undo, redo }) => {
+      [...undo, ...redo].forEach(entry => entry.strokeIds.forEach(id => inHistory.add(id)));
+    });
+
+    const byId = new Map(this.strokes.map(stroke => [stroke.id, stroke]));
+    const dropped = new Set();
+    this.strokes.forEach(stroke => {
+      if (stroke.hidden || inHistory.has(stroke.id)) return;
+      if (stroke.deleted) dropped.add(stroke.id);
+      let id = stroke.replaces;
+      while (id !== undefined && !dropped.has(id)) {
+        dropped.add(id);
+        id = byId.has(id) ? byId.get(id).replaces : undefined;
+      }
+    });
+
+    if (dropped.size > 0) {
+      this.strokes = this.strokes.filter(stroke => !dropped.has(stroke.id));
+    }
+    return dropped.size;
+  }
+
+  /**
+   * Forgets the histories of authors who can never undo or redo again
+   * (their session expired, or the server restarted since): their undone
+   * strokes are dropped as if they had drawn something new, the rest stay
+   * as they are for good, and the drawing is compacted. This changes the
+   * strokes without an operation in the journal, so it may only run right
+   * before a snapshot replaces the log (see RoomManager.saveSnapshot()).
+   * @param {Set<string>} activeAuthorIds - Authors who may still undo or redo
+   * @returns {number} Number of histories forgotten
+   */
+  pruneHistories(activeAuthorIds) {
+    let pruned = 0;
+    this.histories.forEach((history, authorId) => {
+      if (activeAuthorIds.has(authorId)) return;
+      this.discardRedo(history);
+      this.histories.delete(authorId);
+      pruned++;
+    });
+    if (pruned > 0 || this.bakedEntries > 0) this.compact();
+    return pruned;
+  }
+
+  /**
+   * Returns the complete drawing state, including undone strokes that can
+   * still be redone (they carry `hidden: true`), and the layers.
+   * Used when syncing state with new clients joining the room, so history
+   * nobody can bring back any more is compacted away first.
+   * Stroke coordinates are in the room's logical space (`size`), which
+   * clients scale to fit their own viewport.
+   * @returns {Object} Full state object containing the logical size, layers and strokes.
    */
   getAllState() {
+    if (this.bakedEntries > 0) this.compact();
     return {
-      strokes: this.strokes,
-      historyIndex: this.historyIndex
+      size: this.size,
+      layers: this.layers,
+      strokes: this.strokes
     };
   }
 
   /**
-   * Clears all strokes and resets the drawing history.
-   * Used when the canvas is cleared by any user.
+   * Clears all strokes and resets every user's history.
+   * Used when the canvas is cleared by any user. Locked layers keep their
+   * visible strokes (undone ones could never be redone now, and nobody can
+   * undo back to an earlier version of an edited item).
    */
   clear() {
-    this.strokes = [];
-    this.historyIndex = -1;
+    const locked = new Set(this.layers.filter(layer => layer.locked).map(layer => layer.id));
+    this.strokes = this.getVisibleStrokes().filter(stroke => locked.has(stroke.layerId));
+    this.histories.clear();
+    this.record('clear');
+  }
+
+  /**
+   * Serializes the state for snapshots on disk. Packed points are written
+   * as base64.
+   * @returns {Object} Plain object accepted by DrawingState.fromJSON()
+   */
+  toJSON() {
+    return {
+      size: this.size,
+      strokes: this.strokes.map(stroke => stroke.packedPoints
+        ? { ...stroke, packedPoints: Buffer.from(stroke.packedPoints).toString('base64') }
+        : stroke),
+      nextStrokeId: this.nextStrokeId,
+      histories: Object.fromEntries(this.histories),
+      layers: this.layers,
+      nextLayerId: this.nextLayerId
+    };
   }
 }
 
+// Logical size of new rooms. Older rooms stored raw canvas pixels of at most
+// 1200×1200, so their strokes keep their positions in this space.
+DrawingState.DEFAULT_SIZE = { width: 1200, height: 1200 };
+
+// Number of undo entries dropped past the depth limit between two compactions
+DrawingState.COMPACT_INTERVAL = 50;
+
+// Mutating methods that may appear in a journal and be replayed
+DrawingState.OPERATIONS = ['addStroke', 'addStrokes', 'undo', 'redo', 'clear', 'addLayer', 'updateLayer', 'moveLayer'];
+
 module.exports = DrawingState;
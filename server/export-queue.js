@@ -0,0 +1,134 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const limits = require('./limits');
+
+/**
+ * ExportQueue
+ * ------------
+ * Runs SVG and PNG exports one at a time on a worker thread
+ * (export-worker.js) instead of the main thread, where a slow render would
+ * hold up every socket and request.
+ *
+ * - Results are cached per room and drawing version: exporting a room
+ *   again before anything changed answers at once, and a request for an
+ *   export already being rendered shares it
+ * - At most `maxQueued` exports wait their turn; render() refuses more
+ * - A render running past `timeout` milliseconds fails, and its worker is
+ *   replaced
+ */
+class ExportQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxQueued] - Exports allowed to wait for the worker
+   * @param {number} [options.timeout] - Milliseconds one export may render
+   */
+  constructor({ maxQueued = limits.maxQueuedExports, timeout = limits.exportTimeoutMs } = {}) {
+    this.maxQueued = maxQueued;
+    this.timeout = timeout;
+    this.worker = null;         // Started on the first export, and again after a failure
+    this.waiting = [];          // Jobs not started yet: { id, format, state, resolve, reject }
+    this.current = null;        // Job being rendered, with its `timer`
+    this.nextId = 1;
+    this.cache = new WeakMap(); // DrawingState → { version, results: Map<format, Promise> }
+  }
+
+  /**
+   * Renders a room's visible drawing as SVG or PNG.
+   * @param {string} format - 'svg' or 'png'
+   * @param {DrawingState} drawingState - Room drawing state
+   * @returns {Promise<string|Buffer>|null} File contents, or null if too
+   *   many exports are waiting already
+   */
+  render(format, drawingState) {
+    let cached = this.cache.get(drawingState);
+    if (!cached || cached.version !== drawingState.version) {
+      cached = { version: drawingState.version, results: new Map() };
+      this.cache.set(drawingState, cached);
+    }
+    if (cached.results.has(format)) return cached.results.get(format);
+    if (this.waiting.length >= this.maxQueued) return null;
+
+    const result = new Promise((resolve, reject) => {
+      this.waiting.push({
+        id: this.nextId++,
+        format,
+        state: { size: drawingState.size, layers: drawingState.layers, strokes: drawingState.getVisibleStrokes() },
+        resolve,
+        reject
+      });
+    });
+    cached.results.set(format, result);
+    // A failed render is not cached: the next request tries again
+    result.catch(() => {
+      if (cached.results.get(format) === result) cached.results.delete(format);
+    });
+    this.startNext();
+    return result;
+  }
+
+  /**
+   * Hands the next waiting job to the worker, if it is idle.
+   */
+  startNext() {
+    if (this.current || this.waiting.length === 0) return;
+    if (!this.worker) this.startWorker();
+
+    const job = this.waiting.shift();
+    this.current = job;
+    job.timer = setTimeout(() => {
+      this.stopWorker();
+      this.finish(job, { error: 'Rendering the export took too long' });
+    }, this.timeout);
+    this.worker.postMessage({ id: job.id, format: job.format, state: job.state });
+  }
+
+  /**
+   * Starts the worker thread and listens for its answers.
+   */
+  startWorker() {
+    const worker = new Worker(path.join(__dirname, 'export-worker.js'));
+    worker.on('message', (message) => {
+      if (this.current && this.current.id === message.id) this.finish(this.current, message);
+    });
+    worker.on('error', (error) => {
+      console.error('Export worker failed:', error);
+    });
+    worker.on('exit', () => {
+      if (this.worker !== worker) return;
+      this.worker = null;
+      if (this.current) this.finish(this.current, { error: 'The export could not be rendered' });
+    });
+    // Exports in progress should never keep the process alive on shutdown
+    worker.unref();
+    this.worker = worker;
+  }
+
+  /**
+   * Terminates the worker (after a timeout); the next job starts a new one.
+   */
+  stopWorker() {
+    const worker = this.worker;
+    this.worker = null;
+    if (worker) worker.terminate();
+  }
+
+  /**
+   * Settles a job with the worker's answer and moves on to the next one.
+   * @param {Object} job - Job being rendered
+   * @param {{result?: string|Uint8Array, error?: string}} answer - Worker message
+   */
+  finish(job, { result, error }) {
+    clearTimeout(job.timer);
+    this.current = null;
+    if (error !== undefined) {
+      job.reject(new Error(error));
+    } else {
+      // PNG buffers arrive as plain Uint8Arrays
+      job.resolve(typeof result === 'string' ? result : Buffer.from(result.buffer, result.byteOffset, result.byteLength));
+    }
+    this.startNext();
+  }
+}
+
+// Export a singleton instance: one worker serves the whole server
+module.exports = new ExportQueue();
@@ -0,0 +1,29 @@
+const { parentPort } = require('worker_threads');
+const DrawingState = require('./drawing-state');
+const { exportPng, exportSvg } = require('./export');
+
+/**
+ * Export worker
+ * --------------
+ * Renders SVG and PNG exports on a worker thread for ExportQueue
+ * (export-queue.js), so a drawing with many fills does not stall every
+ * room on the server while it renders.
+ *
+ * Messages in:  { id, format, state }, state being the size, layers and
+ *               visible strokes of a room (packed, as DrawingState keeps them)
+ * Messages out: { id, result } with the file contents, or { id, error }
+ */
+
+const RENDERERS = {
+  svg: exportSvg,
+  png: exportPng
+};
+
+parentPort.on('message', async ({ id, format, state }) => {
+  try {
+    const result = await RENDERERS[format](DrawingState.fromJSON(state));
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,264 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const limits = require('./limits');
+const { EXPORT_FORMAT, EXPORT_VERSION } = require('./validation');
+const { unpackStroke } = require('../client/point-codec.js');
+const {
+  TEXT_FONT_FAMILY,
+  BACKGROUND,
+  strokeColor,
+  strokeWidth,
+  hasPressure,
+  pointWidth,
+  freehandPieces,
+  arrowHeadCorners,
+  textLines,
+  getStrokeBounds,
+  drawLayers,
+  computeFills,
+  paintLayers,
+  loadImages
+} = require('./renderer');
+
+/**
+ * Export
+ * -------
+ * Turns a room's visible strokes into downloadable files:
+ *   - JSON: versioned document that can be imported again
+ *   - SVG:  vector drawing (fills are embedded as PNG images)
+ *   - PNG:  raster image, one pixel per world unit (scaled down if huge)
+ *
+ * Exports show what the room shows: hidden layers are left out and the
+ * others are flattened, bottom to top.
+ *
+ * Images are cropped to the drawing plus a margin; an empty room exports
+ * its logical size.
+ */
+
+const EXPORT_MARGIN = 20;   // World units of white space around the drawing
+
+// Fields each stroke type carries in an export (ids and authors are server-side details)
+const STROKE_FIELDS = {
+  brush: ['tool', 'color', 'width', 'points'],
+  eraser: ['tool', 'color', 'width', 'points'],
+  line: ['tool', 'color', 'width', 'start', 'end', 'fill'],
+  rectangle: ['tool', 'color', 'width', 'start', 'end', 'fill'],
+  ellipse: ['tool', 'color', 'width', 'start', 'end', 'fill'],
+  arrow: ['tool', 'color', 'width', 'start', 'end', 'fill'],
+  text: ['tool', 'color', 'text', 'fontSize', 'x', 'y'],
+  fill: ['tool', 'color', 'x', 'y', 'tolerance'],
+  image: ['tool', 'src', 'x', 'y', 'width', 'height']
+};
+
+/**
+ * Computes the world area an image export covers.
+ * @param {Array<Object>} strokes - Visible strokes
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ * @param {{width: number, height: number}} size - Room logical size
+ * @returns {{x: number, y: number, width: number, height: number}} Area in world units
+ */
+const getExportArea = (strokes, fills, size) => {
+  const boxes = strokes.map(stroke => getStrokeBounds(stroke, fills)).filter(Boolean);
+  if (boxes.length === 0) return { x: 0, y: 0, width: size.width, height: size.height };
+
+  const minX = Math.floor(Math.min(...boxes.map(box => box.minX)) - EXPORT_MARGIN);
+  const minY = Math.floor(Math.min(...boxes.map(box => box.minY)) - EXPORT_MARGIN);
+  const maxX = Math.ceil(Math.max(...boxes.map(box => box.maxX)) + EXPORT_MARGIN);
+  const maxY = Math.ceil(Math.max(...boxes.map(box => box.maxY)) + EXPORT_MARGIN);
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Returns a room's visible strokes, with plain points, grouped by visible layer.
+ * @param {DrawingState} drawingState - Room drawing state
+ * @returns {Array<Array<Object>>} Strokes of each layer in paint order, bottom layer first
+ */
+const getLayers = (drawingState) => paintLayers(
+  drawingState.getVisibleStrokes().map(stroke => unpackStroke(stroke)),
+  drawingState.layers
+);
+
+/**
+ * Builds the versioned JSON export of a room.
+ * @param {string} roomName - Room name
+ * @param {DrawingState} drawingState - Room drawing state
+ * @returns {Object} Export document
+ */
+const exportJson = (roomName, drawingState) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  room: roomName,
+  exportedAt: new Date().toISOString(),
+  size: drawingState.size,
+  strokes: getLayers(drawingState).flat().map(stroke => {
+    const copy = {};
+    STROKE_FIELDS[stroke.tool].forEach(field => {
+      if (stroke[field] !== undefined) copy[field] = stroke[field];
+    });
+    return copy;
+  })
+});
+
+/**
+ * Renders a room as a PNG image.
+ * @param {DrawingState} drawingState - Room drawing state
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+const exportPng = async (drawingState) => {
+  const layers = getLayers(drawingState);
+  await loadImages(layers.flat());
+  const fills = computeFills(layers, drawingState.size);
+  const area = getExportArea(layers.flat(), fills, drawingState.size);
+
+  // Huge drawings are scaled down to stay within the pixel cap
+  const scale = Math.min(1, limits.maxExportSize / Math.max(area.width, area.height));
+  const canvas = createCanvas(Math.max(Math.round(area.width * scale), 1), Math.max(Math.round(area.height * scale), 1));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(scale, 0, 0, scale, -area.x * scale, -area.y * scale);
+  drawLayers(ctx, layers, fills);
+
+  return canvas.toBuffer('image/png');
+};
+
+/**
+ * Escapes text for use in SVG content and attribute values.
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Rounds coordinates to keep SVG files small
+const num = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Converts one stroke to SVG markup.
+ * @param {Object} stroke - Stroke object
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ * @returns {string} SVG elements (empty if the stroke paints nothing)
+ */
+const strokeToSvg = (stroke, fills) => {
+  const line = `stroke="${escapeXml(strokeColor(stroke))}" stroke-width="${num(strokeWidth(stroke))}" stroke-linecap="round" stroke-linejoin="round"`;
+  const fill = stroke.fill ? `fill="${escapeXml(stroke.color)}"` : 'fill="none"';
+  const { start, end } = stroke;
+
+  switch (stroke.tool) {
+    case 'line':
+      return `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ${line}/>`;
+
+    case 'rectangle':
+      return `<rect x="${num(Math.min(start.x, end.x))}" y="${num(Math.min(start.y, end.y))}" ` +
+        `width="${num(Math.abs(end.x - start.x))}" height="${num(Math.abs(end.y - start.y))}" ${fill} ${line}/>`;
+
+    case 'ellipse':
+      return `<ellipse cx="${num((start.x + end.x) / 2)}" cy="${num((start.y + end.y) / 2)}" ` +
+        `rx="${num(Math.abs(end.x - start.x) / 2)}" ry="${num(Math.abs(end.y - start.y) / 2)}" ${fill} ${line}/>`;
+
+    case 'arrow': {
+      const head = [end, ...arrowHeadCorners(stroke)].map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+      return `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ${line}/>` +
+        `<polygon points="${head}" fill="${escapeXml(stroke.color)}" ${line}/>`;
+    }
+
+    case 'text':
+      return textLines(stroke).map(textLine =>
+        `<text x="${num(textLine.x)}" y="${num(textLine.y)}" font-family="${escapeXml(TEXT_FONT_FAMILY)}" ` +
+        `font-size="${num(stroke.fontSize)}" fill="${escapeXml(stroke.color)}" dominant-baseline="text-before-edge" ` +
+        `xml:space="preserve">${escapeXml(textLine.text)}</text>`
+      ).join('');
+
+    case 'image':
+      return `<image x="${num(stroke.x)}" y="${num(stroke.y)}" width="${num(stroke.width)}" height="${num(stroke.height)}" ` +
+        `preserveAspectRatio="none" href="${stroke.src}"/>`;
+
+    case 'fill': {
+      const image = fills.get(stroke);
+      if (!image) return '';
+      const data = image.canvas.toBuffer('image/png').toString('base64');
+      return `<image x="${image.x}" y="${image.y}" width="${image.canvas.width}" height="${image.canvas.height}" ` +
+        `href="data:image/png;base64,${data}"/>`;
+    }
+
+    default: {
+      if (stroke.points.length < 2) return '';
+      const pieces = freehandPieces(stroke.points);
+      const pieceToPath = ({ from, control, to }, move) => (move ? `M${num(from.x)} ${num(from.y)}` : '') +
+        (control ? `Q${num(control.x)} ${num(control.y)} ${num(to.x)} ${num(to.y)}` : `L${num(to.x)} ${num(to.y)}`);
+      if (hasPressure(stroke)) {
+        // An SVG path has one width, so a pen stroke is drawn piece by piece
+        const paths = pieces.map(piece =>
+          `<path d="${pieceToPath(piece, true)}" stroke-width="${num(pointWidth(stroke, piece.point))}"/>`).join('');
+        return `<g fill="none" stroke="${escapeXml(strokeColor(stroke))}" stroke-linecap="round">${paths}</g>`;
+      }
+      return `<path d="${pieces.map((piece, i) => pieceToPath(piece, i === 0)).join('')}" fill="none" ${line}/>`;
+    }
+  }
+};
+
+/**
+ * Converts one layer to an SVG group. An eraser stroke only removes what
+ * was painted before it, so everything up to a run of erasers is wrapped in
+ * a group masked by them; strokes after it are drawn on top, unmasked.
+ * @param {Array<Object>} strokes - Strokes of the layer in paint order
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ * @param {Object} area - Exported area, which every mask has to cover
+ * @param {Function} nextMaskId - Returns a document-wide unique mask id
+ * @returns {string} SVG group
+ */
+const layerToSvg = (strokes, fills, area, nextMaskId) => {
+  let markup = '';
+  let erasers = [];
+
+  const applyErasers = () => {
+    if (erasers.length === 0) return;
+    const id = nextMaskId();
+    markup = `<mask id="${id}" maskUnits="userSpaceOnUse" x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}">` +
+      `<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="#ffffff"/>` +
+      erasers.join('') +
+      `</mask><g mask="url(#${id})">${markup}</g>`;
+    erasers = [];
+  };
+
+  strokes.forEach(stroke => {
+    const svg = strokeToSvg(stroke, fills);
+    if (!svg) return;
+    if (stroke.tool === 'eraser') {
+      erasers.push(svg);
+      return;
+    }
+    applyErasers();
+    markup += svg;
+  });
+  applyErasers();
+
+  return `<g>${markup}</g>`;
+};
+
+/**
+ * Renders a room as an SVG document.
+ * @param {DrawingState} drawingState - Room drawing state
+ * @returns {Promise<string>} SVG file contents
+ */
+const exportSvg = async (drawingState) => {
+  const layers = getLayers(drawingState);
+  await loadImages(layers.flat());   // Fills can cover imported images
+  const fills = computeFills(layers, drawingState.size);
+  const area = getExportArea(layers.flat(), fills, drawingState.size);
+  let maskCount = 0;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${area.width}" height="${area.height}" ` +
+      `viewBox="${area.x} ${area.y} ${area.width} ${area.height}">`,
+    `<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="${BACKGROUND}"/>`,
+    ...layers.map(strokes => layerToSvg(strokes, fills, area, () => `erase-${++maskCount}`)),
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  exportJson,
+  exportPng,
+  exportSvg
+};
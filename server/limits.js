@@ -0,0 +1,76 @@
+const { setting, positiveInteger, fileSettings } = require('./config');
+
+/**
+ * Limits
+ * -------
+ * Caps applied to everything clients send. Each numeric cap can be set
+ * under "limits" in the config file and overridden with the environment
+ * variable named next to it.
+ */
+
+/**
+ * Reads one cap from the environment or the config file.
+ * @param {string} key - Name under "limits" in the config file
+ * @param {string} envName - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Cap
+ */
+const limit = (key, envName, fallback) => setting(`limits.${key}`, envName, positiveInteger, fallback);
+
+// Rate limits from the config file replace the defaults event by event
+const configuredRateLimits = {};
+Object.entries((fileSettings.limits && fileSettings.limits.rateLimits) || {}).forEach(([event, bucket]) => {
+  if (bucket && bucket.capacity > 0 && bucket.refillPerSecond >= 0) {
+    configuredRateLimits[event] = { capacity: bucket.capacity, refillPerSecond: bucket.refillPerSecond };
+  } else {
+    console.warn(`Ignoring invalid config file setting "limits.rateLimits.${event}": ${JSON.stringify(bucket)}`);
+  }
+});
+
+module.exports = {
+  maxPointsPerStroke: limit('maxPointsPerStroke', 'MAX_POINTS_PER_STROKE', 5000),
+  maxStrokesPerRoom: limit('maxStrokesPerRoom', 'MAX_STROKES_PER_ROOM', 20000),
+  maxUsernameLength: limit('maxUsernameLength', 'MAX_USERNAME_LENGTH', 32),
+  maxRoomNameLength: limit('maxRoomNameLength', 'MAX_ROOM_NAME_LENGTH', 64),
+  maxPasswordLength: limit('maxPasswordLength', 'MAX_PASSWORD_LENGTH', 128),
+  maxStrokeWidth: limit('maxStrokeWidth', 'MAX_STROKE_WIDTH', 100),
+  maxTextLength: limit('maxTextLength', 'MAX_TEXT_LENGTH', 2000),
+  maxFontSize: limit('maxFontSize', 'MAX_FONT_SIZE', 200),
+  maxCoordinate: limit('maxCoordinate', 'MAX_COORDINATE', 1000000),   // The canvas is unbounded, but not infinitely
+  maxExportSize: limit('maxExportSize', 'MAX_EXPORT_SIZE', 4096),      // Longest side of a PNG export, in pixels
+  maxQueuedExports: limit('maxQueuedExports', 'MAX_QUEUED_EXPORTS', 4), // SVG and PNG exports waiting to be rendered; more are refused
+  exportTimeoutMs: limit('exportTimeoutMs', 'EXPORT_TIMEOUT_MS', 30000), // Longest an SVG or PNG export may render
+  maxImageBytes: limit('maxImageBytes', 'MAX_IMAGE_BYTES', 2 * 1024 * 1024),   // Size of one imported image file
+  maxMessageBytes: limit('maxMessageBytes', 'MAX_MESSAGE_BYTES', 5 * 1024 * 1024), // Largest socket message (imports are the big ones)
+  maxChatMessageLength: limit('maxChatMessageLength', 'MAX_CHAT_MESSAGE_LENGTH', 500),
+  chatHistoryLength: limit('chatHistoryLength', 'CHAT_HISTORY_LENGTH', 100),   // Messages kept per room and sent to joiners
+  maxLayers: limit('maxLayers', 'MAX_LAYERS', 32),
+  maxLayerNameLength: limit('maxLayerNameLength', 'MAX_LAYER_NAME_LENGTH', 40),
+  maxUndoDepth: limit('maxUndoDepth', 'MAX_UNDO_DEPTH', 200),         // Undo steps kept per user; older strokes stay for good
+
+  // Token buckets per socket and event: `capacity` is the allowed burst,
+  // `refillPerSecond` the sustained rate. Well-behaved clients send
+  // stroke points and cursor moves at most once per animation frame.
+  rateLimits: {
+    'join-room':     { capacity: 5,   refillPerSecond: 1 },
+    'draw':          { capacity: 40,  refillPerSecond: 20 },
+    'stroke-begin':  { capacity: 40,  refillPerSecond: 20 },
+    'stroke-points': { capacity: 240, refillPerSecond: 120 },
+    'stroke-end':    { capacity: 40,  refillPerSecond: 20 },
+    'stroke-cancel': { capacity: 40,  refillPerSecond: 20 },
+    'cursor-move':   { capacity: 120, refillPerSecond: 60 },
+    'undo':          { capacity: 20,  refillPerSecond: 10 },
+    'redo':          { capacity: 20,  refillPerSecond: 10 },
+    'clear-canvas':  { capacity: 3,   refillPerSecond: 0.5 },
+    'import':        { capacity: 5,   refillPerSecond: 0.5 },
+    'set-role':      { capacity: 10,  refillPerSecond: 5 },
+    'set-default-role': { capacity: 5, refillPerSecond: 1 },
+    'chat-message':  { capacity: 10,  refillPerSecond: 1 },
+    'get-timeline':  { capacity: 3,   refillPerSecond: 0.2 },
+    'add-layer':     { capacity: 5,   refillPerSecond: 1 },
+    'update-layer':  { capacity: 20,  refillPerSecond: 10 },
+    'move-layer':    { capacity: 20,  refillPerSecond: 10 },
+    'edit-strokes':  { capacity: 20,  refillPerSecond: 10 },
+    ...configuredRateLimits
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * TokenBucket
+ * ------------
+ * Classic token bucket: holds up to `capacity` tokens and regains
+ * `refillPerSecond` tokens per second. Each allowed event costs one token.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillPerSecond - Tokens regained per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Takes one token if available.
+   * @returns {boolean} True if the event is allowed
+   */
+  take() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Tells how long until the next token, after take() refused one.
+   * @returns {number|null} Milliseconds, or null if the bucket never refills
+   */
+  timeUntilNext() {
+    if (this.refillPerSecond <= 0) return null;
+    return Math.ceil(Math.max(0, 1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+}
+
+/**
+ * RateLimiter
+ * ------------
+ * Keeps one TokenBucket per event name for a single socket.
+ * Events without a configured rule are never limited.
+ */
+class RateLimiter {
+  /**
+   * @param {Object<string, {capacity: number, refillPerSecond: number}>} rules - Bucket settings per event
+   */
+  constructor(rules) {
+    this.rules = rules;
+    this.buckets = new Map(); // event name → TokenBucket
+  }
+
+  /**
+   * Records an event and reports whether it is within the limit.
+   * @param {string} event - Event name
+   * @returns {boolean} True if the event is allowed
+   */
+  allow(event) {
+    const rule = this.rules[event];
+    if (!rule) return true;
+
+    if (!this.buckets.has(event)) {
+      this.buckets.set(event, new TokenBucket(rule.capacity, rule.refillPerSecond));
+    }
+    return this.buckets.get(event).take();
+  }
+
+  /**
+   * Tells how long a refused event should wait before it is sent again.
+   * @param {string} event - Event name
+   * @returns {number|null} Milliseconds, or null if it will never be allowed
+   */
+  retryAfter(event) {
+    const bucket = this.buckets.get(event);
+    return bucket ? bucket.timeUntilNext() : null;
+  }
+}
+
+module.exports = { TokenBucket, RateLimiter };
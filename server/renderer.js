@@ -0,0 +1,411 @@
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { floodFillMask, hexToRgb } = require('../client/flood-fill.js');
+const { SHAPE_TOOLS } = require('./validation');
+
+/**
+ * Renderer
+ * ---------
+ * Draws strokes without a browser, for exports.
+ *
+ * Mirrors the drawing code in client/canvas.js so an export looks like the
+ * board: layers are painted bottom to top and hidden ones are left out,
+ * eraser strokes cut through their own layer at twice their width, arrow
+ * heads scale with the line width, freehand strokes are curves through the
+ * midpoints of their samples and pen strokes get thinner where they were
+ * pressed lightly, text uses the same font and line height,
+ * imported images lie beneath everything else on their layer, and fills are
+ * flood filled on a logical-size window of their layer centered on their seed.
+ */
+
+const TEXT_FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25;   // Multiple of the font size between lines
+const BACKGROUND = '#ffffff';
+const MIN_PRESSURE_SCALE = 0.2;  // Share of the width painted at zero pen pressure
+
+// Scratch context for measuring text
+const measureCtx = createCanvas(1, 1).getContext('2d');
+
+// Decoded imported images, released together with their stroke
+const imageCache = new WeakMap();
+
+/**
+ * Orders the strokes of one layer the way clients paint them: imported
+ * images first, everything else follows in server order.
+ * @param {Array<Object>} strokes - Strokes in server order
+ * @returns {Array<Object>} Strokes in paint order
+ */
+const inPaintOrder = (strokes) => [
+  ...strokes.filter(stroke => stroke.tool === 'image'),
+  ...strokes.filter(stroke => stroke.tool !== 'image')
+];
+
+/**
+ * Groups strokes by visible layer, bottom layer first, each group in
+ * paint order. Strokes on hidden layers are left out.
+ * @param {Array<Object>} strokes - Strokes in server order
+ * @param {Array<Object>} layers - Room layers, bottom to top
+ * @returns {Array<Array<Object>>} Strokes of each visible layer
+ */
+const paintLayers = (strokes, layers) => layers
+  .filter(layer => layer.visible)
+  .map(layer => inPaintOrder(strokes.filter(stroke => stroke.layerId === layer.id)));
+
+/**
+ * Decodes the imported images among the strokes. Decoding is asynchronous,
+ * so this must be awaited before any of them can be drawn.
+ * @param {Array<Object>} strokes - Strokes about to be rendered
+ * @returns {Promise<void>} Resolves once every image is ready
+ */
+const loadImages = async (strokes) => {
+  const pending = strokes.filter(stroke => stroke.tool === 'image' && !imageCache.has(stroke));
+  await Promise.all(pending.map(async stroke => {
+    const data = Buffer.from(stroke.src.slice(stroke.src.indexOf(',') + 1), 'base64');
+    imageCache.set(stroke, await loadImage(data));
+  }));
+};
+
+/**
+ * Returns the color a stroke is painted with. Erasers remove paint instead
+ * (see drawStroke); in an SVG mask black is what hides.
+ * @param {Object} stroke - Stroke object
+ * @returns {string} CSS color
+ */
+const strokeColor = (stroke) => stroke.tool === 'eraser' ? '#000000' : stroke.color;
+
+/**
+ * Returns the line width a stroke is painted with.
+ * @param {Object} stroke - Stroke object
+ * @returns {number} Width in world units
+ */
+const strokeWidth = (stroke) => stroke.tool === 'eraser' ? stroke.width * 2 : stroke.width;
+
+/**
+ * Tells whether a freehand stroke was drawn with a pen, whose points carry
+ * a pressure.
+ * @param {Object} stroke - Freehand stroke
+ * @returns {boolean} True if the width varies along the stroke
+ */
+const hasPressure = (stroke) => stroke.points.length > 0 && stroke.points[0].pressure !== undefined;
+
+/**
+ * Returns the line width a pen stroke is painted with around one of its
+ * points: full pressure paints the stroke's width, lighter pressure less.
+ * @param {Object} stroke - Freehand stroke
+ * @param {{pressure?: number}} point - Point of the stroke
+ * @returns {number} Line width
+ */
+const pointWidth = (stroke, point) => point.pressure === undefined
+  ? strokeWidth(stroke)
+  : strokeWidth(stroke) * (MIN_PRESSURE_SCALE + (1 - MIN_PRESSURE_SCALE) * point.pressure);
+
+/**
+ * Splits a freehand stroke into the pieces it is drawn with: quadratic
+ * curves from midpoint to midpoint of its samples, bent by the sample in
+ * between, and straight halves at both ends so the stroke reaches its first
+ * and last points. Each piece belongs to one sample, whose pressure sets its width.
+ * @param {Array<{x: number, y: number}>} points - Stroke points (at least two)
+ * @returns {Array<{from: Object, control: Object|null, to: Object, point: Object}>} Pieces in order
+ */
+const freehandPieces = (points) => {
+  const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const last = points.length - 1;
+  return points.map((point, i) => {
+    if (i === 0) return { from: point, control: null, to: middle(point, points[1]), point };
+    if (i === last) return { from: middle(points[i - 1], point), control: null, to: point, point };
+    return { from: middle(points[i - 1], point), control: point, to: middle(point, points[i + 1]), point };
+  });
+};
+
+/**
+ * Adds one piece of a freehand stroke to the current path.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} piece - Piece from freehandPieces()
+ * @param {boolean} move - Start a new subpath at the piece's start
+ */
+const tracePiece = (ctx, { from, control, to }, move) => {
+  if (move) ctx.moveTo(from.x, from.y);
+  if (control) {
+    ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+  } else {
+    ctx.lineTo(to.x, to.y);
+  }
+};
+
+/**
+ * Computes the two back corners of an arrow head.
+ * @param {Object} shape - Arrow stroke with start and end points
+ * @returns {Array<{x: number, y: number}>} Left and right corners
+ */
+const arrowHeadCorners = ({ start, end, width }) => {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const headLength = Math.max(12, width * 3);
+  const spread = Math.PI / 7;
+  return [angle - spread, angle + spread].map(a => ({
+    x: end.x - headLength * Math.cos(a),
+    y: end.y - headLength * Math.sin(a)
+  }));
+};
+
+/**
+ * Splits a text item into lines with their top-left positions.
+ * @param {Object} stroke - Text stroke
+ * @returns {Array<{text: string, x: number, y: number}>} Lines
+ */
+const textLines = (stroke) => stroke.text.split('\n').map((text, i) => ({
+  text,
+  x: stroke.x,
+  y: stroke.y + i * stroke.fontSize * TEXT_LINE_HEIGHT
+}));
+
+/**
+ * Computes the world bounding box of a stroke, including its line width.
+ * @param {Object} stroke - Stroke object
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Box, or null if nothing is painted
+ */
+const getStrokeBounds = (stroke, fills) => {
+  if (stroke.tool === 'fill') {
+    const image = fills.get(stroke);
+    if (!image) return null;
+    return { minX: image.x, minY: image.y, maxX: image.x + image.canvas.width, maxY: image.y + image.canvas.height };
+  }
+
+  if (stroke.tool === 'image') {
+    return { minX: stroke.x, minY: stroke.y, maxX: stroke.x + stroke.width, maxY: stroke.y + stroke.height };
+  }
+
+  if (stroke.tool === 'text') {
+    measureCtx.font = `${stroke.fontSize}px ${TEXT_FONT_FAMILY}`;
+    const lines = stroke.text.split('\n');
+    return {
+      minX: stroke.x,
+      minY: stroke.y,
+      maxX: stroke.x + Math.max(...lines.map(line => measureCtx.measureText(line).width)),
+      maxY: stroke.y + lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  const points = SHAPE_TOOLS.includes(stroke.tool) ? [stroke.start, stroke.end] : stroke.points;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  let pad = strokeWidth(stroke) / 2;
+  if (stroke.tool === 'arrow') pad += Math.max(12, stroke.width * 3);
+  return {
+    minX: Math.min(...xs) - pad,
+    minY: Math.min(...ys) - pad,
+    maxX: Math.max(...xs) + pad,
+    maxY: Math.max(...ys) + pad
+  };
+};
+
+/**
+ * Checks whether two boxes overlap.
+ * @param {Object|null} a - Box (null never overlaps)
+ * @param {Object} b - Box
+ * @returns {boolean} True if they overlap
+ */
+const intersects = (a, b) => Boolean(a) &&
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Paints one stroke on a 2D context whose transform maps world coordinates.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} stroke - Stroke object
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ */
+const drawStroke = (ctx, stroke, fills) => {
+  ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+  ctx.strokeStyle = strokeColor(stroke);
+  ctx.lineWidth = strokeWidth(stroke);
+  ctx.fillStyle = stroke.color;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (stroke.tool === 'fill') {
+    const image = fills.get(stroke);
+    if (image) ctx.drawImage(image.canvas, image.x, image.y);
+    return;
+  }
+
+  if (stroke.tool === 'image') {
+    const image = imageCache.get(stroke);   // See loadImages()
+    if (image) ctx.drawImage(image, stroke.x, stroke.y, stroke.width, stroke.height);
+    return;
+  }
+
+  if (stroke.tool === 'text') {
+    ctx.font = `${stroke.fontSize}px ${TEXT_FONT_FAMILY}`;
+    ctx.textBaseline = 'top';
+    textLines(stroke).forEach(line => ctx.fillText(line.text, line.x, line.y));
+    return;
+  }
+
+  const { start, end } = stroke;
+  ctx.beginPath();
+  switch (stroke.tool) {
+    case 'line':
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      break;
+
+    case 'rectangle':
+      ctx.rect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+      if (stroke.fill) ctx.fill();
+      ctx.stroke();
+      break;
+
+    case 'ellipse':
+      ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2, Math.abs(end.x - start.x) / 2, Math.abs(end.y - start.y) / 2, 0, 0, Math.PI * 2);
+      if (stroke.fill) ctx.fill();
+      ctx.stroke();
+      break;
+
+    case 'arrow': {
+      const [left, right] = arrowHeadCorners(stroke);
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(end.x, end.y);
+      ctx.lineTo(left.x, left.y);
+      ctx.lineTo(right.x, right.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      break;
+    }
+
+    default: {
+      // Freehand: a single point paints nothing, like on the board
+      const points = stroke.points;
+      if (points.length < 2) return;
+      const pieces = freehandPieces(points);
+      if (hasPressure(stroke)) {
+        // Each piece gets the width of its pressure
+        pieces.forEach(piece => {
+          ctx.beginPath();
+          ctx.lineWidth = pointWidth(stroke, piece.point);
+          tracePiece(ctx, piece, true);
+          ctx.stroke();
+        });
+        return;
+      }
+      pieces.forEach((piece, i) => tracePiece(ctx, piece, i === 0));
+      ctx.stroke();
+    }
+  }
+};
+
+/**
+ * Paints layers onto a context: each one is drawn on its own transparent
+ * canvas, so its erasers only remove its own paint, and then laid over the
+ * ones below.
+ * @param {CanvasRenderingContext2D} ctx - Target context; its transform maps world coordinates
+ * @param {Array<Array<Object>>} layers - Strokes of each layer (see paintLayers)
+ * @param {Map<Object, Object|null>} fills - Fill images from computeFills()
+ */
+const drawLayers = (ctx, layers, fills) => {
+  const { width, height } = ctx.canvas;
+  layers.forEach(strokes => {
+    const layer = createCanvas(width, height);
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(ctx.getTransform());
+    strokes.forEach(stroke => drawStroke(layerCtx, stroke, fills));
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+  });
+};
+
+/**
+ * Computes the region of every fill, in drawing order, the same way clients
+ * do: the strokes below a fill on its layer are replayed onto a white raster
+ * of the room's logical size centered on the seed (erased spots show the
+ * white), and the region is flood filled there.
+ * @param {Array<Array<Object>>} layers - Strokes of each layer (see paintLayers)
+ * @param {{width: number, height: number}} size - Room logical size
+ * @returns {Map<Object, {canvas: Object, x: number, y: number}|null>} Fill stroke → image (null if it covers nothing)
+ */
+const computeFills = (layers, size) => {
+  const fills = new Map();
+  layers.forEach(strokes => computeLayerFills(strokes, size, fills));
+  return fills;
+};
+
+/**
+ * Computes the fills of one layer (see computeFills).
+ * @param {Array<Object>} strokes - Strokes of the layer in paint order
+ * @param {{width: number, height: number}} size - Room logical size
+ * @param {Map<Object, Object|null>} fills - Receives fill stroke → image
+ */
+const computeLayerFills = (strokes, size, fills) => {
+  strokes.forEach((stroke, index) => {
+    if (stroke.tool !== 'fill') return;
+
+    const area = {
+      minX: Math.floor(stroke.x - size.width / 2),
+      minY: Math.floor(stroke.y - size.height / 2)
+    };
+    area.maxX = area.minX + size.width;
+    area.maxY = area.minY + size.height;
+
+    const raster = createCanvas(size.width, size.height);
+    const rasterCtx = raster.getContext('2d');
+    rasterCtx.fillStyle = BACKGROUND;
+    rasterCtx.fillRect(0, 0, size.width, size.height);
+    rasterCtx.translate(-area.minX, -area.minY);
+    const below = strokes.slice(0, index).filter(other => intersects(getStrokeBounds(other, fills), area));
+    drawLayers(rasterCtx, [below], fills);
+
+    const imageData = rasterCtx.getImageData(0, 0, size.width, size.height);
+    const result = floodFillMask(imageData, stroke.x - area.minX, stroke.y - area.minY, stroke.tolerance);
+    if (!result) {
+      fills.set(stroke, null);
+      return;
+    }
+
+    const { mask, bounds } = result;
+    const width = bounds.maxX - bounds.minX + 1;
+    const height = bounds.maxY - bounds.minY + 1;
+    const image = createCanvas(width, height);
+    const imageCtx = image.getContext('2d');
+    const pixels = imageCtx.createImageData(width, height);
+    const [r, g, b] = hexToRgb(stroke.color);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[(bounds.minY + y) * size.width + bounds.minX + x]) continue;
+        const offset = (y * width + x) * 4;
+        pixels.data[offset] = r;
+        pixels.data[offset + 1] = g;
+        pixels.data[offset + 2] = b;
+        pixels.data[offset + 3] = 255;
+      }
+    }
+    imageCtx.putImageData(pixels, 0, 0);
+
+    fills.set(stroke, { canvas: image, x: area.minX + bounds.minX, y: area.minY + bounds.minY });
+  });
+};
+
+module.exports = {
+  TEXT_FONT_FAMILY,
+  TEXT_LINE_HEIGHT,
+  BACKGROUND,
+  strokeColor,
+  strokeWidth,
+  hasPressure,
+  pointWidth,
+  freehandPieces,
+  arrowHeadCorners,
+  textLines,
+  getStrokeBounds,
+  drawStroke,
+  drawLayers,
+  computeFills,
+  paintLayers,
+  loadImages
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+// Roles a user can have in a room, from most to least privileged
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles an owner can hand out (ownership itself comes from the owner key)
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+
+/**
+ * Hashes a password with a per-room salt.
+ * @param {string} password - Plain password
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex hash
+ */
+const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 32).toString('hex');
+
+/**
+ * Hashes an owner key. Keys are long random strings, so a plain hash is enough.
+ * @param {string} key - Owner key
+ * @returns {string} Hex hash
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Compares two hex hashes in constant time.
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {boolean} True if equal
+ */
+const sameHash = (a, b) => a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+/**
+ * RoomAccess
+ * -----------
+ * Who may enter a room and what they may do there.
+ *
+ * - A room may have a password; only its hash and salt are kept
+ * - The user who creates a room becomes its owner and receives a random
+ *   owner key. Presenting the key on a later join makes them owner again,
+ *   whatever name they use. Only the key's hash is kept.
+ * - Everyone else gets the role the owner assigned to their user id (their
+ *   session, see sessions.js), or the room's default role. Names are chosen
+ *   freely, so they never carry a role. A session with an assigned role
+ *   never expires and the browser resumes it on every join, so a demoted
+ *   user keeps the role across reconnects and reloads.
+ *
+ * Rooms created before access control existed have no owner and no
+ * password: everyone joins them as an editor.
+ */
+class RoomAccess {
+  constructor() {
+    this.password = null;       // { salt, hash } or null for an open room
+    this.ownerKeyHash = null;   // Hash of the owner key, or null if the room has no owner
+    this.defaultRole = 'editor'; // Role of users the owner has not assigned one
+    this.roles = {};            // userId → role assigned by the owner
+  }
+
+  /**
+   * Sets up access for a new room.
+   * @param {string|null} password - Password, or null for an open room
+   * @returns {{access: RoomAccess, ownerKey: string}} Access settings and the owner key to give the creator
+   */
+  static create(password) {
+    const access = new RoomAccess();
+    if (password) {
+      const salt = crypto.randomBytes(16).toString('hex');
+      access.password = { salt, hash: hashPassword(password, salt) };
+    }
+
+    const ownerKey = crypto.randomBytes(24).toString('base64url');
+    access.ownerKeyHash = hashKey(ownerKey);
+    return { access, ownerKey };
+  }
+
+  /**
+   * Rebuilds access settings from data produced by toJSON().
+   * @param {Object} data - Serialized settings
+   * @returns {RoomAccess} Restored instance
+   */
+  static fromJSON(data) {
+    const access = new RoomAccess();
+    access.password = data.password || null;
+    access.ownerKeyHash = data.ownerKeyHash || null;
+    access.defaultRole = data.defaultRole || 'editor';
+    access.roles = data.roles || {};
+    return access;
+  }
+
+  /**
+   * @returns {boolean} True if joining requires a password
+   */
+  isProtected() {
+    return Boolean(this.password);
+  }
+
+  /**
+   * Checks an owner key.
+   * @param {string|undefined} ownerKey - Key presented by a joining user
+   * @returns {boolean} True if it is this room's owner key
+   */
+  isOwnerKey(ownerKey) {
+    return Boolean(ownerKey && this.ownerKeyHash) && sameHash(hashKey(ownerKey), this.ownerKeyHash);
+  }
+
+  /**
+   * Decides whether a user may enter. The owner never needs the password.
+   * @param {string|undefined} password - Password presented by the user
+   * @param {string|undefined} ownerKey - Owner key presented by the user
+   * @returns {boolean} True if the user may join
+   */
+  canEnter(password, ownerKey) {
+    if (!this.password || this.isOwnerKey(ownerKey)) return true;
+    return Boolean(password) && sameHash(hashPassword(password, this.password.salt), this.password.hash);
+  }
+
+  /**
+   * Returns the role a joining user gets (owners are recognized by their
+   * owner key before this).
+   * @param {string} userId - Session id of the user
+   * @returns {string} One of ASSIGNABLE_ROLES
+   */
+  roleFor(userId) {
+    return this.roles[userId] || this.defaultRole;
+  }
+
+  /**
+   * Remembers the role the owner assigned to a user.
+   * @param {string} userId - Session id of the user
+   * @param {string} role - One of ASSIGNABLE_ROLES
+   */
+  setRole(userId, role) {
+    this.roles[userId] = role;
+  }
+
+  /**
+   * Returns the settings clients may see.
+   * @returns {{protected: boolean, defaultRole: string}} Public settings
+   */
+  getSettings() {
+    return { protected: this.isProtected(), defaultRole: this.defaultRole };
+  }
+
+  /**
+   * Serializes the settings for storage.
+   * @returns {Object} Plain object accepted by RoomAccess.fromJSON()
+   */
+  toJSON() {
+    return {
+      password: this.password,
+      ownerKeyHash: this.ownerKeyHash,
+      defaultRole: this.defaultRole,
+      roles: this.roles
+    };
+  }
+}
+
+/**
+ * Checks whether a role may change the drawing.
+ * @param {string} role - One of ROLES
+ * @returns {boolean} True for owners and editors
+ */
+const canEdit = (role) => role === 'owner' || role === 'editor';
+
+module.exports = {
+  RoomAccess,
+  ROLES,
+  ASSIGNABLE_ROLES,
+  canEdit
+};
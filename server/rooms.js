@@ -1,69 +1,396 @@
 const DrawingState = require('./drawing-state');
+const ChatHistory = require('./chat-history');
+const RoomStorage = require('./storage');
+const { RoomAccess } = require('./room-access');
+const sessions = require('./sessions');
+const config = require('./config');
+const limits = require('./limits');
 
 /**
  * RoomManager
  * ------------
  * Manages all active drawing rooms on the server.
  * Each room tracks:
- *   - Connected users
+ *   - Connected users, each with a role (owner, editor or viewer)
  *   - Shared drawing state (DrawingState)
+ *   - Recent chat messages (ChatHistory)
+ *   - Who may enter and with which role (RoomAccess)
+ *
+ * Rooms are backed by RoomStorage: every drawing operation is appended to
+ * the room's log, and a snapshot is written every `snapshotInterval`
+ * operations. Rooms with no users are kept in memory for `idleTtl`
+ * milliseconds and then evicted; they are reloaded from disk on demand.
+ * Chat messages are appended to a separate log, which is rewritten with
+ * just the kept messages whenever it grows to twice the history length.
  */
 class RoomManager {
-  constructor() {
-    // Stores all active rooms
+  /**
+   * @param {Object} [options]
+   * @param {RoomStorage|null} [options.storage] - Storage backend (null keeps rooms in memory only)
+   * @param {number} [options.idleTtl] - Milliseconds an empty room stays in memory before eviction
+   * @param {number} [options.snapshotInterval] - Number of logged operations between snapshots
+   */
+  constructor({ storage = null, idleTtl = config.roomIdleTtlMs, snapshotInterval = config.snapshotInterval } = {}) {
+    // Stores all rooms currently loaded in memory
     // Key: room name (string)
-    // Value: { name, users (Map), drawingState (DrawingState instance) }
+    // Value: { name, users (Map), drawingState (DrawingState instance), chat (ChatHistory instance), access (RoomAccess instance), seq, unsnapshotted, chatLogLength, lastActivity, evictionTimer }
     this.rooms = new Map();
+
+    this.storage = storage;
+    this.idleTtl = idleTtl;
+    this.snapshotInterval = snapshotInterval;
   }
 
   /**
    * Returns an existing room or creates a new one if it doesn’t exist.
+   * Rooms that were evicted or saved before a restart are reloaded from storage.
    * @param {string} roomName - Unique identifier for the room
    * @returns {Object} Room object
    */
   getOrCreateRoom(roomName) {
-    if (!this.rooms.has(roomName)) {
-      this.rooms.set(roomName, {
-        name: roomName,
-        users: new Map(),              // socketId → user object
-        drawingState: new DrawingState() // stores stroke history
+    let room = this.rooms.get(roomName);
+    if (!room) {
+      room = this.loadRoom(roomName);
+      this.rooms.set(roomName, room);
+    }
+
+    // Someone needs this room again, so it must not be evicted
+    this.cancelEviction(room);
+    return room;
+  }
+
+  /**
+   * Returns a room for reading (e.g. an export) without creating an empty one.
+   * A room that only exists in storage is loaded and, since nobody is in it,
+   * scheduled for eviction right away.
+   * @param {string} roomName - Room name
+   * @returns {Object|null} Room object, or null if the room never existed
+   */
+  findRoom(roomName) {
+    let room = this.rooms.get(roomName);
+    if (room) return room;
+    if (!this.storage || !this.storage.exists(roomName)) return null;
+
+    room = this.loadRoom(roomName);
+    this.rooms.set(roomName, room);
+    this.scheduleEviction(room);
+    return room;
+  }
+
+  /**
+   * Creates a room that does not exist yet, owned by the user creating it.
+   * @param {string} roomName - Room name (must not be loaded or stored)
+   * @param {string|null} password - Password required to join, or null for an open room
+   * @returns {{room: Object, ownerKey: string}} The room and the owner key for its creator
+   */
+  createRoom(roomName, password) {
+    const room = this.loadRoom(roomName);
+    const { access, ownerKey } = RoomAccess.create(password);
+    room.access = access;
+    this.rooms.set(roomName, room);
+    this.saveAccess(room);
+    return { room, ownerKey };
+  }
+
+  /**
+   * Builds a room object, restoring its drawing state from storage if any exists.
+   * @param {string} roomName - Room name
+   * @returns {Object} Room object with a journal attached to its DrawingState
+   */
+  loadRoom(roomName) {
+    const stored = this.storage ? this.storage.load(roomName) : null;
+    const storedAccess = this.storage ? this.storage.loadAccess(roomName) : null;
+    const storedChat = this.storage ? this.storage.loadChat(roomName) : [];
+    let drawingState = new DrawingState();
+    let seq = 0;
+
+    if (stored) {
+      if (stored.snapshot) {
+        drawingState = DrawingState.fromJSON(stored.snapshot.drawingState);
+        seq = stored.snapshot.seq;
+      }
+      stored.operations.forEach(operation => {
+        drawingState.applyOperation(operation);
+        seq = operation.seq;
       });
     }
-    return this.rooms.get(roomName);
+
+    const room = {
+      name: roomName,
+      users: new Map(),              // userId (from the session) → user object
+      drawingState,                  // stores stroke history
+      chat: ChatHistory.fromJSON(storedChat, limits.chatHistoryLength),
+      access: storedAccess ? RoomAccess.fromJSON(storedAccess) : new RoomAccess(),
+      seq,                           // Sequence number of the last persisted operation
+      unsnapshotted: stored ? stored.operations.length : 0, // Operations logged since the last snapshot
+      chatLogLength: storedChat.length, // Messages in the chat log, including ones no longer kept
+      lastActivity: stored ? stored.modifiedAt : Date.now(), // Last drawing operation, join or leave (ms)
+      evictionTimer: null
+    };
+
+    drawingState.journal = (operation) => {
+      room.lastActivity = Date.now();
+      this.persistOperation(room, operation);
+    };
+    room.chat.journal = (message) => this.persistChatMessage(room, message);
+    return room;
+  }
+
+  /**
+   * Appends an operation to the room's log and snapshots periodically.
+   * @param {Object} room - Room the operation was applied to
+   * @param {{type: string, args: Array}} operation - Operation reported by DrawingState
+   */
+  persistOperation(room, operation) {
+    if (!this.storage) return;
+
+    room.seq++;
+    room.unsnapshotted++;
+    this.storage.append(room.name, { seq: room.seq, ...operation });
+
+    if (room.unsnapshotted >= this.snapshotInterval) {
+      this.saveSnapshot(room);
+    }
+  }
+
+  /**
+   * Appends a chat message to the room's chat log, compacting the log once
+   * it holds twice as many messages as the room keeps.
+   * @param {Object} room - Room the message was posted in
+   * @param {Object} message - Message reported by ChatHistory
+   */
+  persistChatMessage(room, message) {
+    if (!this.storage) return;
+
+    this.storage.appendChat(room.name, message);
+    room.chatLogLength++;
+
+    if (room.chatLogLength >= 2 * room.chat.limit) {
+      this.storage.writeChat(room.name, room.chat.toJSON());
+      room.chatLogLength = room.chat.messages.length;
+    }
+  }
+
+  /**
+   * Posts a chat message to a room.
+   * @param {string} roomName - Room name
+   * @param {Object} message - User or system message without id and timestamp (see ChatHistory)
+   * @returns {Object|null} Stored message, or null if the room is not loaded
+   */
+  addChatMessage(roomName, message) {
+    const room = this.rooms.get(roomName);
+    if (!room) return null;
+
+    room.lastActivity = Date.now();
+    return room.chat.add(message);
+  }
+
+  /**
+   * Saves the room's access settings (after a role or setting changed).
+   * @param {Object} room - Room object
+   */
+  saveAccess(room) {
+    if (this.storage) this.storage.saveAccess(room.name, room.access.toJSON());
+  }
+
+  /**
+   * Writes the room's full state to storage and truncates its log.
+   * @param {Object} room - Room to snapshot
+   */
+  saveSnapshot(room) {
+    if (!this.storage || room.unsnapshotted === 0) return;
+
+    // Forget the histories of users whose session expired, so the snapshot
+    // stops carrying strokes nobody can bring back. Pruning is not journaled:
+    // it is safe only here, where the snapshot replaces the log.
+    room.drawingState.pruneHistories(sessions.userIds(room.name));
+    this.storage.writeSnapshot(room.name, {
+      seq: room.seq,
+      drawingState: room.drawingState.toJSON()
+    });
+    room.unsnapshotted = 0;
+  }
+
+  /**
+   * Schedules an empty room to be removed from memory after the idle TTL.
+   * @param {Object} room - Room that just became empty
+   */
+  scheduleEviction(room) {
+    this.cancelEviction(room);
+    room.evictionTimer = setTimeout(() => this.evictRoom(room.name), this.idleTtl);
+    // Pending evictions should never keep the process alive on shutdown
+    room.evictionTimer.unref();
+  }
+
+  /**
+   * Cancels a pending eviction for a room.
+   * @param {Object} room - Room object
+   */
+  cancelEviction(room) {
+    if (room.evictionTimer) {
+      clearTimeout(room.evictionTimer);
+      room.evictionTimer = null;
+    }
+  }
+
+  /**
+   * Snapshots an idle room and drops it from memory.
+   * Rooms without storage are ephemeral and are simply discarded.
+   * @param {string} roomName - Room name
+   */
+  evictRoom(roomName) {
+    const room = this.rooms.get(roomName);
+    if (!room || room.users.size > 0) return;
+
+    this.cancelEviction(room);
+    this.saveSnapshot(room);
+    this.rooms.delete(roomName);
+  }
+
+  /**
+   * Permanently deletes a room from memory and storage. Users still in it
+   * must be disconnected by the caller.
+   * @param {string} roomName - Room name
+   * @returns {boolean} True if the room existed
+   */
+  deleteRoom(roomName) {
+    const room = this.rooms.get(roomName);
+    const stored = Boolean(this.storage) && this.storage.exists(roomName);
+    if (!room && !stored) return false;
+
+    if (room) {
+      this.cancelEviction(room);
+      room.drawingState.journal = null;
+      room.chat.journal = null;
+      this.rooms.delete(roomName);
+    }
+    if (stored) this.storage.remove(roomName);
+    return true;
+  }
+
+  /**
+   * Summarizes every room, loaded or only on disk. Rooms on disk are not
+   * loaded for this, so their stroke count is unknown (null).
+   * @returns {Array<{name: string, userCount: number, strokeCount: number|null, lastActivity: number, loaded: boolean, protected: boolean}>} Rooms sorted by name
+   */
+  listRooms() {
+    const summaries = new Map();
+
+    if (this.storage) {
+      this.storage.list().forEach(({ name, modifiedAt }) => {
+        if (this.rooms.has(name)) return;   // Summarized below
+        const storedAccess = this.storage.loadAccess(name);
+        summaries.set(name, {
+          name,
+          userCount: 0,
+          strokeCount: null,
+          lastActivity: modifiedAt,
+          loaded: false,
+          protected: Boolean(storedAccess) && RoomAccess.fromJSON(storedAccess).isProtected()
+        });
+      });
+    }
+    this.rooms.forEach(room => {
+      summaries.set(room.name, {
+        name: room.name,
+        userCount: room.users.size,
+        strokeCount: room.drawingState.getVisibleStrokes().length,
+        lastActivity: room.lastActivity,
+        loaded: true,
+        protected: room.access.isProtected()
+      });
+    });
+
+    return Array.from(summaries.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Snapshots every loaded room. Called on shutdown so restarts load quickly.
+   */
+  flushAll() {
+    this.rooms.forEach(room => this.saveSnapshot(room));
   }
 
   /**
    * Adds a user to a room, creating the room if necessary.
    * @param {string} roomName - Target room name
-   * @param {string} socketId - User’s socket ID
+   * @param {string} userId - User's session id (stable across reconnects)
    * @param {string} username - Display name of the user
    * @param {string} color - User’s assigned color for display/cursor
+   * @param {string} role - User's role in the room (see RoomAccess)
    * @returns {Object} Updated room object
    */
-  addUserToRoom(roomName, socketId, username, color) {
+  addUserToRoom(roomName, userId, username, color, role) {
     const room = this.getOrCreateRoom(roomName);
-    room.users.set(socketId, {
-      id: socketId,
+    room.lastActivity = Date.now();
+    room.users.set(userId, {
+      id: userId,
       username,
       color,
+      role,
       cursor: { x: 0, y: 0 } // Initial cursor position
     });
     return room;
   }
 
+  /**
+   * Changes a connected user's role and remembers it for their user id,
+   * so they get it again when they resume their session.
+   * @param {string} roomName - Room name
+   * @param {string} userId - Session id of the user
+   * @param {string} role - New role (one of ASSIGNABLE_ROLES)
+   * @returns {Object|null} Updated user, or null if they are not in the room
+   */
+  setUserRole(roomName, userId, role) {
+    const room = this.rooms.get(roomName);
+    const user = room && room.users.get(userId);
+    if (!user) return null;
+
+    user.role = role;
+    room.access.setRole(user.id, role);
+    this.saveAccess(room);
+    return user;
+  }
+
+  /**
+   * Changes the role of users joining without an assigned one.
+   * @param {string} roomName - Room name
+   * @param {string} role - New default role (one of ASSIGNABLE_ROLES)
+   */
+  setDefaultRole(roomName, role) {
+    const room = this.rooms.get(roomName);
+    if (!room) return;
+
+    room.access.defaultRole = role;
+    this.saveAccess(room);
+  }
+
+  /**
+   * Returns one connected user.
+   * @param {string} roomName - Room name
+   * @param {string} userId - Session id of the user
+   * @returns {Object|undefined} User object
+   */
+  getUser(roomName, userId) {
+    const room = this.rooms.get(roomName);
+    return room ? room.users.get(userId) : undefined;
+  }
+
   /**
    * Removes a user from a room.
-   * Deletes the room entirely if it becomes empty.
+   * Schedules the room for eviction from memory if it becomes empty;
+   * its drawing stays in storage.
    * @param {string} roomName - Name of the room
-   * @param {string} socketId - Socket ID of the user
+   * @param {string} userId - Session id of the user
    */
-  removeUserFromRoom(roomName, socketId) {
+  removeUserFromRoom(roomName, userId) {
     const room = this.rooms.get(roomName);
     if (room) {
-      room.users.delete(socketId);
-      // Remove the room if no users remain
+      room.users.delete(userId);
+      room.lastActivity = Date.now();
+      // Unload the room later if no users remain
       if (room.users.size === 0) {
-        this.rooms.delete(roomName);
+        this.scheduleEviction(room);
       }
     }
   }
@@ -71,14 +398,14 @@ class RoomManager {
   /**
    * Updates a user’s cursor position in a specific room.
    * @param {string} roomName - Room name
-   * @param {string} socketId - User’s socket ID
+   * @param {string} userId - User's session id (stable across reconnects)
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    */
-  updateUserCursor(roomName, socketId, x, y) {
+  updateUserCursor(roomName, userId, x, y) {
     const room = this.rooms.get(roomName);
-    if (room && room.users.has(socketId)) {
-      room.users.get(socketId).cursor = { x, y };
+    if (room && room.users.has(userId)) {
+      room.users.get(userId).cursor = { x, y };
     }
   }
 
@@ -103,4 +430,4 @@ class RoomManager {
 }
 
 // Export a singleton instance to maintain shared state across server imports
-module.exports = new RoomManager();
+module.exports = new RoomManager({ storage: new RoomStorage(config.dataDir) });
@@ -6,7 +6,32 @@ const path = require('path');
 const cors = require('cors');
 
 // Custom room management logic
+const config = require('./config');
 const roomManager = require('./rooms');
+const sessions = require('./sessions');
+const createApiRouter = require('./api');
+const limits = require('./limits');
+const { RateLimiter } = require('./rate-limiter');
+const { canEdit } = require('./room-access');
+const { editStroke } = require('./stroke-edits');
+const { simplifyPoints } = require('../client/simplify.js');
+const { WIRE_FORMAT, quantizePoint, unpackStroke, bundlePayload, unpackPayload } = require('../client/point-codec.js');
+const {
+  validateStroke,
+  validateLiveStroke,
+  validateJoinRoom,
+  validateSetRole,
+  validateDefaultRole,
+  validateChatMessage,
+  validateAddLayer,
+  validateUpdateLayer,
+  validateMoveLayer,
+  validateEditStrokes,
+  validatePointBatch,
+  validateStrokeEnd,
+  validateCursor,
+  validateImport
+} = require('./validation');
 
 const app = express();
 const httpServer = createServer(app);
@@ -15,13 +40,23 @@ const httpServer = createServer(app);
 // Middleware Configuration
 // ---------------------------------------------
 
+// Origins allowed to reach us from other sites (allowedOrigins / ALLOWED_ORIGINS)
+const corsOrigin = config.allowedOrigins.includes('*') ? '*' : config.allowedOrigins;
+
 // Enable CORS for cross-origin WebSocket and HTTP requests
 app.use(cors({
-  origin: '*', // Replace '*' with frontend origin in production (e.g. 'https://yourdomain.com')
-  methods: ['GET', 'POST'],
+  origin: corsOrigin,
+  methods: ['GET', 'POST', 'DELETE'],
   credentials: true
 }));
 
+// Tells the client where to open its socket ('' = the origin it was loaded from).
+// Registered before the static files so it wins over a client/config.json.
+app.get('/config.json', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.json({ serverUrl: config.publicServerUrl });
+});
+
 // Serve static frontend files (client-side app)
 app.use(express.static(path.join(__dirname, '../client')));
 
@@ -30,131 +65,625 @@ app.use(express.static(path.join(__dirname, '../client')));
 // ---------------------------------------------
 const io = new Server(httpServer, {
   cors: {
-    origin: '*', // Update to your frontend origin for production security
+    origin: corsOrigin,
     methods: ['GET', 'POST']
-  }
+  },
+  maxHttpBufferSize: limits.maxMessageBytes // Imports carry whole files
 });
 
+// HTTP API (room inspection, deletion and exports)
+app.use('/api', createApiRouter({ io }));
+
 // ---------------------------------------------
-// Utility: Assigns a random color to each new user
+// Utility: Assigns a random color from the configured palette to each new user
 // ---------------------------------------------
 const generateUserColor = () => {
-  const colors = [
-    '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A',
-    '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2',
-    '#F8B739', '#52B788', '#E76F51', '#2A9D8F'
-  ];
+  const colors = config.userColors;
   return colors[Math.floor(Math.random() * colors.length)];
 };
 
+// Events that change the drawing; viewers may not send them
+const EDIT_EVENTS = new Set([
+  'draw', 'stroke-begin', 'stroke-points', 'stroke-end',
+  'import', 'undo', 'redo', 'clear-canvas',
+  'add-layer', 'update-layer', 'move-layer', 'edit-strokes'
+]);
+
+// Events whose payload is a stroke that clients using the packed wire
+// format send with packed points
+const PACKED_EVENTS = new Set(['draw']);
+
+/**
+ * Returns the Socket.IO room holding the sockets of a drawing room that use
+ * the packed wire format. Room names are trimmed (validation.js), so no
+ * drawing room can have this name.
+ * @param {string} roomName - Drawing room name
+ * @returns {string} Socket.IO room name
+ */
+const packedChannel = (roomName) => ` packed ${roomName}`;
+
 // ---------------------------------------------
 // Socket.IO Event Handlers
 // ---------------------------------------------
 io.on('connection', (socket) => {
-  // Track the user’s current room and username for cleanup and broadcasts
+  // Track the user’s current room and session for cleanup and broadcasts.
+  // `userId` comes from the session and, unlike socket.id, survives reconnects.
   let currentRoom = null;
   let currentUsername = null;
+  let session = null;
+  let userId = null;
+
+  // Stroke currently being streamed by this user (not yet part of DrawingState)
+  let liveStroke = null;
+
+  // Clients offer the packed wire format (point-codec.js) when they connect;
+  // older clients send and receive plain point lists
+  const packedWire = Boolean(socket.handshake.auth) && socket.handshake.auth.wireFormat === WIRE_FORMAT;
+
+  // Per-socket token buckets for every event type
+  const rateLimiter = new RateLimiter(limits.rateLimits);
+
+  /**
+   * Registers a socket event handler that is rate limited and validated.
+   * The handler receives the sanitized payload and may return an
+   * acknowledgement object; otherwise `{ ok: true }` is acknowledged.
+   * Rejected events are acknowledged with `{ ok: false, error }` and
+   * never reach the room. Edits from viewers are rejected the same way.
+   * A handler that throws is logged and acknowledged with `{ ok: false, error }`
+   * instead of taking the connection's other events down with it.
+   * @param {string} event - Socket event name
+   * @param {Function|null} validate - Validator from validation.js, or null for events without payload
+   * @param {Function} handler - Receives the validated payload
+   */
+  const handle = (event, validate, handler) => {
+    socket.on(event, (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (!rateLimiter.allow(event)) {
+        // Tells clients replaying queued events when to try again
+        const retryAfter = rateLimiter.retryAfter(event);
+        return reply({ ok: false, error: 'Rate limit exceeded, slow down', ...(retryAfter !== null && { retryAfter }) });
+      }
+      if (event !== 'join-room' && !currentRoom) {
+        return reply({ ok: false, error: 'Join a room first' });
+      }
+      if (EDIT_EVENTS.has(event) && !canEdit(getRole())) {
+        cancelLiveStroke();
+        return reply({ ok: false, error: 'You can only view this room' });
+      }
+
+      let data = payload;
+      if (packedWire && PACKED_EVENTS.has(event)) {
+        try {
+          data = unpackStroke(payload, limits.maxPointsPerStroke);
+        } catch (err) {
+          return reply({ ok: false, error: err.message });
+        }
+      }
+
+      let response;
+      try {
+        const result = validate ? validate(data) : { value: data };
+        if (result.error) {
+          return reply({ ok: false, error: result.error });
+        }
+        response = toWire(handler(result.value) || { ok: true });
+      } catch (err) {
+        console.error(`Failed to handle '${event}':`, err);
+        return reply({ ok: false, error: 'Something went wrong on the server' });
+      }
+      reply(response);
+    });
+  };
 
   /**
-   * Handles user joining a specific room
+   * Puts a payload that may hold strokes with packed points (as DrawingState
+   * keeps them) in the wire format this socket negotiated
+   * @param {any} payload - Event payload or acknowledgement
+   * @returns {any} The payload, bundled for packed clients and with plain
+   *   points for older ones
    */
-  socket.on('join-room', ({ roomName, username }) => {
+  const toWire = (payload) => packedWire ? bundlePayload(payload) : unpackPayload(payload);
+
+  /**
+   * Sends an event carrying strokes to the room in each socket's wire format
+   * @param {string} event - Event name
+   * @param {Object} payload - Payload, strokes with packed points
+   * @param {boolean} [includeSelf=false] - Send it to this socket too
+   */
+  const emitStrokes = (event, payload, includeSelf = false) => {
+    const channel = packedChannel(currentRoom);
+    (includeSelf ? io.to(currentRoom) : socket.to(currentRoom)).except(channel).emit(event, unpackPayload(payload));
+    (includeSelf ? io.to(channel) : socket.to(channel)).emit(event, bundlePayload(payload));
+  };
+
+  /**
+   * Returns this user's current role in their room
+   * @returns {string|undefined} Role, or undefined before joining
+   */
+  const getRole = () => {
+    const user = roomManager.getUser(currentRoom, userId);
+    return user && user.role;
+  };
+
+  /**
+   * Checks whether the room can take more strokes.
+   * @param {Object} room - Room object
+   * @param {number} [count=1] - Number of strokes about to be added
+   * @returns {Object|null} Error acknowledgement, or null if there is space
+   */
+  const checkStrokeCapacity = (room, count = 1) => {
+    if (room.drawingState.strokes.length + count > limits.maxStrokesPerRoom) {
+      return { ok: false, error: `This room is full (${limits.maxStrokesPerRoom} strokes). Clear the canvas to keep drawing.` };
+    }
+    return null;
+  };
+
+  /**
+   * Puts strokes on the layer they were drawn on, after checking it can take
+   * them. Strokes from clients that know no layers go on the bottom layer.
+   * @param {Object} room - Room object
+   * @param {Array<Object>} strokes - Validated strokes, all for the same layer
+   * @returns {Object|null} Error acknowledgement, or null if the layer accepts them
+   */
+  const placeOnLayer = (room, strokes) => {
+    const { drawingState } = room;
+    const layer = drawingState.getLayer(drawingState.resolveLayerId(strokes[0]));
+    if (!layer) {
+      return { ok: false, error: 'That layer no longer exists' };
+    }
+    if (layer.locked) {
+      return { ok: false, error: `Layer "${layer.name}" is locked` };
+    }
+
+    strokes.forEach(stroke => { stroke.layerId = layer.id; });
+    return null;
+  };
+
+  /**
+   * Refuses changes to strokes that lie on a locked layer
+   * @param {DrawingState} drawingState - Room drawing state
+   * @param {Array<Object>} strokes - Strokes that would change
+   * @returns {Object|null} Error acknowledgement, or null if none of their layers is locked
+   */
+  const checkUnlocked = (drawingState, strokes) => {
+    for (const stroke of strokes) {
+      const layer = drawingState.getLayer(stroke.layerId);
+      if (layer && layer.locked) {
+        return { ok: false, error: `Layer "${layer.name}" is locked` };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Posts a system message (this user joined or left) to the room's chat
+   * @param {string} event - 'joined' or 'left'
+   */
+  const postSystemMessage = (event) => {
+    const message = roomManager.addChatMessage(currentRoom, { type: 'system', event, username: currentUsername });
+    if (message) io.to(currentRoom).emit('chat-message', message);
+  };
+
+  /**
+   * Discards an unfinished live stroke and tells peers to stop rendering it
+   */
+  const cancelLiveStroke = () => {
+    if (liveStroke && currentRoom) {
+      socket.to(currentRoom).emit('stroke-cancel', { userId });
+    }
+    liveStroke = null;
+  };
+
+  /**
+   * Handles user joining a specific room. Joining a room that does not
+   * exist creates it (with the given password, if any) and makes the user
+   * its owner; the owner key in the reply lets them reclaim ownership later.
+   * A valid session token resumes the user's previous identity (after a
+   * dropped connection) without asking for the password again.
+   */
+  handle('join-room', validateJoinRoom, ({ roomName, username, password, ownerKey, sessionToken }) => {
+    if (currentRoom) {
+      return { ok: false, error: 'Already in a room' };
+    }
+
+    const resumed = sessionToken ? sessions.resume(sessionToken, roomName, socket.id) : null;
+    let room = roomManager.findRoom(roomName);
+    let newOwnerKey = null;
+    if (resumed) {
+      // The old socket may still look connected; this one replaces it
+      if (resumed.previousSocketId) {
+        const previous = io.sockets.sockets.get(resumed.previousSocketId);
+        if (previous) previous.disconnect(true);
+      }
+      session = resumed.session;
+      room = room || roomManager.getOrCreateRoom(roomName);
+    } else {
+      if (!room) {
+        ({ room, ownerKey: newOwnerKey } = roomManager.createRoom(roomName, password));
+      } else if (!room.access.canEnter(password, ownerKey)) {
+        return {
+          ok: false,
+          error: password ? 'Wrong password' : 'This room is protected by a password',
+          passwordRequired: true
+        };
+      }
+      session = sessions.create({
+        roomName,
+        username,
+        color: generateUserColor(),
+        isOwner: Boolean(newOwnerKey) || room.access.isOwnerKey(ownerKey),
+        socketId: socket.id
+      });
+    }
+    const role = session.isOwner ? 'owner' : room.access.roleFor(session.userId);
+
     currentRoom = roomName;
-    currentUsername = username;
-    const userColor = generateUserColor();
+    currentUsername = session.username;
+    userId = session.userId;
 
     // Join the user to the Socket.IO room
     socket.join(roomName);
+    if (packedWire) socket.join(packedChannel(roomName));
 
     // Add user to server-side room manager
-    const room = roomManager.addUserToRoom(roomName, socket.id, username, userColor);
+    roomManager.addUserToRoom(roomName, userId, session.username, session.color, role);
 
     // Send confirmation and initial state to the newly joined user
-    socket.emit('room-joined', {
-      userId: socket.id,
-      color: userColor,
+    socket.emit('room-joined', toWire({
+      userId,
+      username: session.username,
+      color: session.color,
+      role,
+      sessionToken: session.token,
+      resumed: Boolean(resumed),
+      ...(newOwnerKey && { ownerKey: newOwnerKey }),
+      ...(packedWire && { wireFormat: WIRE_FORMAT }),
+      settings: room.access.getSettings(),
       users: roomManager.getRoomUsers(roomName),
-      drawingState: room.drawingState.getAllState()
-    });
+      drawingState: room.drawingState.getAllState(),
+      chat: room.chat.getRecent()
+    }));
 
     // Notify all other users that a new participant has joined
     socket.to(roomName).emit('user-joined', {
-      id: socket.id,
-      username,
-      color: userColor
+      id: userId,
+      username: session.username,
+      color: session.color,
+      role
     });
 
     // Send updated user list to everyone in the room
     socket.to(roomName).emit('users-update', roomManager.getRoomUsers(roomName));
+
+    // A session taken over from a socket that was still attached never left
+    if (!resumed || !resumed.previousSocketId) postSystemMessage('joined');
   });
 
   /**
-   * Broadcast drawing strokes to all users in the same room
+   * Broadcast complete strokes (sent in one piece) to all users in the same room
    */
-  socket.on('draw', (strokeData) => {
-    if (currentRoom) {
-      const room = roomManager.getRoom(currentRoom);
-      if (room) {
-        // Save stroke to room history and broadcast to others
-        room.drawingState.addStroke(strokeData);
-        socket.to(currentRoom).emit('draw', strokeData);
+  handle('draw', validateStroke, (strokeData) => {
+    const room = roomManager.getRoom(currentRoom);
+    const full = checkStrokeCapacity(room);
+    if (full) return full;
+
+    // Edits may only replace a visible item of the same kind (not one undone,
+    // deleted or edited by someone else meanwhile), and stay on its layer
+    if (strokeData.replaces !== undefined) {
+      const original = room.drawingState.getVisibleStrokes().find(stroke => stroke.id === strokeData.replaces);
+      if (!original || original.tool !== strokeData.tool) {
+        return { ok: false, error: 'The item being edited no longer exists' };
       }
+      strokeData.layerId = original.layerId;
     }
+
+    const blocked = placeOnLayer(room, [strokeData]);
+    if (blocked) return blocked;
+
+    // Save stroke to room history and broadcast to others
+    const stroke = room.drawingState.addStroke(strokeData, userId, { authorName: currentUsername });
+    emitStrokes('draw', stroke);
+
+    // Tell the author which id the server assigned
+    return { ok: true, id: stroke.id };
   });
 
   /**
-   * Broadcast cursor movements to other users for live collaboration
+   * Starts streaming a stroke. Peers render it live; it is only
+   * committed to the room history on 'stroke-end'. Live points travel as
+   * plain lists, rounded to the precision of packed points so everyone
+   * holds the points the room will store.
    */
-  socket.on('cursor-move', ({ x, y }) => {
-    if (currentRoom) {
-      roomManager.updateUserCursor(currentRoom, socket.id, x, y);
-      socket.to(currentRoom).emit('cursor-update', {
-        userId: socket.id,
-        x,
-        y
-      });
+  handle('stroke-begin', validateLiveStroke, (strokeData) => {
+    cancelLiveStroke();
+    const blocked = placeOnLayer(roomManager.getRoom(currentRoom), [strokeData]);
+    if (blocked) return blocked;
+
+    liveStroke = { ...strokeData, points: strokeData.points.map(quantizePoint) };
+    socket.to(currentRoom).emit('stroke-begin', {
+      userId,
+      stroke: liveStroke
+    });
+  });
+
+  /**
+   * Appends a batch of points to the live stroke and relays them
+   */
+  handle('stroke-points', validatePointBatch, ({ points }) => {
+    if (!liveStroke) {
+      return { ok: false, error: 'No stroke in progress' };
+    }
+    if (liveStroke.points.length + points.length > limits.maxPointsPerStroke) {
+      return { ok: false, error: `A stroke can have at most ${limits.maxPointsPerStroke} points` };
     }
+
+    const quantized = points.map(quantizePoint);
+    liveStroke.points.push(...quantized);
+    socket.to(currentRoom).emit('stroke-points', {
+      userId,
+      points: quantized
+    });
   });
 
   /**
-   * Handles undo actions and updates all users with the new drawing state
+   * Commits the live stroke to the room history, simplified with the
+   * author's tolerance. Peers get the tolerance and simplify their live copy
+   * the same way, so the points never travel twice.
    */
-  socket.on('undo', () => {
-    if (currentRoom) {
-      const room = roomManager.getRoom(currentRoom);
-      if (room && room.drawingState.undo()) {
-        io.to(currentRoom).emit('undo', {
-          historyIndex: room.drawingState.historyIndex
-        });
-      }
+  handle('stroke-end', validateStrokeEnd, ({ pointCount, tolerance }) => {
+    if (!liveStroke) {
+      return { ok: false, error: 'No stroke in progress' };
+    }
+
+    // The layer may have been locked while the stroke was being drawn
+    const room = roomManager.getRoom(currentRoom);
+    const refused = checkStrokeCapacity(room) || placeOnLayer(room, [liveStroke]);
+    if (refused) {
+      cancelLiveStroke();
+      return refused;
+    }
+
+    const received = liveStroke.points.length;
+    liveStroke.points = simplifyPoints(liveStroke.points, tolerance);
+    const stroke = room.drawingState.addStroke(liveStroke, userId, { authorName: currentUsername });
+    liveStroke = null;
+    socket.to(currentRoom).emit('stroke-end', {
+      userId,
+      id: stroke.id,
+      tolerance
+    });
+
+    // If some point batches were rejected, the author's copy differs from
+    // ours; send back the authoritative points so the author converges
+    return pointCount === received
+      ? { ok: true, id: stroke.id }
+      : { ok: true, id: stroke.id, packedPoints: stroke.packedPoints };
+  });
+
+  /**
+   * Drops the live stroke without committing it (e.g. the author switched
+   * to a two-finger gesture right after touching the canvas)
+   */
+  handle('stroke-cancel', null, () => {
+    if (!liveStroke) {
+      return { ok: false, error: 'No stroke in progress' };
     }
+    cancelLiveStroke();
   });
 
   /**
-   * Handles redo actions and updates all users accordingly
+   * Merges an imported drawing (JSON export) or image into the room as one
+   * undoable step and sends the new strokes to everyone, including the sender
    */
-  socket.on('redo', () => {
-    if (currentRoom) {
-      const room = roomManager.getRoom(currentRoom);
-      if (room && room.drawingState.redo()) {
-        io.to(currentRoom).emit('redo', {
-          historyIndex: room.drawingState.historyIndex
-        });
+  handle('import', validateImport, (strokesData) => {
+    const room = roomManager.getRoom(currentRoom);
+    const refused = checkStrokeCapacity(room, strokesData.length) || placeOnLayer(room, strokesData);
+    if (refused) return refused;
+
+    const strokes = room.drawingState.addStrokes(strokesData, userId, { authorName: currentUsername });
+    emitStrokes('import', {
+      userId,
+      strokes
+    }, true);
+    return { ok: true, count: strokes.length };
+  });
+
+  /**
+   * Moves, scales, recolors or deletes strokes picked with the selection
+   * tool. Every changed stroke gets a new version that replaces the old one
+   * (see stroke-edits.js); they are added as one undoable step and sent to
+   * everyone, including the sender.
+   */
+  handle('edit-strokes', validateEditStrokes, ({ ids, edit }) => {
+    const room = roomManager.getRoom(currentRoom);
+    const { drawingState } = room;
+    const visible = new Map(drawingState.getVisibleStrokes().map(stroke => [stroke.id, stroke]));
+
+    const replacements = [];
+    for (const id of ids) {
+      const original = visible.get(id);
+      if (!original) {
+        return { ok: false, error: 'Some of these strokes were changed or removed meanwhile' };
       }
+      const locked = checkUnlocked(drawingState, [original]);
+      if (locked) return locked;
+
+      const result = editStroke(unpackStroke(original), edit);
+      if (result.error) return { ok: false, error: result.error };
+      if (result.value) replacements.push(result.value);
+    }
+    if (replacements.length === 0) {
+      return { ok: false, error: 'Nothing to change' };
     }
+    const full = checkStrokeCapacity(room, replacements.length);
+    if (full) return full;
+
+    const strokes = drawingState.addStrokes(replacements, userId, { authorName: currentUsername });
+    emitStrokes('edit-strokes', {
+      userId,
+      strokes
+    }, true);
+    return { ok: true, ids: strokes.map(stroke => stroke.id) };
   });
 
   /**
-   * Clears the entire canvas for all users in the room
+   * Sends the room's stroke history with authors and times, for a replay
+   * on the requesting client only
    */
-  socket.on('clear-canvas', () => {
-    if (currentRoom) {
-      const room = roomManager.getRoom(currentRoom);
-      if (room) {
-        room.drawingState.clear();
-        io.to(currentRoom).emit('clear-canvas');
-      }
+  handle('get-timeline', null, () => {
+    const { drawingState } = roomManager.getRoom(currentRoom);
+    return { ok: true, size: drawingState.size, strokes: drawingState.getTimeline() };
+  });
+
+  /**
+   * Adds a layer on top of the others. Like every layer change, the new
+   * layer list goes to everyone in the room, the sender included.
+   */
+  handle('add-layer', validateAddLayer, ({ name }) => {
+    const { drawingState } = roomManager.getRoom(currentRoom);
+    if (drawingState.layers.length >= limits.maxLayers) {
+      return { ok: false, error: `A room can have at most ${limits.maxLayers} layers` };
     }
+
+    const layer = drawingState.addLayer(name);
+    io.to(currentRoom).emit('layers-update', drawingState.layers);
+    return { ok: true, layer };
+  });
+
+  /**
+   * Renames a layer, hides or shows it, or locks or unlocks it
+   */
+  handle('update-layer', validateUpdateLayer, ({ id, changes }) => {
+    const { drawingState } = roomManager.getRoom(currentRoom);
+    if (!drawingState.updateLayer(id, changes)) {
+      return { ok: false, error: 'That layer no longer exists' };
+    }
+    io.to(currentRoom).emit('layers-update', drawingState.layers);
+  });
+
+  /**
+   * Moves a layer up or down the stack
+   */
+  handle('move-layer', validateMoveLayer, ({ id, index }) => {
+    const { drawingState } = roomManager.getRoom(currentRoom);
+    if (!drawingState.moveLayer(id, index)) {
+      return { ok: false, error: 'That layer no longer exists' };
+    }
+    io.to(currentRoom).emit('layers-update', drawingState.layers);
+  });
+
+  /**
+   * Lets the owner make another user an editor or a viewer. The role is
+   * kept for the user id of their session, and that session no longer
+   * expires, so the user gets the role back whenever they rejoin with it.
+   */
+  handle('set-role', validateSetRole, ({ userId: targetId, role }) => {
+    if (getRole() !== 'owner') {
+      return { ok: false, error: 'Only the room owner can change roles' };
+    }
+    const target = roomManager.getUser(currentRoom, targetId);
+    if (!target) {
+      return { ok: false, error: 'That user is not in the room' };
+    }
+    if (target.role === 'owner') {
+      return { ok: false, error: "The owner's role cannot be changed" };
+    }
+
+    roomManager.setUserRole(currentRoom, targetId, role);
+    sessions.pin(currentRoom, targetId);
+    io.to(currentRoom).emit('users-update', roomManager.getRoomUsers(currentRoom));
+  });
+
+  /**
+   * Lets the owner choose the role of users they have not assigned one
+   */
+  handle('set-default-role', validateDefaultRole, ({ role }) => {
+    if (getRole() !== 'owner') {
+      return { ok: false, error: 'Only the room owner can change room settings' };
+    }
+
+    roomManager.setDefaultRole(currentRoom, role);
+    io.to(currentRoom).emit('room-settings', roomManager.getRoom(currentRoom).access.getSettings());
+  });
+
+  /**
+   * Chat: stores the message in the room's history and sends it to
+   * everyone in the room, the sender included
+   */
+  handle('chat-message', validateChatMessage, ({ text }) => {
+    const message = roomManager.addChatMessage(currentRoom, {
+      type: 'user',
+      userId,
+      username: currentUsername,
+      color: session.color,
+      text
+    });
+    if (!message) return { ok: false, error: 'Room not found' };
+
+    io.to(currentRoom).emit('chat-message', message);
+    return { ok: true, id: message.id };
+  });
+
+  /**
+   * Broadcast cursor movements to other users for live collaboration
+   */
+  handle('cursor-move', validateCursor, ({ x, y }) => {
+    roomManager.updateUserCursor(currentRoom, userId, x, y);
+    socket.to(currentRoom).emit('cursor-update', {
+      userId,
+      x,
+      y
+    });
+  });
+
+  /**
+   * Handles undo actions. Only the sender's own strokes are affected;
+   * everyone (including the sender) is told exactly which strokes to hide.
+   * Strokes on a locked layer stay as they are, so the undo is refused.
+   */
+  handle('undo', null, () => {
+    const room = roomManager.getRoom(currentRoom);
+    const locked = checkUnlocked(room.drawingState, room.drawingState.peekHistory(userId, 'undo'));
+    if (locked) return locked;
+
+    const strokeIds = room.drawingState.undo(userId);
+    if (!strokeIds) {
+      return { ok: false, error: 'Nothing to undo' };
+    }
+
+    io.to(currentRoom).emit('undo', {
+      userId,
+      strokeIds
+    });
+  });
+
+  /**
+   * Handles redo actions for the sender's own undone strokes
+   */
+  handle('redo', null, () => {
+    const room = roomManager.getRoom(currentRoom);
+    const locked = checkUnlocked(room.drawingState, room.drawingState.peekHistory(userId, 'redo'));
+    if (locked) return locked;
+
+    const strokeIds = room.drawingState.redo(userId);
+    if (!strokeIds) {
+      return { ok: false, error: 'Nothing to redo' };
+    }
+
+    io.to(currentRoom).emit('redo', {
+      userId,
+      strokeIds
+    });
+  });
+
+  /**
+   * Clears the canvas for all users in the room (locked layers are kept)
+   */
+  handle('clear-canvas', null, () => {
+    const room = roomManager.getRoom(currentRoom);
+    room.drawingState.clear();
+    io.to(currentRoom).emit('clear-canvas');
   });
 
   /**
@@ -162,11 +691,17 @@ io.on('connection', (socket) => {
    */
   socket.on('disconnect', () => {
     if (currentRoom) {
-      roomManager.removeUserFromRoom(currentRoom, socket.id);
+      // An unfinished stroke can never be completed now
+      cancelLiveStroke();
+
+      // If the user already reconnected on another socket, they never left
+      if (!sessions.detach(session, socket.id)) return;
+      roomManager.removeUserFromRoom(currentRoom, userId);
 
       // Notify others in the room about user leaving
-      socket.to(currentRoom).emit('user-left', socket.id);
+      socket.to(currentRoom).emit('user-left', userId);
       socket.to(currentRoom).emit('users-update', roomManager.getRoomUsers(currentRoom));
+      postSystemMessage('left');
     }
   });
 });
@@ -174,7 +709,16 @@ io.on('connection', (socket) => {
 // ---------------------------------------------
 // Start the HTTP and WebSocket server
 // ---------------------------------------------
-const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+httpServer.listen(config.port, () => {
+  console.log(`Server running on http://localhost:${config.port}`);
 });
+
+// ---------------------------------------------
+// Graceful shutdown: snapshot every loaded room so nothing is lost
+// ---------------------------------------------
+const shutdown = () => {
+  roomManager.flushAll();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
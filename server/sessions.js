@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * SessionStore
+ * -------------
+ * Gives every user who joins a room a stable identity that outlives their
+ * socket. The first join creates a session with a random user id (used as
+ * the author of their strokes and in every broadcast) and a secret token.
+ * A client that lost its connection sends the token with its next
+ * 'join-room' and gets the same user id, name, color and role back, so it
+ * can still undo its earlier strokes.
+ *
+ * Sessions live in memory only: after a server restart clients join again
+ * as new users. A session without a socket expires after `ttl` milliseconds,
+ * unless the room owner assigned its user a role: that session is pinned and
+ * kept until the room is deleted, so the user cannot shed the role by
+ * waiting out the expiry.
+ */
+class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Milliseconds a disconnected session can be resumed
+   */
+  constructor({ ttl = config.sessionTtlMs } = {}) {
+    // Key: token (string)
+    // Value: { token, userId, roomName, username, color, isOwner, socketId, expiryTimer, pinned }
+    this.sessions = new Map();
+    this.ttl = ttl;
+  }
+
+  /**
+   * Starts a session for a user joining a room.
+   * @param {Object} details
+   * @param {string} details.roomName - Room joined
+   * @param {string} details.username - Display name
+   * @param {string} details.color - Cursor and sidebar color
+   * @param {boolean} details.isOwner - Whether the user proved room ownership
+   * @param {string} details.socketId - Socket the user is connected with
+   * @returns {Object} New session
+   */
+  create({ roomName, username, color, isOwner, socketId }) {
+    const session = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      userId: crypto.randomUUID(),
+      roomName,
+      username,
+      color,
+      isOwner,
+      socketId,
+      expiryTimer: null,
+      pinned: false
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Resumes a session on a new socket.
+   * @param {string} token - Token the client received when it first joined
+   * @param {string} roomName - Room the client is joining
+   * @param {string} socketId - New socket
+   * @returns {{session: Object, previousSocketId: string|null}|null} The session and the socket it
+   *   was still attached to (the server may not have noticed that one drop yet), or null if the
+   *   token is unknown, expired or for another room
+   */
+  resume(token, roomName, socketId) {
+    const session = this.sessions.get(token);
+    if (!session || session.roomName !== roomName) return null;
+
+    this.cancelExpiry(session);
+    const previousSocketId = session.socketId;
+    session.socketId = socketId;
+    return { session, previousSocketId };
+  }
+
+  /**
+   * Looks up a live session without resuming it.
+   * @param {string|undefined} token - Session token
+   * @param {string} roomName - Room the session must belong to
+   * @returns {Object|null} The session, or null if the token is missing, unknown, expired or for another room
+   */
+  find(token, roomName) {
+    const session = token ? this.sessions.get(token) : null;
+    return session && session.roomName === roomName ? session : null;
+  }
+
+  /**
+   * Lists the users of a room who can still come back as themselves: their
+   * session is connected or not expired yet.
+   * @param {string} roomName - Room name
+   * @returns {Set<string>} User ids
+   */
+  userIds(roomName) {
+    const ids = new Set();
+    this.sessions.forEach(session => {
+      if (session.roomName === roomName) ids.add(session.userId);
+    });
+    return ids;
+  }
+
+  /**
+   * Keeps the sessions of a user past their expiry, e.g. once the owner
+   * assigned them a role.
+   * @param {string} roomName - Room name
+   * @param {string} userId - User id
+   */
+  pin(roomName, userId) {
+    this.sessions.forEach(session => {
+      if (session.roomName !== roomName || session.userId !== userId) return;
+      session.pinned = true;
+      this.cancelExpiry(session);
+    });
+  }
+
+  /**
+   * Marks a session as disconnected and schedules its expiry, unless it is
+   * pinned. Ignored if the session has moved to another socket meanwhile.
+   * @param {Object} session - Session object
+   * @param {string} socketId - Socket that disconnected
+   * @returns {boolean} True if the socket still owned the session
+   */
+  detach(session, socketId) {
+    if (session.socketId !== socketId) return false;
+
+    session.socketId = null;
+    this.cancelExpiry(session);
+    if (session.pinned) return true;
+    session.expiryTimer = setTimeout(() => this.sessions.delete(session.token), this.ttl);
+    // Pending expiries should never keep the process alive on shutdown
+    session.expiryTimer.unref();
+    return true;
+  }
+
+  /**
+   * Cancels a pending expiry.
+   * @param {Object} session - Session object
+   */
+  cancelExpiry(session) {
+    if (session.expiryTimer) {
+      clearTimeout(session.expiryTimer);
+      session.expiryTimer = null;
+    }
+  }
+
+  /**
+   * Ends every session of a room (e.g. when it is deleted).
+   * @param {string} roomName - Room name
+   */
+  removeRoom(roomName) {
+    this.sessions.forEach(session => {
+      if (session.roomName !== roomName) return;
+      this.cancelExpiry(session);
+      this.sessions.delete(session.token);
+    });
+  }
+}
+
+// Export a singleton instance shared by the socket handlers and the HTTP API
+module.exports = new SessionStore();
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * RoomStorage
+ * ------------
+ * Persists each room's drawing history to a local data directory so
+ * drawings survive server restarts and rooms being evicted from memory.
+ *
+ * Every room is stored as up to four files:
+ *   - <room>.snapshot.json : full serialized state at a point in time
+ *   - <room>.log           : operations applied after that snapshot (one JSON object per line)
+ *   - <room>.access.json   : password hash, owner and roles (see RoomAccess)
+ *   - <room>.chat.jsonl    : chat messages, oldest first (one JSON object per line)
+ *
+ * Each operation carries an increasing sequence number, and the snapshot
+ * records the last sequence it already contains. That way a crash between
+ * writing a snapshot and truncating the log never replays an operation twice.
+ *
+ * All writes are synchronous so the log order always matches the order in
+ * which operations were applied in memory.
+ */
+class RoomStorage {
+  /**
+   * @param {string} dataDir - Directory where room files are written (created if missing)
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  /**
+   * Builds a file path for a room. Room names are user supplied, so they are
+   * URI-encoded to keep them inside the data directory as a single file name.
+   * @param {string} roomName - Room name
+   * @param {string} extension - File suffix (e.g. '.log')
+   * @returns {string} Absolute file path
+   */
+  filePath(roomName, extension) {
+    return path.join(this.dataDir, `${encodeURIComponent(roomName)}${extension}`);
+  }
+
+  /**
+   * Loads the persisted snapshot and pending operations for a room.
+   * @param {string} roomName - Room name
+   * @returns {{snapshot: Object|null, operations: Array<Object>, modifiedAt: number}|null} Stored data (with the time, in ms, it last changed), or null if the room was never saved
+   */
+  load(roomName) {
+    const snapshotPath = this.filePath(roomName, '.snapshot.json');
+    const logPath = this.filePath(roomName, '.log');
+
+    const hasSnapshot = fs.existsSync(snapshotPath);
+    const hasLog = fs.existsSync(logPath);
+    if (!hasSnapshot && !hasLog) return null;
+
+    const snapshot = hasSnapshot ? JSON.parse(fs.readFileSync(snapshotPath, 'utf8')) : null;
+    const modifiedAt = Math.max(...[snapshotPath, logPath]
+      .filter(file => fs.existsSync(file))
+      .map(file => fs.statSync(file).mtimeMs));
+    const lastSeq = snapshot ? snapshot.seq : 0;
+    const operations = [];
+
+    if (hasLog) {
+      const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let operation;
+        try {
+          operation = JSON.parse(line);
+        } catch (err) {
+          // A partially written last line means the process died mid-append;
+          // everything before it is still valid.
+          console.warn(`Ignoring corrupt log entry for room "${roomName}"`);
+          break;
+        }
+
+        if (operation.seq > lastSeq) {
+          operations.push(operation);
+        }
+      }
+    }
+
+    return { snapshot, operations, modifiedAt };
+  }
+
+  /**
+   * Checks whether anything was ever saved for a room.
+   * @param {string} roomName - Room name
+   * @returns {boolean} True if a snapshot, log, access or chat file exists
+   */
+  exists(roomName) {
+    return fs.existsSync(this.filePath(roomName, '.snapshot.json')) ||
+      fs.existsSync(this.filePath(roomName, '.log')) ||
+      fs.existsSync(this.filePath(roomName, '.access.json')) ||
+      fs.existsSync(this.filePath(roomName, '.chat.jsonl'));
+  }
+
+  /**
+   * Loads a room's access settings.
+   * @param {string} roomName - Room name
+   * @returns {Object|null} Data produced by RoomAccess#toJSON(), or null if none was saved
+   */
+  loadAccess(roomName) {
+    const accessPath = this.filePath(roomName, '.access.json');
+    return fs.existsSync(accessPath) ? JSON.parse(fs.readFileSync(accessPath, 'utf8')) : null;
+  }
+
+  /**
+   * Saves a room's access settings (atomically, like snapshots).
+   * @param {string} roomName - Room name
+   * @param {Object} access - Serialized access settings
+   */
+  saveAccess(roomName, access) {
+    const accessPath = this.filePath(roomName, '.access.json');
+    const tempPath = `${accessPath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(access));
+    fs.renameSync(tempPath, accessPath);
+  }
+
+  /**
+   * Lists every room that has something stored.
+   * @returns {Array<{name: string, modifiedAt: number}>} Room names with the time (ms) their files last changed
+   */
+  list() {
+    const rooms = new Map();
+    fs.readdirSync(this.dataDir).forEach(file => {
+      const match = file.match(/^(.*)(\.snapshot\.json|\.chat\.jsonl|\.log|\.access\.json)$/);
+      if (!match) return;
+
+      const name = decodeURIComponent(match[1]);
+      const modifiedAt = fs.statSync(path.join(this.dataDir, file)).mtimeMs;
+      rooms.set(name, Math.max(rooms.get(name) || 0, modifiedAt));
+    });
+    return Array.from(rooms, ([name, modifiedAt]) => ({ name, modifiedAt }));
+  }
+
+  /**
+   * Appends a single operation to the room's log.
+   * @param {string} roomName - Room name
+   * @param {Object} operation - Operation record (must include a `seq` number)
+   */
+  append(roomName, operation) {
+    fs.appendFileSync(this.filePath(roomName, '.log'), JSON.stringify(operation) + '\n');
+  }
+
+  /**
+   * Loads a room's chat messages.
+   * @param {string} roomName - Room name
+   * @returns {Array<Object>} Messages, oldest first (empty if none were saved)
+   */
+  loadChat(roomName) {
+    const chatPath = this.filePath(roomName, '.chat.jsonl');
+    if (!fs.existsSync(chatPath)) return [];
+
+    const messages = [];
+    for (const line of fs.readFileSync(chatPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        messages.push(JSON.parse(line));
+      } catch (err) {
+        // Same as the operation log: only an interrupted last append can be corrupt
+        console.warn(`Ignoring corrupt chat entry for room "${roomName}"`);
+        break;
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Appends a single chat message to the room's chat log.
+   * @param {string} roomName - Room name
+   * @param {Object} message - Chat message
+   */
+  appendChat(roomName, message) {
+    fs.appendFileSync(this.filePath(roomName, '.chat.jsonl'), JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Replaces the chat log with the given messages (atomically), dropping
+   * the older ones it accumulated.
+   * @param {string} roomName - Room name
+   * @param {Array<Object>} messages - Messages to keep, oldest first
+   */
+  writeChat(roomName, messages) {
+    const chatPath = this.filePath(roomName, '.chat.jsonl');
+    const tempPath = `${chatPath}.tmp`;
+
+    fs.writeFileSync(tempPath, messages.map(message => JSON.stringify(message) + '\n').join(''));
+    fs.renameSync(tempPath, chatPath);
+  }
+
+  /**
+   * Writes a full snapshot and discards the now-redundant log.
+   * The snapshot is written to a temporary file first and renamed into place
+   * so a crash never leaves a half-written snapshot behind.
+   * @param {string} roomName - Room name
+   * @param {Object} snapshot - Serialized room state (must include a `seq` number)
+   */
+  writeSnapshot(roomName, snapshot) {
+    const snapshotPath = this.filePath(roomName, '.snapshot.json');
+    const tempPath = `${snapshotPath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, snapshotPath);
+    fs.rmSync(this.filePath(roomName, '.log'), { force: true });
+  }
+
+  /**
+   * Permanently deletes everything stored for a room.
+   * @param {string} roomName - Room name
+   */
+  remove(roomName) {
+    fs.rmSync(this.filePath(roomName, '.snapshot.json'), { force: true });
+    fs.rmSync(this.filePath(roomName, '.log'), { force: true });
+    fs.rmSync(this.filePath(roomName, '.access.json'), { force: true });
+    fs.rmSync(this.filePath(roomName, '.chat.jsonl'), { force: true });
+  }
+}
+
+module.exports = RoomStorage;
@@ -0,0 +1,102 @@
+const limits = require('./limits');
+
+/**
+ * Stroke Edits
+ * -------------
+ * Builds the new version of a stroke changed with the selection tool:
+ * moved, scaled, recolored or deleted.
+ *
+ * Strokes are never changed in place. An edit produces a copy that
+ * `replaces` the original, like an edited text item, so undoing the edit
+ * brings the original back. A deleted stroke's copy is marked `deleted`
+ * and drawn by nobody.
+ */
+
+// Tools whose color can be changed (erasers draw no color, images have their own)
+const RECOLORABLE_TOOLS = ['brush', 'line', 'rectangle', 'ellipse', 'arrow', 'text', 'fill'];
+
+/**
+ * Returns the content of a stroke, without its id, author, time, history
+ * state or link to an earlier version.
+ * @param {Object} stroke - Committed stroke
+ * @returns {Object} Copy of what the stroke draws, including its layer
+ */
+const getContent = (stroke) => {
+  const { id, authorId, authorName, createdAt, hidden, replaces, ...content } = stroke;
+  return content;
+};
+
+/**
+ * Moves and scales a stroke's geometry: every point p becomes
+ * origin + (p - origin) * factor + offset. Line widths and font sizes
+ * scale along, within their limits.
+ * @param {Object} content - Stroke content from getContent()
+ * @param {{x: number, y: number, factor: number, dx: number, dy: number}} transform - Transform
+ * @returns {Object} Transformed content
+ */
+const transformContent = (content, { x, y, factor, dx, dy }) => {
+  const map = (point) => ({
+    x: x + (point.x - x) * factor + dx,
+    y: y + (point.y - y) * factor + dy
+  });
+
+  const result = { ...content };
+  if (content.points) result.points = content.points.map(point => ({ ...point, ...map(point) }));
+  if (content.start) {
+    result.start = map(content.start);
+    result.end = map(content.end);
+  }
+  if (content.x !== undefined) Object.assign(result, map(content));
+  if (content.tool === 'image') {
+    result.width = content.width * factor;
+    result.height = content.height * factor;
+  }
+  if (content.tool === 'text') {
+    result.fontSize = Math.min(Math.max(content.fontSize * factor, 1), limits.maxFontSize);
+  } else if (content.width !== undefined && content.tool !== 'image') {
+    result.width = Math.min(content.width * factor, limits.maxStrokeWidth);
+  }
+  return result;
+};
+
+/**
+ * Lists the coordinates a stroke's geometry reaches.
+ * @param {Object} content - Stroke content
+ * @returns {Array<number>} x and y values
+ */
+const getCoordinates = (content) => {
+  const points = [...(content.points || []), ...(content.start ? [content.start, content.end] : [])];
+  if (content.x !== undefined) points.push(content);
+  if (content.tool === 'image') points.push({ x: content.x + content.width, y: content.y + content.height });
+  return points.flatMap(point => [point.x, point.y]);
+};
+
+/**
+ * Builds the new version of a stroke for an edit.
+ * @param {Object} stroke - Committed, visible stroke
+ * @param {Object} edit - Validated edit: `{action: 'move', dx, dy}`, `{action: 'scale', x, y, factor}`,
+ *   `{action: 'recolor', color}` or `{action: 'delete'}`
+ * @returns {{value: Object|null}|{error: string}} Result: the replacing stroke, or null if
+ *   the edit does not apply to this kind of stroke (recoloring an image)
+ */
+const editStroke = (stroke, edit) => {
+  let content = getContent(stroke);
+
+  if (edit.action === 'move') {
+    content = transformContent(content, { x: 0, y: 0, factor: 1, dx: edit.dx, dy: edit.dy });
+  } else if (edit.action === 'scale') {
+    content = transformContent(content, { x: edit.x, y: edit.y, factor: edit.factor, dx: 0, dy: 0 });
+  } else if (edit.action === 'recolor') {
+    if (!RECOLORABLE_TOOLS.includes(stroke.tool)) return { value: null };
+    content.color = edit.color;
+  } else {
+    content.deleted = true;
+  }
+
+  if (getCoordinates(content).some(value => Math.abs(value) > limits.maxCoordinate)) {
+    return { error: `Strokes must stay within ${limits.maxCoordinate} of the origin` };
+  }
+  return { value: { ...content, replaces: stroke.id } };
+};
+
+module.exports = { editStroke };
@@ -0,0 +1,587 @@
+const limits = require('./limits');
+const { ASSIGNABLE_ROLES } = require('./room-access');
+
+/**
+ * Validation
+ * -----------
+ * Schema checks for every payload a client can send over the socket.
+ *
+ * Each validator returns either `{ value }` with a sanitized copy of the
+ * payload (unknown fields are dropped) or `{ error }` with a message that is
+ * sent back to the client in the event acknowledgement.
+ */
+
+const FREEHAND_TOOLS = ['brush', 'eraser'];
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+const TOOLS = [...FREEHAND_TOOLS, ...SHAPE_TOOLS, 'text', 'fill'];
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Versioned JSON document produced by exports and accepted by imports
+const EXPORT_FORMAT = 'drawtogether';
+const EXPORT_VERSION = 1;   // Bumped whenever the layout changes incompatibly
+
+// Image types that can be imported, with the bytes every such file starts with
+const IMAGE_TYPES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  'image/jpeg': [0xff, 0xd8, 0xff]
+};
+const IMAGE_SRC_PATTERN = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/]+={0,2})$/;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validates a trimmed, non-empty string with a maximum length.
+ * @param {any} value - Raw value
+ * @param {string} label - Field name used in error messages
+ * @param {number} maxLength - Maximum length after trimming
+ * @returns {{value: string}|{error: string}} Result
+ */
+const validateName = (value, label, maxLength) => {
+  if (typeof value !== 'string') return { error: `${label} must be a string` };
+
+  const trimmed = value.trim();
+  if (!trimmed) return { error: `${label} is required` };
+  if (trimmed.length > maxLength) return { error: `${label} must be at most ${maxLength} characters` };
+  return { value: trimmed };
+};
+
+/**
+ * Validates a single point.
+ * @param {any} point - Raw point
+ * @param {string} label - Field name used in error messages
+ * @returns {{value: {x: number, y: number}}|{error: string}} Result
+ */
+const validatePoint = (point, label) => {
+  if (!isObject(point) || !isFiniteNumber(point.x) || !isFiniteNumber(point.y)) {
+    return { error: `${label} needs numeric x and y coordinates` };
+  }
+  if (Math.abs(point.x) > limits.maxCoordinate || Math.abs(point.y) > limits.maxCoordinate) {
+    return { error: `${label} must be within ${limits.maxCoordinate} of the origin` };
+  }
+  return { value: { x: point.x, y: point.y } };
+};
+
+/**
+ * Validates a list of points and copies only their coordinates and, for
+ * pen strokes, their pressure (0 to 1).
+ * @param {any} points - Raw points array
+ * @returns {{value: Array<{x: number, y: number, pressure?: number}>}|{error: string}} Result
+ */
+const validatePoints = (points) => {
+  if (!Array.isArray(points) || points.length === 0) return { error: 'points must be a non-empty array' };
+  if (points.length > limits.maxPointsPerStroke) {
+    return { error: `A stroke can have at most ${limits.maxPointsPerStroke} points` };
+  }
+
+  const value = [];
+  for (const point of points) {
+    const result = validatePoint(point, 'Every point');
+    if (result.error) return result;
+    if (point.pressure !== undefined) {
+      if (!isFiniteNumber(point.pressure) || point.pressure < 0 || point.pressure > 1) {
+        return { error: 'pressure must be a number between 0 and 1' };
+      }
+      result.value.pressure = point.pressure;
+    }
+    value.push(result.value);
+  }
+  return { value };
+};
+
+/**
+ * Validates a text item: content, font size, position and the optional id
+ * of the text item it replaces (when an existing label was edited).
+ * @param {Object} stroke - Raw stroke payload (tool and color already checked)
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateText = (stroke) => {
+  if (typeof stroke.text !== 'string' || !stroke.text.trim()) return { error: 'text is required' };
+  if (stroke.text.length > limits.maxTextLength) {
+    return { error: `text must be at most ${limits.maxTextLength} characters` };
+  }
+  if (!isFiniteNumber(stroke.fontSize) || stroke.fontSize < 1 || stroke.fontSize > limits.maxFontSize) {
+    return { error: `fontSize must be between 1 and ${limits.maxFontSize}` };
+  }
+
+  const position = validatePoint(stroke, 'Text position');
+  if (position.error) return position;
+  if (stroke.replaces !== undefined && !Number.isInteger(stroke.replaces)) {
+    return { error: 'replaces must be a stroke id' };
+  }
+
+  const value = {
+    tool: 'text',
+    color: stroke.color,
+    text: stroke.text,
+    fontSize: stroke.fontSize,
+    x: position.value.x,
+    y: position.value.y
+  };
+  if (stroke.replaces !== undefined) value.replaces = stroke.replaces;
+  return { value };
+};
+
+/**
+ * Validates a paint bucket fill: seed point and color tolerance.
+ * The filled region itself is computed by every client.
+ * @param {Object} stroke - Raw stroke payload (tool and color already checked)
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateFill = (stroke) => {
+  const seed = validatePoint(stroke, 'Fill seed');
+  if (seed.error) return seed;
+  if (!Number.isInteger(stroke.tolerance) || stroke.tolerance < 0 || stroke.tolerance > 255) {
+    return { error: 'tolerance must be an integer between 0 and 255' };
+  }
+
+  return {
+    value: {
+      tool: 'fill',
+      color: stroke.color,
+      x: seed.value.x,
+      y: seed.value.y,
+      tolerance: stroke.tolerance
+    }
+  };
+};
+
+/**
+ * Validates an image item: an embedded PNG or JPEG placed as a rectangle
+ * in world coordinates. Images only enter a room through imports.
+ * @param {any} item - Raw image item
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateImage = (item) => {
+  if (!isObject(item)) return { error: 'Image must be an object' };
+
+  const match = typeof item.src === 'string' ? IMAGE_SRC_PATTERN.exec(item.src) : null;
+  if (!match) return { error: 'Image must be a base64 PNG or JPEG data URL' };
+
+  const bytes = Buffer.from(match[2], 'base64');
+  if (bytes.length > limits.maxImageBytes) {
+    return { error: `Images can be at most ${Math.floor(limits.maxImageBytes / 1024)} KB` };
+  }
+  if (!IMAGE_TYPES[match[1]].every((byte, i) => bytes[i] === byte)) {
+    return { error: 'Image data does not match its type' };
+  }
+
+  const position = validatePoint(item, 'Image position');
+  if (position.error) return position;
+  for (const field of ['width', 'height']) {
+    if (!isFiniteNumber(item[field]) || item[field] <= 0 || item[field] > limits.maxCoordinate) {
+      return { error: `Image ${field} must be between 0 and ${limits.maxCoordinate}` };
+    }
+  }
+
+  return {
+    value: {
+      tool: 'image',
+      src: item.src,
+      x: position.value.x,
+      y: position.value.y,
+      width: item.width,
+      height: item.height
+    }
+  };
+};
+
+/**
+ * Validates what a stroke draws.
+ * Freehand strokes carry a list of points; shapes carry start/end points
+ * and an optional fill flag; text items and fills have their own validators.
+ * @param {Object} stroke - Raw stroke payload
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateStrokeContent = (stroke) => {
+  if (!TOOLS.includes(stroke.tool)) return { error: `Unknown tool: ${String(stroke.tool)}` };
+  if (typeof stroke.color !== 'string' || !COLOR_PATTERN.test(stroke.color)) {
+    return { error: 'color must be a hex color like #2563eb' };
+  }
+  if (stroke.tool === 'text') return validateText(stroke);
+  if (stroke.tool === 'fill') return validateFill(stroke);
+
+  if (!isFiniteNumber(stroke.width) || stroke.width <= 0 || stroke.width > limits.maxStrokeWidth) {
+    return { error: `width must be between 0 and ${limits.maxStrokeWidth}` };
+  }
+
+  const value = {
+    tool: stroke.tool,
+    color: stroke.color,
+    width: stroke.width
+  };
+
+  if (SHAPE_TOOLS.includes(stroke.tool)) {
+    const start = validatePoint(stroke.start, 'start');
+    if (start.error) return start;
+    const end = validatePoint(stroke.end, 'end');
+    if (end.error) return end;
+    if (stroke.fill !== undefined && typeof stroke.fill !== 'boolean') {
+      return { error: 'fill must be true or false' };
+    }
+
+    value.start = start.value;
+    value.end = end.value;
+    value.fill = Boolean(stroke.fill);
+    return { value };
+  }
+
+  const points = validatePoints(stroke.points);
+  if (points.error) return points;
+
+  value.points = points.value;
+  return { value };
+};
+
+/**
+ * Validates an optional layer id.
+ * @param {any} value - Raw value
+ * @returns {{value: number|undefined}|{error: string}} Result
+ */
+const validateLayerId = (value) => {
+  if (value !== undefined && (!Number.isInteger(value) || value < 1)) return { error: 'layerId must be a layer id' };
+  return { value };
+};
+
+/**
+ * Validates a stroke sent with 'draw' or 'stroke-begin', including the
+ * optional id of the layer it is drawn on (the server checks it exists).
+ * @param {any} stroke - Raw stroke payload
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateStroke = (stroke) => {
+  if (!isObject(stroke)) return { error: 'Stroke must be an object' };
+
+  const layerId = validateLayerId(stroke.layerId);
+  if (layerId.error) return layerId;
+
+  const result = validateStrokeContent(stroke);
+  if (result.value && layerId.value !== undefined) result.value.layerId = layerId.value;
+  return result;
+};
+
+/**
+ * Validates a stroke sent with 'stroke-begin'. Only freehand strokes are
+ * streamed; shapes are always sent complete with 'draw'.
+ * @param {any} stroke - Raw stroke payload
+ * @returns {{value: Object}|{error: string}} Result
+ */
+const validateLiveStroke = (stroke) => {
+  if (isObject(stroke) && !FREEHAND_TOOLS.includes(stroke.tool)) {
+    return { error: `Tool ${String(stroke.tool)} cannot be streamed` };
+  }
+  return validateStroke(stroke);
+};
+
+/**
+ * Validates an exported JSON document and every stroke in it.
+ * Links to other strokes (`replaces`) and layers are dropped: ids differ
+ * between rooms, and everything is imported onto one layer.
+ * @param {any} document - Parsed export document
+ * @returns {{value: Array<Object>}|{error: string}} Result with the strokes to add
+ */
+const validateImportDocument = (document) => {
+  if (!isObject(document) || document.format !== EXPORT_FORMAT) {
+    return { error: 'Not a drawing export file' };
+  }
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > EXPORT_VERSION) {
+    return { error: `Unsupported export version: ${String(document.version)}` };
+  }
+  if (!Array.isArray(document.strokes) || document.strokes.length === 0) {
+    return { error: 'The file contains no strokes' };
+  }
+  if (document.strokes.length > limits.maxStrokesPerRoom) {
+    return { error: `A room can hold at most ${limits.maxStrokesPerRoom} strokes` };
+  }
+
+  const strokes = [];
+  for (const [index, stroke] of document.strokes.entries()) {
+    const result = isObject(stroke) && stroke.tool === 'image' ? validateImage(stroke) : validateStroke(stroke);
+    if (result.error) return { error: `Stroke ${index + 1}: ${result.error}` };
+
+    delete result.value.replaces;
+    delete result.value.layerId;
+    strokes.push(result.value);
+  }
+  return { value: strokes };
+};
+
+/**
+ * Validates what an 'import' payload adds.
+ * @param {Object} payload - Raw payload
+ * @returns {{value: Array<Object>}|{error: string}} Result with the strokes to add
+ */
+const validateImportContent = (payload) => {
+  if (payload.type === 'strokes') return validateImportDocument(payload.document);
+
+  if (payload.type === 'image') {
+    if (!Buffer.isBuffer(payload.data)) return { error: 'Image data must be binary' };
+    const type = Object.keys(IMAGE_TYPES).find(mime => IMAGE_TYPES[mime].every((byte, i) => payload.data[i] === byte));
+    if (!type) return { error: 'Only PNG and JPEG images can be imported' };
+
+    const image = validateImage({ ...payload, src: `data:${type};base64,${payload.data.toString('base64')}` });
+    return image.error ? image : { value: [image.value] };
+  }
+
+  return { error: `Unknown import type: ${String(payload.type)}` };
+};
+
+/**
+ * Validates an 'import' payload: either an exported JSON document
+ * (`{ type: 'strokes', document }`) or an image file with its placement
+ * (`{ type: 'image', data, x, y, width, height }`, data being the raw bytes).
+ * Both may name the layer to import onto (`layerId`).
+ * @param {any} payload - Raw payload
+ * @returns {{value: Array<Object>}|{error: string}} Result with the strokes to add
+ */
+const validateImport = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid import' };
+
+  const layerId = validateLayerId(payload.layerId);
+  if (layerId.error) return layerId;
+
+  const result = validateImportContent(payload);
+  if (result.value && layerId.value !== undefined) {
+    result.value.forEach(stroke => { stroke.layerId = layerId.value; });
+  }
+  return result;
+};
+
+/**
+ * Validates an optional secret (password or owner key). Secrets are used
+ * verbatim, so unlike names they are not trimmed; empty means absent.
+ * @param {any} value - Raw value
+ * @param {string} label - Field name used in error messages
+ * @param {number} maxLength - Maximum length
+ * @returns {{value: string|null}|{error: string}} Result
+ */
+const validateSecret = (value, label, maxLength) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  if (typeof value !== 'string') return { error: `${label} must be a string` };
+  if (value.length > maxLength) return { error: `${label} must be at most ${maxLength} characters` };
+  return { value };
+};
+
+/**
+ * Validates the 'join-room' payload.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {roomName: string, username: string, password: string|null, ownerKey: string|null, sessionToken: string|null}}|{error: string}} Result
+ */
+const validateJoinRoom = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid join request' };
+
+  const roomName = validateName(payload.roomName, 'Room name', limits.maxRoomNameLength);
+  if (roomName.error) return roomName;
+
+  const username = validateName(payload.username, 'Name', limits.maxUsernameLength);
+  if (username.error) return username;
+
+  const password = validateSecret(payload.password, 'Password', limits.maxPasswordLength);
+  if (password.error) return password;
+
+  const ownerKey = validateSecret(payload.ownerKey, 'Owner key', 64);
+  if (ownerKey.error) return ownerKey;
+
+  const sessionToken = validateSecret(payload.sessionToken, 'Session token', 64);
+  if (sessionToken.error) return sessionToken;
+
+  return {
+    value: {
+      roomName: roomName.value,
+      username: username.value,
+      password: password.value,
+      ownerKey: ownerKey.value,
+      sessionToken: sessionToken.value
+    }
+  };
+};
+
+/**
+ * Validates a 'set-role' payload (an owner changing someone's role).
+ * @param {any} payload - Raw payload
+ * @returns {{value: {userId: string, role: string}}|{error: string}} Result
+ */
+const validateSetRole = (payload) => {
+  if (!isObject(payload) || typeof payload.userId !== 'string') return { error: 'userId must be a string' };
+  if (!ASSIGNABLE_ROLES.includes(payload.role)) return { error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  return { value: { userId: payload.userId, role: payload.role } };
+};
+
+/**
+ * Validates a 'set-default-role' payload.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {role: string}}|{error: string}} Result
+ */
+const validateDefaultRole = (payload) => {
+  if (!isObject(payload) || !ASSIGNABLE_ROLES.includes(payload.role)) {
+    return { error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+  return { value: { role: payload.role } };
+};
+
+/**
+ * Validates a 'chat-message' payload. Line breaks are kept; the client
+ * renders text, never markup, so no escaping happens here.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {text: string}}|{error: string}} Result
+ */
+const validateChatMessage = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid chat message' };
+
+  const text = validateName(payload.text, 'Message', limits.maxChatMessageLength);
+  if (text.error) return text;
+  return { value: { text: text.value } };
+};
+
+/**
+ * Validates an 'add-layer' payload.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {name: string}}|{error: string}} Result
+ */
+const validateAddLayer = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid layer' };
+
+  const name = validateName(payload.name, 'Layer name', limits.maxLayerNameLength);
+  if (name.error) return name;
+  return { value: { name: name.value } };
+};
+
+/**
+ * Validates an 'update-layer' payload: the layer id and at least one of a
+ * new name, visibility or lock state.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {id: number, changes: Object}}|{error: string}} Result
+ */
+const validateUpdateLayer = (payload) => {
+  if (!isObject(payload) || !Number.isInteger(payload.id)) return { error: 'id must be a layer id' };
+
+  const changes = {};
+  if (payload.name !== undefined) {
+    const name = validateName(payload.name, 'Layer name', limits.maxLayerNameLength);
+    if (name.error) return name;
+    changes.name = name.value;
+  }
+  for (const key of ['visible', 'locked']) {
+    if (payload[key] === undefined) continue;
+    if (typeof payload[key] !== 'boolean') return { error: `${key} must be true or false` };
+    changes[key] = payload[key];
+  }
+  if (Object.keys(changes).length === 0) return { error: 'Nothing to change' };
+  return { value: { id: payload.id, changes } };
+};
+
+/**
+ * Validates a 'move-layer' payload.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {id: number, index: number}}|{error: string}} Result
+ */
+const validateMoveLayer = (payload) => {
+  if (!isObject(payload) || !Number.isInteger(payload.id)) return { error: 'id must be a layer id' };
+  if (!Number.isInteger(payload.index) || payload.index < 0) return { error: 'index must be a non-negative integer' };
+  return { value: { id: payload.id, index: payload.index } };
+};
+
+/**
+ * Validates an 'edit-strokes' payload: the ids of the selected strokes and
+ * what to do with them (move, scale, recolor or delete).
+ * @param {any} payload - Raw payload
+ * @returns {{value: {ids: Array<number>, edit: Object}}|{error: string}} Result
+ */
+const validateEditStrokes = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid edit' };
+
+  const { ids } = payload;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'ids must be a non-empty array of stroke ids' };
+  }
+  if (ids.length > limits.maxStrokesPerRoom) {
+    return { error: `At most ${limits.maxStrokesPerRoom} strokes can be edited at once` };
+  }
+  if (new Set(ids).size !== ids.length) return { error: 'ids must not repeat' };
+
+  let edit;
+  if (payload.action === 'move') {
+    if (!isFiniteNumber(payload.dx) || !isFiniteNumber(payload.dy)) return { error: 'dx and dy must be numbers' };
+    edit = { action: 'move', dx: payload.dx, dy: payload.dy };
+  } else if (payload.action === 'scale') {
+    const origin = validatePoint(payload, 'Scale origin');
+    if (origin.error) return origin;
+    if (!isFiniteNumber(payload.factor) || payload.factor <= 0) return { error: 'factor must be a positive number' };
+    edit = { action: 'scale', x: origin.value.x, y: origin.value.y, factor: payload.factor };
+  } else if (payload.action === 'recolor') {
+    if (typeof payload.color !== 'string' || !COLOR_PATTERN.test(payload.color)) {
+      return { error: 'color must be a hex color like #2563eb' };
+    }
+    edit = { action: 'recolor', color: payload.color };
+  } else if (payload.action === 'delete') {
+    edit = { action: 'delete' };
+  } else {
+    return { error: `Unknown edit: ${String(payload.action)}` };
+  }
+
+  return { value: { ids, edit } };
+};
+
+/**
+ * Validates a 'stroke-points' batch.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {points: Array<Object>}}|{error: string}} Result
+ */
+const validatePointBatch = (payload) => {
+  if (!isObject(payload)) return { error: 'Invalid points batch' };
+
+  const points = validatePoints(payload.points);
+  if (points.error) return points;
+  return { value: { points: points.value } };
+};
+
+/**
+ * Validates a 'stroke-end' payload: how many points the author drew, and
+ * the simplification tolerance (world units, 0 keeps every point).
+ * @param {any} payload - Raw payload
+ * @returns {{value: {pointCount: number, tolerance: number}}|{error: string}} Result
+ */
+const validateStrokeEnd = (payload) => {
+  if (!isObject(payload) || !Number.isInteger(payload.pointCount) || payload.pointCount < 0) {
+    return { error: 'pointCount must be a non-negative integer' };
+  }
+  if (payload.tolerance !== undefined && (!isFiniteNumber(payload.tolerance) || payload.tolerance < 0)) {
+    return { error: 'tolerance must be a non-negative number' };
+  }
+  return { value: { pointCount: payload.pointCount, tolerance: payload.tolerance || 0 } };
+};
+
+/**
+ * Validates a 'cursor-move' payload.
+ * @param {any} payload - Raw payload
+ * @returns {{value: {x: number, y: number}}|{error: string}} Result
+ */
+const validateCursor = (payload) => {
+  if (!isObject(payload) || !isFiniteNumber(payload.x) || !isFiniteNumber(payload.y)) {
+    return { error: 'Cursor position needs numeric x and y' };
+  }
+  return { value: { x: payload.x, y: payload.y } };
+};
+
+module.exports = {
+  TOOLS,
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  validateName,
+  FREEHAND_TOOLS,
+  SHAPE_TOOLS,
+  validateStroke,
+  validateLiveStroke,
+  validateJoinRoom,
+  validateSetRole,
+  validateDefaultRole,
+  validateChatMessage,
+  validateAddLayer,
+  validateUpdateLayer,
+  validateMoveLayer,
+  validateEditStrokes,
+  validatePointBatch,
+  validateStrokeEnd,
+  validateCursor,
+  validateImport
+};
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawingState = require('../server/drawing-state');
+
+const line = (x) => ({ tool: 'brush', color: '#000000', width: 2, points: [{ x, y: 0 }, { x, y: 10 }] });
+const label = (text, replaces) => ({ tool: 'text', color: '#000000', text, fontSize: 20, x: 0, y: 0, ...(replaces && { replaces }) });
+const visibleIds = (state) => state.getVisibleStrokes().map(stroke => stroke.id);
+
+test('undo and redo only touch the author\'s own strokes', () => {
+  const state = new DrawingState();
+  const a = state.addStroke(line(1), 'ada');
+  const b = state.addStroke(line(2), 'bob');
+
+  assert.deepEqual(state.undo('ada'), [a.id]);
+  assert.deepEqual(visibleIds(state), [b.id]);
+  assert.equal(state.undo('ada'), null);
+
+  assert.deepEqual(state.redo('ada'), [a.id]);
+  assert.deepEqual(visibleIds(state), [a.id, b.id]);
+  assert.equal(state.redo('ada'), null);
+});
+
+test('drawing after an undo discards the author\'s undone strokes only', () => {
+  const state = new DrawingState();
+  const a = state.addStroke(line(1), 'ada');
+  const b = state.addStroke(line(2), 'bob');
+  state.undo('ada');
+  state.undo('bob');
+
+  const c = state.addStroke(line(3), 'ada');
+  assert.equal(state.getStroke(a.id), undefined);
+  assert.equal(state.redo('ada'), null);
+  assert.deepEqual(state.redo('bob'), [b.id]);
+  assert.deepEqual(visibleIds(state), [b.id, c.id]);
+});
+
+test('an import is one undo step', () => {
+  const state = new DrawingState();
+  const strokes = state.addStrokes([line(1), line(2)], 'ada');
+  assert.deepEqual(state.undo('ada'), strokes.map(stroke => stroke.id));
+  assert.deepEqual(visibleIds(state), []);
+});
+
+test('an edit hides the version it replaces until it is undone', () => {
+  const state = new DrawingState();
+  const original = state.addStroke(label('v1'), 'ada');
+  const edit = state.addStroke(label('v2', original.id), 'bob');
+  assert.deepEqual(visibleIds(state), [edit.id]);
+
+  state.undo('bob');
+  assert.deepEqual(visibleIds(state), [original.id]);
+});
+
+test('compaction keeps versions someone can still undo back to', () => {
+  const state = new DrawingState();
+  const original = state.addStroke(label('v1'), 'ada');
+  state.addStroke(label('v2', original.id), 'bob');
+  assert.equal(state.compact(), 0);
+  assert.ok(state.getStroke(original.id));
+});
+
+test('pruning forgets departed authors, drops their undone strokes and compacts', () => {
+  const state = new DrawingState();
+  const original = state.addStroke(label('v1'), 'ada');
+  const edit = state.addStroke(label('v2', original.id), 'ada');
+  const undone = state.addStroke(line(1), 'ada');
+  const kept = state.addStroke(line(2), 'bob');
+  state.undo('ada');
+
+  assert.equal(state.pruneHistories(new Set(['bob'])), 1);
+  assert.equal(state.getStroke(undone.id), undefined);
+  assert.equal(state.getStroke(original.id), undefined);
+  assert.deepEqual(visibleIds(state), [edit.id, kept.id]);
+  assert.equal(state.undo('ada'), null);
+  assert.deepEqual(state.undo('bob'), [kept.id]);
+});
+
+test('clearing keeps visible strokes on locked layers and resets histories', () => {
+  const state = new DrawingState();
+  const layer = state.addLayer('Locked');
+  const onLocked = state.addStroke({ ...line(1), layerId: layer.id }, 'ada');
+  state.addStroke(line(2), 'ada');
+  state.updateLayer(layer.id, { locked: true });
+
+  state.clear();
+  assert.deepEqual(visibleIds(state), [onLocked.id]);
+  assert.equal(state.undo('ada'), null);
+});
+
+test('replaying the journal rebuilds the same state', () => {
+  const state = new DrawingState();
+  const operations = [];
+  state.journal = (operation) => operations.push(JSON.parse(JSON.stringify(operation)));
+
+  const first = state.addStroke(line(1), 'ada');
+  state.addStrokes([line(2), line(3)], 'bob');
+  state.addStroke(label('v2', first.id), 'bob');
+  state.undo('bob');
+  state.redo('bob');
+  state.undo('ada');
+  state.addLayer('Top');
+
+  const replayed = new DrawingState();
+  operations.forEach(operation => replayed.applyOperation(operation));
+  assert.deepEqual(replayed.toJSON(), state.toJSON());
+  assert.throws(() => replayed.applyOperation({ type: 'pruneHistories', args: [] }), /Unknown drawing operation/);
+});
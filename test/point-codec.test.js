@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  quantizePoint,
+  packPoints,
+  unpackPoints,
+  packStroke,
+  unpackStroke,
+  bundlePayload,
+  unpackPayload
+} = require('../client/point-codec.js');
+
+const points = [
+  { x: 0, y: 0 },
+  { x: 12.345, y: -6.789 },
+  { x: -999999.99, y: 999999.99 },
+  { x: 3.14159, y: 2.71828 }
+];
+
+test('points survive a round trip at the quantized precision', () => {
+  assert.deepEqual(unpackPoints(packPoints(points)), points.map(quantizePoint));
+  assert.deepEqual(unpackPoints(packPoints([])), []);
+});
+
+test('pen pressure is kept only when every point has one', () => {
+  const pressed = [{ x: 1, y: 1, pressure: 0.25 }, { x: 2, y: 2, pressure: 0.7504 }];
+  assert.deepEqual(unpackPoints(packPoints(pressed)), [{ x: 1, y: 1, pressure: 0.25 }, { x: 2, y: 2, pressure: 0.75 }]);
+  assert.deepEqual(unpackPoints(packPoints([pressed[0], { x: 2, y: 2 }])), [{ x: 1, y: 1 }, { x: 2, y: 2 }]);
+});
+
+test('packed points are read from an ArrayBuffer, a view or a Node Buffer', () => {
+  const packed = packPoints(points);
+  const expected = points.map(quantizePoint);
+  assert.deepEqual(unpackPoints(packed.buffer), expected);
+  assert.deepEqual(unpackPoints(Buffer.from(packed)), expected);
+});
+
+test('malformed or oversized data is refused', () => {
+  const packed = packPoints(points);
+  assert.throws(() => unpackPoints(packed.subarray(0, packed.length - 1)), /Malformed point data/);
+  assert.throws(() => unpackPoints(Uint8Array.of(...packed, 0)), /Malformed point data/);
+  assert.throws(() => unpackPoints(Uint8Array.of(2, 0)), /Malformed point data/);
+  assert.throws(() => unpackPoints([0, 0]), /Malformed point data/);
+  assert.throws(() => unpackPoints(packed, 3), /at most 3 points/);
+});
+
+test('strokes without points pass through unchanged', () => {
+  const shape = { tool: 'line', start: { x: 0, y: 0 }, end: { x: 1, y: 1 } };
+  assert.equal(packStroke(shape), shape);
+  assert.equal(unpackStroke(shape), shape);
+
+  const stroke = { id: 1, tool: 'brush', points };
+  const packed = packStroke(stroke);
+  assert.equal(packed.points, undefined);
+  assert.deepEqual(unpackStroke(packed), { id: 1, tool: 'brush', points: points.map(quantizePoint) });
+});
+
+test('several packed strokes travel as one bundle', () => {
+  const strokes = [1, 2, 3].map(id => packStroke({ id, tool: 'brush', points: points.slice(0, id + 1) }));
+  const payload = { ok: true, drawingState: { strokes, layers: [{ id: 1 }] } };
+
+  const bundled = bundlePayload(payload);
+  assert.ok(bundled.packedBundle instanceof Uint8Array);
+  assert.ok(bundled.drawingState.strokes.every(stroke => Array.isArray(stroke.packedPoints)));
+  assert.deepEqual(unpackPayload(bundled), unpackPayload(payload));
+  assert.deepEqual(unpackPayload(bundled).drawingState.strokes[2].points, points.map(quantizePoint));
+});
+
+test('a payload with fewer than two packed strokes is not bundled', () => {
+  const payload = { ok: true, stroke: packStroke({ id: 1, tool: 'brush', points }) };
+  assert.equal(bundlePayload(payload), payload);
+  assert.equal(bundlePayload('plain'), 'plain');
+});
+
+test('a bundle range outside the bundle is refused', () => {
+  const bundled = bundlePayload({ strokes: [1, 2].map(id => packStroke({ id, tool: 'brush', points })) });
+  bundled.strokes[1].packedPoints = [0, bundled.packedBundle.length + 1];
+  assert.throws(() => unpackPayload(bundled), /Malformed point data/);
+});
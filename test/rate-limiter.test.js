@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RateLimiter } = require('../server/rate-limiter');
+
+test('a bucket allows a burst up to its capacity', () => {
+  const bucket = new TokenBucket(3, 0);
+  assert.deepEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+});
+
+test('a bucket that never refills tells no retry time', () => {
+  const bucket = new TokenBucket(1, 0);
+  bucket.take();
+  assert.equal(bucket.timeUntilNext(), null);
+});
+
+test('a refilling bucket tells how long until its next token', () => {
+  const bucket = new TokenBucket(2, 10);
+  bucket.take();
+  bucket.take();
+  assert.equal(bucket.take(), false);
+  const wait = bucket.timeUntilNext();
+  assert.ok(wait > 0 && wait <= 100, `waits ${wait} ms`);
+});
+
+test('the limiter keeps one bucket per event and ignores events without a rule', () => {
+  const limiter = new RateLimiter({ draw: { capacity: 1, refillPerSecond: 0 }, undo: { capacity: 1, refillPerSecond: 5 } });
+  assert.equal(limiter.allow('draw'), true);
+  assert.equal(limiter.allow('draw'), false);
+  assert.equal(limiter.allow('undo'), true);
+  for (let i = 0; i < 100; i++) assert.equal(limiter.allow('chat-message'), true);
+
+  assert.equal(limiter.retryAfter('draw'), null);
+  assert.ok(limiter.retryAfter('undo') > 0);
+  assert.equal(limiter.retryAfter('chat-message'), null);
+});
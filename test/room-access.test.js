@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RoomAccess, canEdit } = require('../server/room-access');
+const sessions = require('../server/sessions');
+
+const SessionStore = sessions.constructor;
+
+test('the creator gets an owner key that lets them in without the password', () => {
+  const { access, ownerKey } = RoomAccess.create('secret');
+  assert.equal(access.isProtected(), true);
+  assert.equal(access.isOwnerKey(ownerKey), true);
+  assert.equal(access.isOwnerKey('guess'), false);
+  assert.equal(access.canEnter(undefined, ownerKey), true);
+  assert.equal(access.canEnter('secret', undefined), true);
+  assert.equal(access.canEnter('wrong', undefined), false);
+  assert.equal(access.canEnter(undefined, undefined), false);
+});
+
+test('users get their assigned role, everyone else the default role', () => {
+  const { access } = RoomAccess.create(null);
+  access.setRole('demoted', 'viewer');
+  assert.equal(access.roleFor('demoted'), 'viewer');
+  assert.equal(access.roleFor('newcomer'), 'editor');
+
+  access.defaultRole = 'viewer';
+  access.setRole('promoted', 'editor');
+  assert.equal(access.roleFor('promoted'), 'editor');
+  assert.equal(access.roleFor('newcomer'), 'viewer');
+});
+
+test('roles and settings survive a save and load', () => {
+  const { access, ownerKey } = RoomAccess.create('secret');
+  access.defaultRole = 'viewer';
+  access.setRole('u1', 'editor');
+  const restored = RoomAccess.fromJSON(JSON.parse(JSON.stringify(access)));
+  assert.equal(restored.isOwnerKey(ownerKey), true);
+  assert.equal(restored.canEnter('secret'), true);
+  assert.equal(restored.roleFor('u1'), 'editor');
+  assert.deepEqual(restored.getSettings(), { protected: true, defaultRole: 'viewer' });
+});
+
+test('only owners and editors can edit', () => {
+  assert.deepEqual(['owner', 'editor', 'viewer'].map(canEdit), [true, true, false]);
+});
+
+test('the session of a user with an assigned role does not expire', () => {
+  const store = new SessionStore({ ttl: 1000 });
+  const details = { roomName: 'art', username: 'Ada', color: '#000000', isOwner: false, socketId: 's1' };
+  const demoted = store.create(details);
+  const other = store.create({ ...details, socketId: 's2' });
+
+  store.pin('art', demoted.userId);
+  assert.equal(store.detach(demoted, 's1'), true);
+  assert.equal(store.detach(other, 's2'), true);
+  assert.equal(demoted.expiryTimer, null);
+  assert.notEqual(other.expiryTimer, null);
+
+  const resumed = store.resume(demoted.token, 'art', 's3');
+  assert.equal(resumed.session.userId, demoted.userId);
+  assert.equal(resumed.previousSocketId, null);
+
+  store.removeRoom('art');
+  assert.equal(store.find(demoted.token, 'art'), null);
+  assert.equal(store.find(other.token, 'art'), null);
+});
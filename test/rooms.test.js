@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The shared RoomManager creates DATA_DIR as soon as it is required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drawtogether-test-'));
+process.env.DATA_DIR = dir;
+
+const RoomStorage = require('../server/storage');
+const sessions = require('../server/sessions');
+const RoomManager = require('../server/rooms').constructor;
+
+const line = (x) => ({ tool: 'brush', color: '#000000', width: 2, points: [{ x, y: 0 }, { x, y: 10 }] });
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a room is rebuilt from its snapshot and the operations logged after it', () => {
+  const manager = new RoomManager({ storage: new RoomStorage(dir), snapshotInterval: 4 });
+  const { drawingState } = manager.getOrCreateRoom('replay');
+  drawingState.addStroke(line(1), 'ada');
+  drawingState.addStroke(line(2), 'bob');
+  drawingState.addLayer('Top');
+  drawingState.addStroke(line(3), 'ada');   // Fourth operation: snapshot
+  drawingState.addStrokes([line(4), line(5)], 'bob');
+  drawingState.undo('bob');
+
+  const stored = new RoomStorage(dir).load('replay');
+  assert.equal(stored.snapshot.seq, 4);
+  assert.deepEqual(stored.operations.map(operation => operation.type), ['addStrokes', 'undo']);
+
+  const reloaded = new RoomManager({ storage: new RoomStorage(dir), snapshotInterval: 4 }).loadRoom('replay');
+  assert.equal(reloaded.seq, 6);
+  assert.equal(reloaded.unsnapshotted, 2);
+  assert.deepEqual(reloaded.drawingState.toJSON(), drawingState.toJSON());
+
+  // The log carries on where it stopped
+  reloaded.drawingState.redo('bob');
+  assert.deepEqual(new RoomStorage(dir).load('replay').operations.map(operation => operation.seq), [5, 6, 7]);
+});
+
+test('snapshots forget the histories of users without a session', () => {
+  const manager = new RoomManager({ storage: new RoomStorage(dir), snapshotInterval: 3 });
+  const room = manager.getOrCreateRoom('prune');
+  const active = sessions.create({ roomName: 'prune', username: 'Ada', color: '#000000', isOwner: false, socketId: 's1' });
+
+  const gone = room.drawingState.addStroke(line(1), 'departed');
+  room.drawingState.undo('departed');
+  assert.ok(room.drawingState.getStroke(gone.id), 'not pruned before the snapshot');
+
+  const mine = room.drawingState.addStroke(line(2), active.userId);   // Third operation: snapshot
+  assert.equal(room.drawingState.getStroke(gone.id), undefined);
+  assert.deepEqual(room.drawingState.undo(active.userId), [mine.id]);
+
+  const reloaded = new RoomManager({ storage: new RoomStorage(dir) }).loadRoom('prune');
+  assert.deepEqual(reloaded.drawingState.toJSON(), room.drawingState.toJSON());
+  sessions.removeRoom('prune');
+});
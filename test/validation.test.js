@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const limits = require('../server/limits');
+const {
+  validateName,
+  validateStroke,
+  validateLiveStroke,
+  validateJoinRoom,
+  validateSetRole,
+  validateStrokeEnd,
+  validateCursor
+} = require('../server/validation');
+
+test('names are trimmed and capped', () => {
+  assert.deepEqual(validateName('  Ada ', 'Name', 10), { value: 'Ada' });
+  assert.deepEqual(validateName('   ', 'Name', 10), { error: 'Name is required' });
+  assert.deepEqual(validateName('x'.repeat(11), 'Name', 10), { error: 'Name must be at most 10 characters' });
+  assert.deepEqual(validateName(42, 'Name', 10), { error: 'Name must be a string' });
+});
+
+test('a freehand stroke keeps only known fields', () => {
+  const result = validateStroke({
+    tool: 'brush',
+    color: '#ff0000',
+    width: 4,
+    layerId: 2,
+    points: [{ x: 1, y: 2, pressure: 0.5, extra: true }, { x: 3, y: 4 }],
+    authorId: 'someone else'
+  });
+  assert.deepEqual(result, {
+    value: { tool: 'brush', color: '#ff0000', width: 4, layerId: 2, points: [{ x: 1, y: 2, pressure: 0.5 }, { x: 3, y: 4 }] }
+  });
+});
+
+test('strokes with bad content are rejected', () => {
+  const stroke = { tool: 'brush', color: '#ff0000', width: 4, points: [{ x: 0, y: 0 }] };
+  assert.ok(validateStroke(null).error);
+  assert.ok(validateStroke({ ...stroke, tool: 'laser' }).error);
+  assert.ok(validateStroke({ ...stroke, color: 'red' }).error);
+  assert.ok(validateStroke({ ...stroke, width: 0 }).error);
+  assert.ok(validateStroke({ ...stroke, width: limits.maxStrokeWidth + 1 }).error);
+  assert.ok(validateStroke({ ...stroke, points: [] }).error);
+  assert.ok(validateStroke({ ...stroke, points: [{ x: NaN, y: 0 }] }).error);
+  assert.ok(validateStroke({ ...stroke, points: [{ x: limits.maxCoordinate + 1, y: 0 }] }).error);
+  assert.ok(validateStroke({ ...stroke, points: [{ x: 0, y: 0, pressure: 2 }] }).error);
+  assert.ok(validateStroke({ ...stroke, layerId: 0 }).error);
+});
+
+test('shapes need a start and an end, text needs content and a valid replaces id', () => {
+  assert.deepEqual(validateStroke({ tool: 'line', color: '#000', width: 1, start: { x: 0, y: 0 }, end: { x: 5, y: 5 } }), {
+    value: { tool: 'line', color: '#000', width: 1, start: { x: 0, y: 0 }, end: { x: 5, y: 5 }, fill: false }
+  });
+  assert.ok(validateStroke({ tool: 'rectangle', color: '#000', width: 1, start: { x: 0, y: 0 } }).error);
+
+  const text = { tool: 'text', color: '#000', text: 'hi', fontSize: 20, x: 1, y: 1 };
+  assert.deepEqual(validateStroke({ ...text, replaces: 7 }), { value: { ...text, replaces: 7 } });
+  assert.ok(validateStroke({ ...text, text: '  ' }).error);
+  assert.ok(validateStroke({ ...text, replaces: '7' }).error);
+});
+
+test('only freehand strokes can be streamed', () => {
+  assert.ok(validateLiveStroke({ tool: 'brush', color: '#000', width: 1, points: [{ x: 0, y: 0 }] }).value);
+  assert.deepEqual(validateLiveStroke({ tool: 'line', color: '#000', width: 1, start: { x: 0, y: 0 }, end: { x: 1, y: 1 } }), {
+    error: 'Tool line cannot be streamed'
+  });
+});
+
+test('joining needs a room and a name; empty secrets become null', () => {
+  assert.deepEqual(validateJoinRoom({ roomName: ' art ', username: 'Ada', password: '', sessionToken: 'abc' }), {
+    value: { roomName: 'art', username: 'Ada', password: null, ownerKey: null, sessionToken: 'abc' }
+  });
+  assert.ok(validateJoinRoom({ username: 'Ada' }).error);
+  assert.ok(validateJoinRoom({ roomName: 'art', username: 'Ada', ownerKey: 'k'.repeat(65) }).error);
+  assert.ok(validateJoinRoom('art').error);
+});
+
+test('owners can only hand out the editor and viewer roles', () => {
+  assert.deepEqual(validateSetRole({ userId: 'u1', role: 'viewer' }), { value: { userId: 'u1', role: 'viewer' } });
+  assert.ok(validateSetRole({ userId: 'u1', role: 'owner' }).error);
+  assert.ok(validateSetRole({ role: 'editor' }).error);
+});
+
+test('small payloads are checked field by field', () => {
+  assert.deepEqual(validateStrokeEnd({ pointCount: 3 }), { value: { pointCount: 3, tolerance: 0 } });
+  assert.ok(validateStrokeEnd({ pointCount: -1 }).error);
+  assert.ok(validateStrokeEnd({ pointCount: 3, tolerance: -1 }).error);
+  assert.deepEqual(validateCursor({ x: 1, y: 2, z: 3 }), { value: { x: 1, y: 2 } });
+  assert.ok(validateCursor({ x: 1, y: Infinity }).error);
+});